@@ -4,7 +4,14 @@
 // - CO_SET_AUTH: save backend + auth token in chrome.storage.local
 // - CO_API: proxy API requests through background fetch, inject X-Auth-Token
 // - DOWNLOAD_BLOB_URL: download blob/object URLs (or http URLs) via chrome.downloads
-// - CO_DOWNLOAD_COVER_LETTER_DOCX: generate a minimal DOCX from a string and download it
+// - CO_DOWNLOAD_COVER_LETTER_DOCX / _PDF: format a cover letter and download it
+// - CO_DOWNLOAD_RESUME_DOCX / _PDF: render Resume JSON locally and download it
+// - CO_PARSE_RESUME_FILE: turn a DOCX/PDF resume into Resume JSON (base resume import)
+// - CO_GPT_OPEN: run a GPT job through the configured provider (ChatGPT tab
+//   bridge or an OpenAI-compatible HTTP endpoint); result -> CO_GPT_RESULT
+// - CO_GPT_CANCEL: abort an in-flight GPT job by its jobId
+// - CO_GPT_REFINE / CO_GPT_CONVERSATION: follow-up turns on a finished job
+// - CO_GPT_INBOX_LIST / _CLAIM / _DELETE: GPT results kept for recovery
 
 const DEFAULT_BACKEND = "https://career-os.onrender.com";
 const CHATGPT_GPT_URL =
@@ -29,7 +36,7 @@ function buildUrl(base, path, query) {
 }
 
 // --------------------
-// Minimal ZIP builder (STORE, no compression) for DOCX
+// ZIP writer / reader for DOCX
 // --------------------
 function crc32(bytes) {
   // Standard CRC32 (IEEE)
@@ -74,8 +81,57 @@ function concatUint8(chunks) {
   return out;
 }
 
-function makeZipStore(fileEntries) {
-  // fileEntries: [{name, data:Uint8Array}]
+// MS-DOS date/time as ZIP stores it: local time, 2-second resolution,
+// years from 1980.
+function dosDateTime(when) {
+  const d = when instanceof Date && !isNaN(when) ? when : new Date();
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date:
+      ((Math.max(1980, d.getFullYear()) - 1980) << 9) |
+      ((d.getMonth() + 1) << 5) |
+      d.getDate(),
+  };
+}
+
+function fromDosDateTime(date, time) {
+  return new Date(
+    1980 + (date >>> 9),
+    ((date >>> 5) & 0xf) - 1,
+    date & 0x1f,
+    time >>> 11,
+    (time >>> 5) & 0x3f,
+    (time & 0x1f) * 2,
+  );
+}
+
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Raw DEFLATE (no zlib header), which is what ZIP entries hold. Resolves to
+// null when the runtime has no CompressionStream, so callers can STORE.
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === "undefined") return null;
+  try {
+    return await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+  } catch (_) {
+    return null;
+  }
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("DEFLATE is not supported in this browser");
+  }
+  return pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+}
+
+// fileEntries: [{ name, data: Uint8Array }]. Entries are DEFLATEd unless
+// compression is off, unavailable, or wouldn't make them smaller.
+async function makeZip(fileEntries, { compress = true, modified } = {}) {
+  const { time, date } = dosDateTime(modified);
   const localParts = [];
   const centralParts = [];
   let offset = 0;
@@ -85,6 +141,10 @@ function makeZipStore(fileEntries) {
     const data = f.data;
     const crc = crc32(data);
     const size = data.length;
+    const deflated = compress ? await deflateRaw(data) : null;
+    const useDeflate = !!deflated && deflated.length < size;
+    const body = useDeflate ? deflated : data;
+    const method = useDeflate ? 8 : 0; // 8 = deflate, 0 = store
 
     // Local file header
     // signature 0x04034b50
@@ -92,17 +152,17 @@ function makeZipStore(fileEntries) {
       ...u32(0x04034b50),
       ...u16(20), // version needed
       ...u16(0), // flags
-      ...u16(0), // compression 0 = store
-      ...u16(0), // mod time
-      ...u16(0), // mod date
+      ...u16(method),
+      ...u16(time),
+      ...u16(date),
       ...u32(crc),
-      ...u32(size),
+      ...u32(body.length),
       ...u32(size),
       ...u16(nameBytes.length),
       ...u16(0), // extra len
     ]);
 
-    localParts.push(localHeader, nameBytes, data);
+    localParts.push(localHeader, nameBytes, body);
 
     // Central directory header
     // signature 0x02014b50
@@ -110,12 +170,12 @@ function makeZipStore(fileEntries) {
       ...u32(0x02014b50),
       ...u16(20), // version made by
       ...u16(20), // version needed
-      ...u16(0),
-      ...u16(0),
-      ...u16(0),
-      ...u16(0),
+      ...u16(0), // flags
+      ...u16(method),
+      ...u16(time),
+      ...u16(date),
       ...u32(crc),
-      ...u32(size),
+      ...u32(body.length),
       ...u32(size),
       ...u16(nameBytes.length),
       ...u16(0), // extra
@@ -128,7 +188,7 @@ function makeZipStore(fileEntries) {
 
     centralParts.push(centralHeader, nameBytes);
 
-    offset += localHeader.length + nameBytes.length + data.length;
+    offset += localHeader.length + nameBytes.length + body.length;
   }
 
   const centralStart = offset;
@@ -149,189 +209,2631 @@ function makeZipStore(fileEntries) {
     ...u16(0), // comment length
   ]);
 
-  const out = concatUint8([...localParts, centralData, eocd]);
-  return out;
+  return concatUint8([...localParts, centralData, eocd]);
+}
+
+// Reads a ZIP (e.g. an existing DOCX) through its central directory.
+// Resolves to [{ name, data, method, size, compressedSize, modified }];
+// throws on anything that isn't a plain single-disk STORE/DEFLATE archive.
+async function readZip(bytes) {
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+
+  // The EOCD record sits at the end, before a comment of up to 64 KiB.
+  let eocd = -1;
+  for (let i = u8.length - 22; i >= Math.max(0, u8.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP file (no end of central directory)");
+
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (p + 46 > u8.length || view.getUint32(p, true) !== 0x02014b50) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = view.getUint16(p + 10, true);
+    const time = view.getUint16(p + 12, true);
+    const date = view.getUint16(p + 14, true);
+    const crc = view.getUint32(p + 16, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(u8.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (view.getUint32(localOffset, true) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry: ${name}`);
+    }
+    const start =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    const raw = u8.subarray(start, start + compressedSize);
+
+    let data;
+    if (method === 0) data = raw.slice();
+    else if (method === 8) data = await inflateRaw(raw);
+    else throw new Error(`Unsupported ZIP compression (${method}): ${name}`);
+    if (data.length !== size || crc32(data) !== crc) {
+      throw new Error(`ZIP entry failed its checksum: ${name}`);
+    }
+
+    entries.push({
+      name,
+      data,
+      method: method === 8 ? "deflate" : "store",
+      size,
+      compressedSize,
+      modified: fromDosDateTime(date, time),
+    });
+  }
+  return entries;
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// --------------------
+// DOCX package helpers
+// --------------------
+const DOCX_MIME =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const XML_DECL = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>`;
+
+// One run of text; opts: { bold, italic, tab } (tab = leading <w:tab/>).
+function docxRun(text, opts = {}) {
+  const rPr =
+    opts.bold || opts.italic
+      ? `<w:rPr>${opts.bold ? "<w:b/>" : ""}${opts.italic ? "<w:i/>" : ""}</w:rPr>`
+      : "";
+  const tab = opts.tab ? "<w:tab/>" : "";
+  return `<w:r>${rPr}${tab}<w:t xml:space="preserve">${xmlEscape(text ?? "")}</w:t></w:r>`;
+}
+
+// runs: XML from docxRun. opts: { style, numId } (numId = list numbering).
+function docxParagraph(runs, opts = {}) {
+  const props = [
+    opts.style ? `<w:pStyle w:val="${opts.style}"/>` : "",
+    opts.numId
+      ? `<w:numPr><w:ilvl w:val="0"/><w:numId w:val="${opts.numId}"/></w:numPr>`
+      : "",
+  ].join("");
+  const body = Array.isArray(runs) ? runs.join("") : runs || "";
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ""}${body}</w:p>`;
+}
+
+function docxCoreXml({ title, author }) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  return `${XML_DECL}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${xmlEscape(title || "")}</dc:title>
+  <dc:creator>${xmlEscape(author || "")}</dc:creator>
+  <cp:lastModifiedBy>${xmlEscape(author || "")}</cp:lastModifiedBy>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+// Zips a WordprocessingML document with its optional styles.xml and
+// numbering.xml parts plus core/app document properties.
+async function buildDocxPackage({
+  bodyXml,
+  stylesXml,
+  numberingXml,
+  title,
+  author,
+}) {
+  const parts = [
+    ["styles", stylesXml],
+    ["numbering", numberingXml],
+  ].filter(([, xml]) => xml);
+
+  const documentXml = `${XML_DECL}
+<w:document xmlns:w="${W_NS}">
+  <w:body>${bodyXml}</w:body>
+</w:document>`;
+
+  const contentTypesXml = `${XML_DECL}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+${parts
+  .map(
+    ([name]) =>
+      `  <Override PartName="/word/${name}.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.${name}+xml"/>`,
+  )
+  .join("\n")}
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`;
+
+  const relsXml = `${XML_DECL}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`;
+
+  const documentRelsXml = `${XML_DECL}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${parts
+  .map(
+    ([name], i) =>
+      `  <Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/${name}" Target="${name}.xml"/>`,
+  )
+  .join("\n")}
+</Relationships>`;
+
+  const appXml = `${XML_DECL}
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+  <Application>CareerOS</Application>
+</Properties>`;
+
+  return makeZip([
+    { name: "[Content_Types].xml", data: encodeUtf8(contentTypesXml) },
+    { name: "_rels/.rels", data: encodeUtf8(relsXml) },
+    {
+      name: "docProps/core.xml",
+      data: encodeUtf8(docxCoreXml({ title, author })),
+    },
+    { name: "docProps/app.xml", data: encodeUtf8(appXml) },
+    { name: "word/document.xml", data: encodeUtf8(documentXml) },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: encodeUtf8(documentRelsXml),
+    },
+    ...parts.map(([name, xml]) => ({
+      name: `word/${name}.xml`,
+      data: encodeUtf8(`${XML_DECL}\n${xml}`),
+    })),
+  ]);
+}
+
+// --------------------
+// Resume DOCX renderer
+// --------------------
+// Renders the panel's Resume JSON (see CO_RESUME_SCHEMA in content.js) the
+// way the backend template lays it out: centred name and contact line,
+// ruled section headings, "Title, Company" lines with the date range on a
+// right-aligned tab stop, and real bullet lists.
+const RESUME_PAGE = { width: 12240, height: 15840, marginX: 864, marginY: 720 };
+const RESUME_TEXT_WIDTH = RESUME_PAGE.width - 2 * RESUME_PAGE.marginX;
+const RESUME_BULLET_NUM_ID = 1;
+
+const RESUME_STYLES_XML = `<w:styles xmlns:w="${W_NS}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>
+      <w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="40" w:line="252" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/><w:qFormat/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="20"/><w:jc w:val="center"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ResumeContact">
+    <w:name w:val="Resume Contact"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:after="120"/><w:jc w:val="center"/></w:pPr>
+    <w:rPr><w:color w:val="404040"/><w:sz w:val="19"/><w:szCs w:val="19"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1">
+    <w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr>
+      <w:keepNext/>
+      <w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="808080"/></w:pBdr>
+      <w:spacing w:before="200" w:after="60"/>
+      <w:outlineLvl w:val="0"/>
+    </w:pPr>
+    <w:rPr><w:b/><w:caps/><w:spacing w:val="10"/><w:sz w:val="23"/><w:szCs w:val="23"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ResumeEntry">
+    <w:name w:val="Resume Entry"/><w:basedOn w:val="Normal"/><w:next w:val="ListBullet"/>
+    <w:pPr>
+      <w:keepNext/>
+      <w:tabs><w:tab w:val="right" w:pos="${RESUME_TEXT_WIDTH}"/></w:tabs>
+      <w:spacing w:before="100" w:after="20"/>
+    </w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="ListBullet">
+    <w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:numPr><w:numId w:val="${RESUME_BULLET_NUM_ID}"/></w:numPr>
+      <w:spacing w:after="20"/>
+    </w:pPr>
+  </w:style>
+</w:styles>`;
+
+const RESUME_NUMBERING_XML = `<w:numbering xmlns:w="${W_NS}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0">
+      <w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="\u2022"/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr>
+      <w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri"/></w:rPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="${RESUME_BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+function resumeDateRange(item) {
+  const start = String(item?.start_date || "").trim();
+  const end = String(item?.end_date || "").trim();
+  if (start) return `${start} \u2013 ${end || "Present"}`;
+  return end;
+}
+
+// Skills are a flat list or { category: [skills] }.
+function resumeSkillParagraphs(skills) {
+  if (Array.isArray(skills)) {
+    const list = skills.map((s) => String(s).trim()).filter(Boolean);
+    return list.length ? [docxParagraph(docxRun(list.join(", ")))] : [];
+  }
+  if (!skills || typeof skills !== "object") return [];
+  return Object.entries(skills)
+    .filter(([, list]) => Array.isArray(list) && list.length)
+    .map(([category, list]) =>
+      docxParagraph([
+        docxRun(`${category}: `, { bold: true }),
+        docxRun(list.map((s) => String(s).trim()).join(", ")),
+      ]),
+    );
+}
+
+function resumeBodyXml(resume) {
+  const r = resume || {};
+  const contact = r.contact || {};
+  const out = [];
+  const heading = (text) =>
+    out.push(docxParagraph(docxRun(text), { style: "Heading1" }));
+
+  out.push(docxParagraph(docxRun(contact.name || ""), { style: "Title" }));
+  const contactLine = ["location", "phone", "email", "linkedin", "website"]
+    .map((k) => String(contact[k] || "").trim())
+    .filter(Boolean)
+    .join("  |  ");
+  if (contactLine) {
+    out.push(docxParagraph(docxRun(contactLine), { style: "ResumeContact" }));
+  }
+
+  if (String(r.summary || "").trim()) {
+    heading("Summary");
+    out.push(docxParagraph(docxRun(String(r.summary).trim())));
+  }
+
+  const experience = Array.isArray(r.experience) ? r.experience : [];
+  if (experience.length) {
+    heading("Experience");
+    experience.forEach((job) => {
+      const where = [job?.company, job?.location].filter(Boolean).join(", ");
+      const dates = resumeDateRange(job);
+      out.push(
+        docxParagraph(
+          [
+            docxRun(job?.title || "", { bold: true }),
+            where ? docxRun(`, ${where}`) : "",
+            dates ? docxRun(dates, { tab: true, italic: true }) : "",
+          ],
+          { style: "ResumeEntry" },
+        ),
+      );
+      (Array.isArray(job?.bullets) ? job.bullets : [])
+        .map((b) => String(b).trim())
+        .filter(Boolean)
+        .forEach((b) =>
+          out.push(docxParagraph(docxRun(b), { style: "ListBullet" })),
+        );
+    });
+  }
+
+  const skills = resumeSkillParagraphs(r.skills);
+  if (skills.length) {
+    heading("Skills");
+    out.push(...skills);
+  }
+
+  const education = Array.isArray(r.education) ? r.education : [];
+  if (education.length) {
+    heading("Education");
+    education.forEach((ed) => {
+      const degree = [ed?.degree, ed?.field].filter(Boolean).join(", ");
+      const dates = resumeDateRange(ed);
+      out.push(
+        docxParagraph(
+          [
+            docxRun(ed?.school || "", { bold: true }),
+            degree ? docxRun(` \u2014 ${degree}`) : "",
+            dates ? docxRun(dates, { tab: true, italic: true }) : "",
+          ],
+          { style: "ResumeEntry" },
+        ),
+      );
+    });
+  }
+
+  const { width, height, marginX, marginY } = RESUME_PAGE;
+  out.push(
+    `<w:sectPr><w:pgSz w:w="${width}" w:h="${height}"/><w:pgMar w:top="${marginY}" w:right="${marginX}" w:bottom="${marginY}" w:left="${marginX}" w:header="360" w:footer="360" w:gutter="0"/></w:sectPr>`,
+  );
+  return out.join("");
+}
+
+async function resumeToDocxBytes(resume, { title } = {}) {
+  const name = String(resume?.contact?.name || "").trim();
+  return buildDocxPackage({
+    bodyXml: resumeBodyXml(resume),
+    stylesXml: RESUME_STYLES_XML,
+    numberingXml: RESUME_NUMBERING_XML,
+    title: title || (name ? `${name} \u2013 Resume` : "Resume"),
+    author: name || "CareerOS",
+  });
+}
+
+// --------------------
+// Cover letter DOCX
+// --------------------
+// Lays GPT's letter text out as a business letter: letterhead (sender name
+// and contact line), date, recipient block, greeting, justified body and a
+// signature. A greeting or sign-off already in the text is reused rather
+// than doubled. Font, size and margins come from the panel settings.
+const COVER_LETTER_DEFAULTS = { font: "Calibri", sizePt: 11, marginIn: 1 };
+const COVER_LETTER_GREETING_RE =
+  /^(dear|hello|hi|greetings|to whom it may concern)\b[^\n]{0,80}$/i;
+const COVER_LETTER_CLOSING_RE =
+  /^(sincerely|best|regards|(best|kind|warm) regards|respectfully|yours (sincerely|truly|faithfully))[,.!]?$/i;
+
+function coverLetterOptions(opts = {}) {
+  const num = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  };
+  const d = COVER_LETTER_DEFAULTS;
+  return {
+    font: String(opts.font || "").trim() || d.font,
+    sizePt: num(opts.sizePt, 8, 16, d.sizePt),
+    marginIn: num(opts.marginIn, 0.5, 2, d.marginIn),
+  };
+}
+
+// Splits the letter into greeting / body paragraphs / closing / signature.
+// Paragraphs are separated by blank lines; single line breaks inside one
+// are kept. The signature is whatever follows the sign-off (name variants,
+// phone, email, ...), falling back to the sender's name.
+function parseCoverLetterText(text, senderName) {
+  const paras = String(text || "")
+    .replace(/\r\n/g, "\n")
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  // No blank lines at all: treat every line as a paragraph.
+  const blocks =
+    paras.length === 1 ? paras[0].split("\n").map((l) => l.trim()) : paras;
+  const body = blocks.filter(Boolean);
+
+  let greeting = null;
+  if (body.length && COVER_LETTER_GREETING_RE.test(body[0])) {
+    greeting = body.shift();
+  }
+
+  let closing = null;
+  let signature = String(senderName || "").trim();
+  for (let i = body.length - 1; i >= Math.max(0, body.length - 3); i--) {
+    const [first, ...rest] = body[i].split("\n").map((l) => l.trim());
+    if (!COVER_LETTER_CLOSING_RE.test(first)) continue;
+    // Whatever follows the sign-off is the signature (name, contact).
+    const tail = [...rest, ...body.slice(i + 1)].join("\n").trim();
+    if (tail.length > 200) continue;
+    closing = first;
+    body.splice(i);
+    if (tail) signature = tail;
+    break;
+  }
+  return { greeting, body, closing, signature };
+}
+
+function coverLetterStylesXml({ font, sizePt }) {
+  const f = xmlEscape(font);
+  const sz = Math.round(sizePt * 2);
+  return `<w:styles xmlns:w="${W_NS}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="${f}" w:hAnsi="${f}" w:eastAsia="${f}" w:cs="${f}"/>
+      <w:sz w:val="${sz}"/><w:szCs w:val="${sz}"/><w:lang w:val="en-US"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/><w:qFormat/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="LetterheadName">
+    <w:name w:val="Letterhead Name"/><w:basedOn w:val="Normal"/>
+    <w:rPr><w:b/><w:sz w:val="${sz + 14}"/><w:szCs w:val="${sz + 14}"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="LetterheadContact">
+    <w:name w:val="Letterhead Contact"/><w:basedOn w:val="Normal"/>
+    <w:pPr>
+      <w:pBdr><w:bottom w:val="single" w:sz="6" w:space="4" w:color="808080"/></w:pBdr>
+      <w:spacing w:after="360"/>
+    </w:pPr>
+    <w:rPr><w:color w:val="404040"/><w:sz w:val="${sz - 3}"/><w:szCs w:val="${sz - 3}"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="LetterDate">
+    <w:name w:val="Letter Date"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:after="240"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="LetterRecipient">
+    <w:name w:val="Letter Recipient"/><w:basedOn w:val="Normal"/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="LetterSubject">
+    <w:name w:val="Letter Subject"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:before="240"/></w:pPr>
+    <w:rPr><w:b/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Salutation">
+    <w:name w:val="Salutation"/><w:basedOn w:val="Normal"/><w:next w:val="BodyText"/>
+    <w:pPr><w:spacing w:before="240" w:after="200"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="BodyText">
+    <w:name w:val="Body Text"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="200"/><w:jc w:val="both"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Closing">
+    <w:name w:val="Closing"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="120" w:after="720"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Signature">
+    <w:name w:val="Signature"/><w:basedOn w:val="Normal"/>
+  </w:style>
+</w:styles>`;
+}
+
+// Multi-line text as one paragraph, with <w:br/> between the lines.
+function docxLines(text) {
+  return String(text)
+    .split("\n")
+    .map((line, i) => (i ? "<w:r><w:br/></w:r>" : "") + docxRun(line))
+    .join("");
+}
+
+// opts: { sender: { name, email, phone, location, linkedin, website },
+//         company, position, date, font, sizePt, marginIn }
+async function coverLetterToDocxBytes(text, opts = {}) {
+  const style = coverLetterOptions(opts);
+  const sender = opts.sender || {};
+  const name = String(sender.name || "").trim();
+  const company = String(opts.company || "").trim();
+  const position = String(opts.position || "").trim();
+  const { greeting, body, closing, signature } = parseCoverLetterText(
+    text,
+    name,
+  );
+  const out = [];
+
+  if (name) {
+    out.push(docxParagraph(docxRun(name), { style: "LetterheadName" }));
+    const contactLine = ["location", "phone", "email", "linkedin", "website"]
+      .map((k) => String(sender[k] || "").trim())
+      .filter(Boolean)
+      .join("  |  ");
+    out.push(
+      docxParagraph(docxRun(contactLine), { style: "LetterheadContact" }),
+    );
+  }
+
+  const date =
+    opts.date ||
+    new Date().toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  out.push(docxParagraph(docxRun(date), { style: "LetterDate" }));
+
+  out.push(
+    docxParagraph(docxRun("Hiring Manager"), { style: "LetterRecipient" }),
+  );
+  if (company) {
+    out.push(docxParagraph(docxRun(company), { style: "LetterRecipient" }));
+  }
+  if (position) {
+    out.push(
+      docxParagraph(docxRun(`Re: ${position}`), { style: "LetterSubject" }),
+    );
+  }
+
+  out.push(
+    docxParagraph(docxRun(greeting || "Dear Hiring Manager,"), {
+      style: "Salutation",
+    }),
+  );
+  body.forEach((p) =>
+    out.push(docxParagraph(docxLines(p), { style: "BodyText" })),
+  );
+  out.push(
+    docxParagraph(docxRun(closing || "Sincerely,"), { style: "Closing" }),
+  );
+  if (signature) {
+    out.push(docxParagraph(docxLines(signature), { style: "Signature" }));
+  }
+
+  const m = Math.round(style.marginIn * 1440);
+  out.push(
+    `<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="${m}" w:right="${m}" w:bottom="${m}" w:left="${m}" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>`,
+  );
+
+  return buildDocxPackage({
+    bodyXml: out.join(""),
+    stylesXml: coverLetterStylesXml(style),
+    title: company ? `Cover Letter \u2013 ${company}` : "Cover Letter",
+    author: name || "CareerOS",
+  });
+}
+
+// --------------------
+// PDF writer
+// --------------------
+// Minimal text-only PDF 1.4 for when the backend's PDF isn't available:
+// the standard Helvetica faces (nothing embedded), WinAnsi text, word wrap
+// from the Adobe font metrics and automatic page breaks. The layout helpers
+// below mirror the resume and cover letter DOCX renderers.
+const PDF_MIME = "application/pdf";
+const PDF_FONTS = {
+  regular: { id: "F1", base: "Helvetica" },
+  bold: { id: "F2", base: "Helvetica-Bold" },
+  italic: { id: "F3", base: "Helvetica-Oblique" },
+};
+// Advance widths (1/1000 em) of ASCII 0x20-0x7e from the Helvetica and
+// Helvetica-Bold AFM files. Helvetica-Oblique shares the regular widths.
+const PDF_HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const PDF_HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+// Punctuation from WinAnsiEncoding's 0x80-0x9f block (also used to read
+// simple fonts without a ToUnicode map) and its Helvetica widths.
+const PDF_WIN_ANSI = {
+  0x80: "\u20ac",
+  0x85: "\u2026",
+  0x91: "\u2018",
+  0x92: "\u2019",
+  0x93: "\u201c",
+  0x94: "\u201d",
+  0x95: "\u2022",
+  0x96: "\u2013",
+  0x97: "\u2014",
+};
+const PDF_WIN_ANSI_CODES = Object.fromEntries(
+  Object.entries(PDF_WIN_ANSI).map(([code, ch]) => [ch, Number(code)]),
+);
+const PDF_WIN_ANSI_WIDTHS = {
+  0x80: 556,
+  0x85: 1000,
+  0x91: 222,
+  0x92: 222,
+  0x93: 333,
+  0x94: 333,
+  0x95: 350,
+  0x96: 556,
+  0x97: 1000,
+};
+
+// Text -> WinAnsi byte string (one char per byte). Characters outside the
+// encoding become "?" since standard fonts can't show them.
+function pdfEncodeText(text) {
+  return Array.from(String(text ?? "").normalize("NFC"), (ch) => {
+    const c = ch.codePointAt(0);
+    if (c === 9 || c === 10 || c === 13) return " "; // breaks inside a run
+    if ((c >= 0x20 && c <= 0x7e) || (c >= 0xa0 && c <= 0xff)) return ch;
+    const code = PDF_WIN_ANSI_CODES[ch];
+    return code ? String.fromCharCode(code) : "?";
+  }).join("");
+}
+
+function pdfTextWidth(encoded, font, size) {
+  const ascii =
+    font === "bold" ? PDF_HELVETICA_BOLD_WIDTHS : PDF_HELVETICA_WIDTHS;
+  let w = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const c = encoded.charCodeAt(i);
+    w += c <= 0x7e ? ascii[c - 0x20] : PDF_WIN_ANSI_WIDTHS[c] || 556;
+  }
+  return (w * size) / 1000;
+}
+
+function pdfString(encoded) {
+  const body = encoded
+    .replace(/[\\()]/g, "\\$&")
+    .replace(/[\x80-\xff]/g, (c) => `\\${c.charCodeAt(0).toString(8)}`);
+  return `(${body})`;
+}
+
+const pdfNum = (n) => String(Math.round(n * 100) / 100);
+
+function latin1Bytes(str) {
+  const out = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) out[i] = str.charCodeAt(i) & 0xff;
+  return out;
+}
+
+// Runs ([{ text, font }]) -> words, each a list of same-font pieces. A run
+// that starts without a space (", Acme") sticks to the previous word.
+function pdfWords(runs, size) {
+  const words = [];
+  runs.forEach(({ text, font = "regular" }) => {
+    for (const [, gap, word] of pdfEncodeText(text).matchAll(/( *)([^ ]+)/g)) {
+      const piece = { text: word, font, width: pdfTextWidth(word, font, size) };
+      const last = words[words.length - 1];
+      if (last && !gap) {
+        last.pieces.push(piece);
+        last.width += piece.width;
+      } else {
+        words.push({ pieces: [piece], width: piece.width });
+      }
+    }
+  });
+  return words;
+}
+
+// Greedy line breaking; a word wider than the line gets a line of its own.
+function pdfBreakLines(words, size, firstWidth, width) {
+  const space = pdfTextWidth(" ", "regular", size);
+  const lines = [];
+  let line = { words: [], width: 0 };
+  words.forEach((word) => {
+    const max = lines.length ? width : firstWidth;
+    const next = line.width + (line.words.length ? space : 0) + word.width;
+    if (line.words.length && next > max) {
+      lines.push(line);
+      line = { words: [word], width: word.width };
+    } else {
+      line.words.push(word);
+      line.width = next;
+    }
+  });
+  lines.push(line);
+  return lines;
+}
+
+// Flows paragraphs down the page, starting a new page when one is full.
+// Units are PDF points (1/72 in) from the bottom-left corner.
+function createPdfLayout({ width = 612, height = 792, marginX, marginY }) {
+  const pages = [];
+  const textWidth = width - 2 * marginX;
+  let ops = null;
+  let y = 0;
+
+  function newPage() {
+    ops = [];
+    pages.push(ops);
+    y = height - marginY;
+  }
+
+  function atTop() {
+    return !ops || y >= height - marginY;
+  }
+
+  // One text object per line; pieces: [{ text, font }]. Words keep real
+  // spaces between them (so the text can be copied or parsed back) and
+  // justified lines stretch those spaces with Tw, which outlives ET and so
+  // is set on every line.
+  function show(x, baseline, pieces, size, gray, wordSpacing = 0) {
+    const runs = [];
+    pieces.forEach(({ text, font }) => {
+      const last = runs[runs.length - 1];
+      if (last?.font === font) last.text += text;
+      else runs.push({ text, font });
+    });
+    const out = [
+      `BT ${pdfNum(gray)} g ${pdfNum(wordSpacing)} Tw`,
+      `${pdfNum(x)} ${pdfNum(baseline)} Td`,
+      ...runs.map(
+        ({ text, font }) =>
+          `/${PDF_FONTS[font].id} ${pdfNum(size)} Tf ${pdfString(text)} Tj`,
+      ),
+      "ET",
+    ];
+    ops.push(out.join(" "));
+  }
+
+  // runs: string or [{ text, font }]. opts: { size, align (left / center /
+  // justify), indent, bullet, right (text at the right margin on the first
+  // line, e.g. dates), rightFont, gray, before, after, leading, rule
+  // (line under the paragraph), keepNext (height to keep on this page) }
+  function paragraph(runs, opts = {}) {
+    const {
+      size = 11,
+      align = "left",
+      indent = 0,
+      bullet = null,
+      right = "",
+      rightFont = "italic",
+      gray = 0,
+      before = 0,
+      after = 0,
+      leading = 1.25,
+      rule = false,
+      keepNext = 0,
+    } = opts;
+    const list = typeof runs === "string" ? [{ text: runs }] : runs;
+    const rightText = pdfEncodeText(right);
+    const rightWidth = rightText ? pdfTextWidth(rightText, rightFont, size) : 0;
+    const width = textWidth - indent;
+    const lines = pdfBreakLines(
+      pdfWords(list, size),
+      size,
+      rightWidth ? width - rightWidth - size : width,
+      width,
+    );
+    const lineHeight = size * leading;
+
+    if (!atTop()) y -= before;
+    lines.forEach((line, i) => {
+      const need = lineHeight + (i === 0 ? keepNext : 0);
+      if (!ops || (y - need < marginY && !atTop())) newPage();
+      const baseline = y - size;
+      const gaps = line.words.length - 1;
+      const last = i === lines.length - 1;
+      let x = marginX + indent;
+      let extra = 0;
+      if (align === "center") x += (width - line.width) / 2;
+      if (align === "justify" && !last && gaps > 0) {
+        extra = (width - line.width) / gaps;
+      }
+      if (i === 0 && bullet) {
+        const mark = [{ text: pdfEncodeText(bullet), font: "regular" }];
+        show(x - size, baseline, mark, size, gray);
+      }
+      // The space takes the font of the word before it; Helvetica's three
+      // faces have the same space width, so the measured layout holds.
+      const pieces = line.words.flatMap((word, w) => {
+        if (w === gaps) return word.pieces;
+        const end = word.pieces[word.pieces.length - 1];
+        return [
+          ...word.pieces.slice(0, -1),
+          { ...end, text: `${end.text} ` },
+        ];
+      });
+      if (pieces.length) show(x, baseline, pieces, size, gray, extra);
+      if (i === 0 && rightWidth) {
+        const rx = marginX + textWidth - rightWidth;
+        show(rx, baseline, [{ text: rightText, font: rightFont }], size, gray);
+      }
+      y -= lineHeight;
+    });
+    if (rule) {
+      y -= 2;
+      ops.push(
+        `0.5 G 0.75 w ${pdfNum(marginX)} ${pdfNum(y)} m ${pdfNum(marginX + textWidth)} ${pdfNum(y)} l S 0 G`,
+      );
+    }
+    y -= after;
+  }
+
+  return {
+    paragraph,
+    finish: (info) =>
+      buildPdf(pages.length ? pages : [[]], width, height, info),
+  };
+}
+
+// zlib-wrapped DEFLATE for content streams (/FlateDecode); null when the
+// runtime can't compress, in which case streams are stored as-is.
+async function deflateZlib(bytes) {
+  if (typeof CompressionStream === "undefined") return null;
+  try {
+    return await pipeBytes(bytes, new CompressionStream("deflate"));
+  } catch (_) {
+    return null;
+  }
+}
+
+function pdfDate(d = new Date()) {
+  const p = (n) => String(n).padStart(2, "0");
+  const date = `${d.getUTCFullYear()}${p(d.getUTCMonth() + 1)}${p(d.getUTCDate())}`;
+  const time = `${p(d.getUTCHours())}${p(d.getUTCMinutes())}${p(d.getUTCSeconds())}`;
+  return `D:${date}${time}Z`;
+}
+
+async function buildPdf(pages, width, height, { title, author } = {}) {
+  const fontKeys = Object.keys(PDF_FONTS);
+  const firstPage = 3 + fontKeys.length; // 1 catalog, 2 pages, then fonts
+  const infoId = firstPage + pages.length * 2;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages
+      .map((_, i) => `${firstPage + i * 2} 0 R`)
+      .join(" ")}] /Count ${pages.length} >>`,
+    ...fontKeys.map(
+      (k) =>
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${PDF_FONTS[k].base} /Encoding /WinAnsiEncoding >>`,
+    ),
+  ];
+  const fontRes = fontKeys
+    .map((k, i) => `/${PDF_FONTS[k].id} ${3 + i} 0 R`)
+    .join(" ");
+  for (const [i, ops] of pages.entries()) {
+    const raw = latin1Bytes(ops.join("\n"));
+    const packed = await deflateZlib(raw);
+    const data = packed || raw;
+    const filter = packed ? " /Filter /FlateDecode" : "";
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << ${fontRes} >> >> /Contents ${firstPage + i * 2 + 1} 0 R >>`,
+      [`<< /Length ${data.length}${filter} >>\nstream\n`, data, "\nendstream"],
+    );
+  }
+  const info = [
+    title && `/Title ${pdfString(pdfEncodeText(title))}`,
+    author && `/Author ${pdfString(pdfEncodeText(author))}`,
+    "/Producer (CareerOS)",
+    `/CreationDate (${pdfDate()})`,
+  ];
+  objects.push(`<< ${info.filter(Boolean).join(" ")} >>`);
+
+  const chunks = [latin1Bytes("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n")];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(offset);
+    const parts = [`${i + 1} 0 obj\n`, ...[].concat(body), "\nendobj\n"];
+    parts.forEach((part) => {
+      const bytes = typeof part === "string" ? latin1Bytes(part) : part;
+      chunks.push(bytes);
+      offset += bytes.length;
+    });
+  });
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>`,
+    "startxref",
+    String(offset),
+    "%%EOF",
+  ];
+  chunks.push(latin1Bytes(`${xref.join("\n")}\n`));
+
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let at = 0;
+  chunks.forEach((c) => {
+    out.set(c, at);
+    at += c.length;
+  });
+  return out;
+}
+
+// Same layout as resumeBodyXml: centred name and contact line, ruled
+// section headings, entries with their dates at the right margin, bullets.
+async function resumeToPdfBytes(resume) {
+  const r = resume || {};
+  const contact = r.contact || {};
+  const name = String(contact.name || "").trim();
+  const pdf = createPdfLayout({
+    marginX: RESUME_PAGE.marginX / 20,
+    marginY: RESUME_PAGE.marginY / 20,
+  });
+  const body = { size: 10.5, after: 2 };
+  const heading = (text) =>
+    pdf.paragraph([{ text: text.toUpperCase(), font: "bold" }], {
+      size: 11.5,
+      before: 10,
+      after: 4,
+      rule: true,
+      keepNext: 30,
+    });
+
+  pdf.paragraph([{ text: name, font: "bold" }], {
+    size: 18,
+    align: "center",
+    after: 1,
+  });
+  const contactLine = ["location", "phone", "email", "linkedin", "website"]
+    .map((k) => String(contact[k] || "").trim())
+    .filter(Boolean)
+    .join("  |  ");
+  if (contactLine) {
+    pdf.paragraph(contactLine, {
+      size: 9.5,
+      align: "center",
+      gray: 0.25,
+      after: 6,
+    });
+  }
+
+  if (String(r.summary || "").trim()) {
+    heading("Summary");
+    pdf.paragraph(String(r.summary).trim(), body);
+  }
+
+  const experience = Array.isArray(r.experience) ? r.experience : [];
+  if (experience.length) {
+    heading("Experience");
+    experience.forEach((job) => {
+      const where = [job?.company, job?.location].filter(Boolean).join(", ");
+      pdf.paragraph(
+        [
+          { text: job?.title || "", font: "bold" },
+          { text: where ? `, ${where}` : "" },
+        ],
+        { ...body, before: 5, right: resumeDateRange(job), keepNext: 14 },
+      );
+      (Array.isArray(job?.bullets) ? job.bullets : [])
+        .map((b) => String(b).trim())
+        .filter(Boolean)
+        .forEach((b) =>
+          pdf.paragraph(b, { ...body, indent: 18, bullet: "\u2022" }),
+        );
+    });
+  }
+
+  // Skills are a flat list or { category: [skills] }.
+  const skills = r.skills;
+  const skillRows = Array.isArray(skills)
+    ? [[null, skills]]
+    : Object.entries(skills && typeof skills === "object" ? skills : {});
+  const rows = skillRows.filter(
+    ([, list]) => Array.isArray(list) && list.length,
+  );
+  if (rows.length) {
+    heading("Skills");
+    rows.forEach(([category, list]) =>
+      pdf.paragraph(
+        [
+          ...(category ? [{ text: `${category}: `, font: "bold" }] : []),
+          { text: list.map((s) => String(s).trim()).join(", ") },
+        ],
+        body,
+      ),
+    );
+  }
+
+  const education = Array.isArray(r.education) ? r.education : [];
+  if (education.length) {
+    heading("Education");
+    education.forEach((ed) => {
+      const degree = [ed?.degree, ed?.field].filter(Boolean).join(", ");
+      pdf.paragraph(
+        [
+          { text: ed?.school || "", font: "bold" },
+          { text: degree ? ` \u2014 ${degree}` : "" },
+        ],
+        { ...body, before: 5, right: resumeDateRange(ed) },
+      );
+    });
+  }
+
+  return pdf.finish({
+    title: name ? `${name} \u2013 Resume` : "Resume",
+    author: name || "CareerOS",
+  });
+}
+
+// Same letter layout as coverLetterToDocxBytes. Size and margins follow the
+// panel settings; the font setting only applies to the DOCX, since a PDF
+// without embedded fonts is limited to the standard faces.
+async function coverLetterToPdfBytes(text, opts = {}) {
+  const { sizePt, marginIn } = coverLetterOptions(opts);
+  const sender = opts.sender || {};
+  const name = String(sender.name || "").trim();
+  const company = String(opts.company || "").trim();
+  const position = String(opts.position || "").trim();
+  const { greeting, body, closing, signature } = parseCoverLetterText(
+    text,
+    name,
+  );
+  const pdf = createPdfLayout({
+    marginX: marginIn * 72,
+    marginY: marginIn * 72,
+  });
+  const size = sizePt;
+  const lines = (block, extra = {}) =>
+    block.split("\n").forEach((line, i, all) =>
+      pdf.paragraph(line, {
+        size,
+        ...extra,
+        before: i ? 0 : extra.before,
+        after: i < all.length - 1 ? 0 : extra.after,
+      }),
+    );
+
+  if (name) {
+    pdf.paragraph([{ text: name, font: "bold" }], { size: size + 7 });
+    const contactLine = ["location", "phone", "email", "linkedin", "website"]
+      .map((k) => String(sender[k] || "").trim())
+      .filter(Boolean)
+      .join("  |  ");
+    pdf.paragraph(contactLine, {
+      size: size - 1.5,
+      gray: 0.25,
+      rule: true,
+      after: 18,
+    });
+  }
+
+  const date =
+    opts.date ||
+    new Date().toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "long",
+      day: "numeric",
+    });
+  pdf.paragraph(date, { size, after: 12 });
+  pdf.paragraph("Hiring Manager", { size });
+  if (company) pdf.paragraph(company, { size });
+  if (position) {
+    pdf.paragraph([{ text: `Re: ${position}`, font: "bold" }], {
+      size,
+      before: 12,
+    });
+  }
+
+  pdf.paragraph(greeting || "Dear Hiring Manager,", {
+    size,
+    before: 12,
+    after: 10,
+  });
+  body.forEach((p) => lines(p, { align: "justify", after: 10 }));
+  pdf.paragraph(closing || "Sincerely,", {
+    size,
+    before: 6,
+    after: 36,
+    keepNext: 36 + size * 1.25,
+  });
+  if (signature) lines(signature);
+
+  return pdf.finish({
+    title: company ? `Cover Letter \u2013 ${company}` : "Cover Letter",
+    author: name || "CareerOS",
+  });
+}
+
+// --------------------
+// Resume import (DOCX / PDF)
+// --------------------
+// Turns an existing resume file into the Resume JSON structure so a user's
+// base resume can be set from the panel. Files are reduced to lines
+// ({ text, bullet, heading }), which are then split into sections by their
+// headings. It is a best guess: the panel shows the result for correction
+// before anything is saved.
+function xmlUnescape(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) =>
+      String.fromCodePoint(parseInt(h, 16)),
+    )
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&amp;/g, "&");
+}
+
+const RESUME_BULLET_RE =
+  /^[\u2022\u25aa\u25cf\u25e6\u2023\u2219\u00b7\uf0b7\uf0a7*\u2013-]\s+/;
+
+function resumeLine(text, flags = {}) {
+  const raw = String(text || "").replace(/\s+$/, "");
+  const bullet = !!flags.bullet || RESUME_BULLET_RE.test(raw.trim());
+  return {
+    text: raw.trim().replace(RESUME_BULLET_RE, "").trim(),
+    bullet,
+    heading: !!flags.heading,
+  };
+}
+
+// The service worker has no DOMParser, so document.xml is read with
+// regexes: enough for paragraphs, runs, tabs, breaks and list numbering.
+async function docxToLines(bytes) {
+  const entries = await readZip(bytes);
+  const doc = entries.find((e) => e.name === "word/document.xml");
+  if (!doc) throw new Error("Not a Word document (word/document.xml missing)");
+  const xml = new TextDecoder().decode(doc.data);
+
+  const lines = [];
+  for (const [p] of xml.matchAll(/<w:p[\s>][\s\S]*?<\/w:p>/g)) {
+    const style = (p.match(/<w:pStyle w:val="([^"]+)"/) || [])[1] || "";
+    let text = "";
+    const tokens =
+      /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:tab\/>|<w:br\/>|<w:cr\/>/g;
+    for (const [token, t] of p.matchAll(tokens)) {
+      if (t != null) text += xmlUnescape(t);
+      else text += token === "<w:tab/>" ? "\t" : "\n";
+    }
+    const flags = {
+      bullet: /<w:numPr>/.test(p) || /^List/i.test(style),
+      heading: /^(Heading|Title)/i.test(style),
+    };
+    text
+      .split("\n")
+      .filter((l) => l.trim())
+      .forEach((l) => lines.push(resumeLine(l, flags)));
+  }
+  return lines;
+}
+
+async function inflateZlib(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("DEFLATE is not supported in this browser");
+  }
+  return pipeBytes(bytes, new DecompressionStream("deflate"));
+}
+
+// Code -> text table from a ToUnicode CMap (bfchar and bfrange entries).
+function parsePdfCMap(text, cmap) {
+  const hexText = (h) => {
+    let out = "";
+    for (let i = 0; i + 4 <= h.length; i += 4) {
+      out += String.fromCharCode(parseInt(h.slice(i, i + 4), 16));
+    }
+    return out || String.fromCharCode(parseInt(h, 16));
+  };
+  for (const [, block] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of block.matchAll(
+      /<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi,
+    )) {
+      cmap.set(src.toUpperCase(), hexText(dst));
+      cmap.codeLength = src.length / 2;
+    }
+  }
+  for (const [, block] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const ranges = block.matchAll(
+      /<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi,
+    );
+    for (const [, lo, hi, dst] of ranges) {
+      const from = parseInt(lo, 16);
+      const to = Math.min(parseInt(hi, 16), from + 0xffff);
+      const list = dst.startsWith("[")
+        ? [...dst.matchAll(/<([0-9a-f]*)>/gi)].map((m) => hexText(m[1]))
+        : null;
+      const base = list ? 0 : parseInt(dst.slice(1, -1), 16);
+      for (let c = from; c <= to; c++) {
+        const key = c.toString(16).toUpperCase().padStart(lo.length, "0");
+        cmap.set(
+          key,
+          list ? list[c - from] ?? "" : String.fromCodePoint(base + c - from),
+        );
+      }
+      cmap.codeLength = lo.length / 2;
+    }
+  }
+}
+
+function pdfStringBytes(token) {
+  if (token.startsWith("<")) {
+    const hex = token.slice(1, -1).replace(/\s+/g, "");
+    const padded = hex.length % 2 ? `${hex}0` : hex;
+    let out = "";
+    for (let i = 0; i < padded.length; i += 2) {
+      out += String.fromCharCode(parseInt(padded.slice(i, i + 2), 16));
+    }
+    return out;
+  }
+  const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+  return token
+    .slice(1, -1)
+    .replace(/\\([0-7]{1,3}|[\s\S])/g, (_, e) =>
+      /^[0-7]/.test(e)
+        ? String.fromCharCode(parseInt(e, 8) & 0xff)
+        : e === "\n" || e === "\r"
+          ? ""
+          : (escapes[e] ?? e),
+    );
+}
+
+function pdfDecodeString(token, cmap) {
+  const bytes = pdfStringBytes(token);
+  if (!cmap.size) {
+    return bytes.replace(
+      /[\x80-\x9f]/g,
+      (c) => PDF_WIN_ANSI[c.charCodeAt(0)] || "",
+    );
+  }
+  const width = cmap.codeLength || 1;
+  let out = "";
+  for (let i = 0; i < bytes.length; i += width) {
+    let key = "";
+    for (let j = 0; j < width; j++) {
+      key += (bytes.charCodeAt(i + j) || 0).toString(16).padStart(2, "0");
+    }
+    const mapped = cmap.get(key.toUpperCase());
+    out += mapped ?? (width === 1 ? bytes[i] : "");
+  }
+  return out;
+}
+
+// Replays the text operators of one content stream into lines. A new line
+// starts on T*, ' and " and whenever the text position moves vertically.
+function pdfContentLines(content, cmap, lines) {
+  const tokenRe =
+    /\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-f\s]*>|\[|\]|[-+]?(?:\d+\.?\d*|\.\d+)|\/[^\s/[\]()<>]+|[a-z'"*]+/gi;
+  let line = "";
+  let stack = [];
+  let array = null;
+  let y = 0; // text line position (BT resets it)
+  let lineY = null; // where the current line was drawn
+  let moved = false;
+  const flush = () => {
+    if (line.trim()) lines.push(resumeLine(line));
+    line = "";
+  };
+  // Called before text is shown: a vertical move starts a new line, a
+  // horizontal one (next word / column) is a space.
+  const place = () => {
+    if (lineY != null && Math.abs(y - lineY) > 1) flush();
+    else if (moved && line && !/\s$/.test(line)) line += " ";
+    lineY = y;
+    moved = false;
+  };
+
+  for (const [tok] of content.matchAll(tokenRe)) {
+    if (tok === "[") {
+      array = [];
+    } else if (tok === "]") {
+      stack.push(array || []);
+      array = null;
+    } else if (/^[(<]/.test(tok) || /^[-+.\d]/.test(tok)) {
+      const value = /^[(<]/.test(tok) ? { str: tok } : Number(tok);
+      (array || stack).push(value);
+    } else if (tok.startsWith("/")) {
+      stack.push(tok);
+    } else {
+      const top = stack[stack.length - 1];
+      if (tok === "Tj" && top?.str) {
+        place();
+        line += pdfDecodeString(top.str, cmap);
+      } else if ((tok === "'" || tok === '"') && top?.str) {
+        flush();
+        line += pdfDecodeString(top.str, cmap);
+      } else if (tok === "TJ" && Array.isArray(top)) {
+        place();
+        top.forEach((part) => {
+          if (part?.str) line += pdfDecodeString(part.str, cmap);
+          else if (part < -200 && !/\s$/.test(line)) line += " ";
+        });
+      } else if (tok === "BT") {
+        y = 0;
+        moved = true;
+      } else if ((tok === "Td" || tok === "TD") && typeof top === "number") {
+        y += top;
+        moved = true;
+      } else if (tok === "Tm" && typeof top === "number") {
+        y = top;
+        moved = true;
+      } else if (tok === "T*") {
+        flush();
+      }
+      stack = [];
+    }
+  }
+  flush();
+}
+
+// Basic PDF text extraction: (Flate) content streams and the strings shown
+// by Tj / TJ / ' / ". ToUnicode CMaps are merged into one table, which
+// covers typical Word / Google Docs exports. Scanned PDFs have no text.
+async function pdfToLines(bytes) {
+  const raw = new TextDecoder("latin1").decode(bytes);
+  const streams = [];
+  const streamRe = /\bstream\r?\n/g;
+  let m;
+  while ((m = streamRe.exec(raw))) {
+    const start = m.index + m[0].length;
+    const end = raw.indexOf("endstream", start);
+    if (end < 0) break;
+    streamRe.lastIndex = end;
+    const dictStart = Math.max(0, raw.lastIndexOf("obj", m.index));
+    const dict = raw.slice(dictStart, m.index);
+    let data = bytes.subarray(start, end);
+    while (data.length && [10, 13].includes(data[data.length - 1])) {
+      data = data.subarray(0, data.length - 1);
+    }
+    if (/\/FlateDecode/.test(dict)) {
+      data = await inflateZlib(data).catch(() => null);
+      if (!data) continue;
+    } else if (/\/Filter/.test(dict)) {
+      continue; // images and other encodings carry no text we can read
+    }
+    streams.push(new TextDecoder("latin1").decode(data));
+  }
+
+  const cmap = new Map();
+  streams
+    .filter((s) => s.includes("begincmap"))
+    .forEach((s) => parsePdfCMap(s, cmap));
+
+  const lines = [];
+  streams
+    .filter((s) => /\bBT\b/.test(s) && /T[jJ]\b/.test(s))
+    .forEach((s) => pdfContentLines(s, cmap, lines));
+  if (!lines.length) {
+    throw new Error(
+      "No text found in the PDF (scanned or image-only?). Try the DOCX version.",
+    );
+  }
+  return lines;
+}
+
+const RESUME_SECTION_HEADINGS = {
+  summary:
+    /^(summary|professional summary|profile|professional profile|about( me)?|(career )?objective)$/i,
+  experience:
+    /^((work |professional |relevant )?experience|employment( history)?|work history|career history)$/i,
+  skills:
+    /^((technical |core |key )?skills|core competencies|competencies|technologies|skills (&|and) \w+)$/i,
+  education:
+    /^(education|education (&|and) \w+|academic background)$/i,
+};
+const RESUME_TITLE_WORDS =
+  /\b(engineer|developer|manager|designer|analyst|lead|director|intern|consultant|architect|specialist|scientist|officer|head|vp|president|coordinator|administrator|programmer|associate|assistant)\b/i;
+const RESUME_SCHOOL_WORDS =
+  /\b(university|college|institute|school|academy|polytechnic)\b/i;
+const RESUME_MONTH =
+  "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const RESUME_DATE = `(?:${RESUME_MONTH}\\s+)?(?:\\d{1,2}\\/)?\\d{4}`;
+const RESUME_RANGE_RE = new RegExp(
+  `(${RESUME_DATE})\\s*(?:[-\u2013\u2014]|to)\\s*(${RESUME_DATE}|present|current|now)`,
+  "i",
+);
+const RESUME_END_DATE_RE = new RegExp(`(${RESUME_DATE}|present)\\s*$`, "i");
+
+function resumeSectionOf(line) {
+  const text = line.text.replace(/[:\s]+$/, "").replace(/\s+/g, " ");
+  if (text.length > 40) return null;
+  for (const [section, re] of Object.entries(RESUME_SECTION_HEADINGS)) {
+    if (re.test(text)) return section;
+  }
+  // Other headings (Projects, Certifications...) end the current section.
+  const shouty =
+    /^[A-Z][A-Z &/-]{2,}$/.test(text) && text.split(" ").length <= 4;
+  return line.heading || shouty ? "other" : null;
+}
+
+// "Senior Engineer, Acme — Remote<tab>Jan 2020 – Present" ->
+// { parts: ["Senior Engineer", "Acme", "Remote"], start_date, end_date }
+function splitResumeEntry(text) {
+  let rest = text;
+  let start_date = "";
+  let end_date = "";
+  const range = rest.match(RESUME_RANGE_RE);
+  if (range) {
+    [start_date, end_date] = [range[1], range[2]];
+    rest = rest.replace(range[0], " ");
+  } else {
+    const end = rest.match(RESUME_END_DATE_RE);
+    if (end) {
+      end_date = end[1];
+      rest = rest.slice(0, end.index);
+    }
+  }
+  const parts = rest
+    .split(/\t|\s+\|\s+|\s+[\u2013\u2014-]\s+|\s+at\s+|,\s+|\s{3,}/)
+    .map((p) => p.trim().replace(/^[(]|[)]$/g, ""))
+    .filter(Boolean);
+  return { parts, start_date, end_date };
+}
+
+function parseResumeContact(lines) {
+  const contact = { name: "" };
+  const pieces = lines
+    .flatMap((l) => l.text.split(/\s*[|\u2022\u00b7\t]\s*|\s{2,}/))
+    .map((p) => p.trim())
+    .filter(Boolean);
+  contact.name = pieces.shift() || "";
+  for (const piece of pieces) {
+    if (!contact.email && /^[\w.+-]+@[\w-]+\.[\w.-]+$/.test(piece)) {
+      contact.email = piece;
+    } else if (!contact.linkedin && /linkedin\.com\//i.test(piece)) {
+      contact.linkedin = piece;
+    } else if (!contact.phone && /^\+?[\d\s().-]{7,}$/.test(piece)) {
+      contact.phone = piece;
+    } else if (!contact.website && /^\S+\.[a-z]{2,}(\/\S*)?$/i.test(piece)) {
+      contact.website = piece;
+    } else if (
+      !contact.location &&
+      /,|remote/i.test(piece) &&
+      !/\d{3}/.test(piece)
+    ) {
+      contact.location = piece;
+    }
+  }
+  return contact;
+}
+
+function parseResumeExperience(lines, joinWrapped) {
+  const jobs = [];
+  let current = null;
+  for (const line of lines) {
+    const last = current?.bullets[current.bullets.length - 1];
+    if (line.bullet) {
+      if (!current) {
+        jobs.push((current = { title: "", company: "", bullets: [] }));
+      }
+      current.bullets.push(line.text);
+      continue;
+    }
+    const { parts, start_date, end_date } = splitResumeEntry(line.text);
+    const dated = !!(start_date || end_date);
+    // Wrapped bullet text (PDF only): no date, and the previous bullet
+    // didn't end its sentence or this one starts lowercase.
+    const wrapped = /^[a-z(]/.test(line.text) || !/[.!?]$/.test(last || "");
+    if (joinWrapped && last && !dated && wrapped) {
+      current.bullets[current.bullets.length - 1] = `${last} ${line.text}`;
+      continue;
+    }
+    // Second header line (company and/or dates) before any bullets.
+    const headerOpen =
+      current &&
+      !current.bullets.length &&
+      (!current.company || !current.end_date);
+    if (headerOpen) {
+      if (!current.company && parts[0]) current.company = parts.shift();
+      if (!current.location && parts.length) {
+        current.location = parts.join(", ");
+      }
+      if (dated && !current.end_date) {
+        Object.assign(current, { start_date, end_date });
+      }
+      continue;
+    }
+    let [title = "", company = "", ...where] = parts;
+    if (!RESUME_TITLE_WORDS.test(title) && RESUME_TITLE_WORDS.test(company)) {
+      [title, company] = [company, title];
+    }
+    current = { title, company, bullets: [] };
+    if (where.length) current.location = where.join(", ");
+    if (dated) Object.assign(current, { start_date, end_date });
+    jobs.push(current);
+  }
+  return jobs;
+}
+
+function parseResumeSkills(lines) {
+  const categories = {};
+  const flat = [];
+  const split = (s) =>
+    s.split(/[,;|\u2022]/).map((x) => x.trim()).filter(Boolean);
+  lines.forEach(({ text }) => {
+    const m = text.match(/^([^:]{1,40}):\s*(.+)$/);
+    if (m) categories[m[1].trim()] = split(m[2]);
+    else flat.push(...split(text));
+  });
+  if (!Object.keys(categories).length) return flat;
+  if (flat.length) categories.Other = flat;
+  return categories;
+}
+
+function parseResumeEducation(lines) {
+  const schools = [];
+  let current = null;
+  for (const line of lines) {
+    const { parts, start_date, end_date } = splitResumeEntry(line.text);
+    const schoolIdx = parts.findIndex((p) => RESUME_SCHOOL_WORDS.test(p));
+    if (!current || (schoolIdx >= 0 && current.school)) {
+      const [school] = parts.splice(Math.max(schoolIdx, 0), 1);
+      schools.push((current = { school: school || "" }));
+    }
+    const degree = parts.join(", ");
+    if (degree && !current.degree) {
+      const [deg, ...field] = degree.split(/\s+in\s+|,\s+/i);
+      current.degree = deg;
+      if (field.length) current.field = field.join(", ");
+    }
+    if ((start_date || end_date) && !current.end_date) {
+      if (start_date) current.start_date = start_date;
+      current.end_date = end_date;
+    }
+  }
+  return schools;
+}
+
+// lines -> { resume, warnings }. joinWrapped: the lines come from a PDF, so
+// long bullets arrive split over several lines.
+function linesToResume(lines, { joinWrapped = false } = {}) {
+  const sections = {
+    header: [],
+    summary: [],
+    experience: [],
+    skills: [],
+    education: [],
+    other: [],
+  };
+  let section = "header";
+  for (const line of lines.filter((l) => l.text)) {
+    // The first line is the name, even when it is styled as a heading.
+    const next =
+      section === "header" && !sections.header.length
+        ? null
+        : resumeSectionOf(line);
+    if (next) {
+      section = next;
+      continue;
+    }
+    sections[section].push(line);
+  }
+
+  const warnings = [];
+  const found = ["summary", "experience", "skills", "education"].filter(
+    (k) => sections[k].length,
+  );
+  if (!found.length) {
+    warnings.push(
+      "No section headings were recognised; everything after the contact lines went into the summary.",
+    );
+    sections.summary = sections.header.splice(2);
+  }
+  const resume = {
+    contact: parseResumeContact(sections.header),
+    summary: sections.summary.map((l) => l.text).join(" "),
+    experience: parseResumeExperience(sections.experience, joinWrapped),
+    skills: parseResumeSkills(sections.skills),
+    education: parseResumeEducation(sections.education),
+  };
+  ["summary", "experience", "skills", "education"]
+    .filter((k) => !found.includes(k))
+    .forEach((k) => warnings.push(`No "${k}" section found.`));
+  return { resume, warnings };
+}
+
+async function parseResumeFile(bytes, filename = "") {
+  const head = String.fromCharCode(...bytes.subarray(0, 5));
+  const ext = (String(filename).match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+  if (head.startsWith("PK")) return linesToResume(await docxToLines(bytes));
+  if (head === "%PDF-") {
+    return linesToResume(await pdfToLines(bytes), { joinWrapped: true });
+  }
+  if (ext === "doc") {
+    throw new Error("Old .doc files aren't supported; save it as DOCX first.");
+  }
+  throw new Error("Unsupported file: choose a DOCX or PDF resume.");
+}
+
+function uint8ToBase64(u8) {
+  let s = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < u8.length; i += chunk) {
+    s += String.fromCharCode.apply(null, u8.subarray(i, i + chunk));
+  }
+  return btoa(s);
+}
+
+function sanitizeFilename(name) {
+  return String(name || "cover_letter.docx")
+    .replace(/[<>:"/\\|?*\x00-\x1F]/g, "_")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Wait for a download to complete (or fail).
+// NOTE: chrome.downloads.download() returns immediately after queuing.
+// Without waiting, the UI can appear to download all resumes first and then
+// all cover letters. This makes downloads truly per-user in sequence.
+function waitForDownloadComplete(downloadId, timeoutMs = 120000) {
+  return new Promise((resolve) => {
+    if (!downloadId) return resolve({ ok: false, error: "Missing downloadId" });
+
+    let done = false;
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      try {
+        chrome.downloads.onChanged.removeListener(onChanged);
+      } catch (_) {}
+      clearTimeout(timer);
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish({ ok: false, error: "Download timed out" });
+    }, timeoutMs);
+
+    const onChanged = (delta) => {
+      if (!delta || delta.id !== downloadId) return;
+      if (delta.error && delta.error.current) {
+        finish({ ok: false, error: delta.error.current });
+        return;
+      }
+      if (delta.state && delta.state.current) {
+        if (delta.state.current === "complete") {
+          finish({ ok: true });
+        } else if (delta.state.current === "interrupted") {
+          finish({ ok: false, error: "interrupted" });
+        }
+      }
+    };
+
+    chrome.downloads.onChanged.addListener(onChanged);
+  });
+}
+
+function base64ToUint8(b64) {
+  const raw = atob(String(b64 || ""));
+  const out = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+  return out;
+}
+
+// Downloads generated DOCX / PDF bytes as a data: URL (blob URLs aren't
+// available to a service worker) and waits for the download to finish.
+async function downloadFileBytes(bytes, filename, saveAs, mime = DOCX_MIME) {
+  const dataUrl = `data:${mime};base64,${uint8ToBase64(bytes)}`;
+  const created = await new Promise((resolve) => {
+    chrome.downloads.download(
+      { url: dataUrl, filename, saveAs: !!saveAs },
+      (id) => {
+        const err = chrome.runtime.lastError;
+        if (err) resolve({ error: err.message });
+        else resolve({ id });
+      },
+    );
+  });
+  if (!created || created.error) {
+    return { ok: false, error: created?.error || "Download failed" };
+  }
+
+  const waited = await waitForDownloadComplete(created.id);
+  if (!waited.ok) {
+    return {
+      ok: false,
+      error: waited.error || "Download failed",
+      downloadId: created.id,
+    };
+  }
+  return { ok: true, downloadId: created.id };
+}
+
+// Mutex for the "activate tab + type prompt + click send" step. Without
+// this, multiple GPT tabs opened in rapid succession would race for focus
+// and only the last-activated tab could reliably type into the composer.
+// The lock is short-lived (held only while typing + sending, ~1-2s per
+// tab) so generations still stream in parallel once released.
+//
+// Holder and queue live in chrome.storage.session, not in worker memory, so
+// a suspended service worker doesn't strand the queue. Bridges poll
+// CO_GPT_ACQUIRE_TYPING until granted rather than holding a response open.
+const TYPING_LOCK_KEY = "gptTyping";
+const TYPING_HOLD_MAX_MS = 20000; // holder is released after this regardless
+const TYPING_WAITER_STALE_MS = 5000; // waiter stopped polling (tab gone)
+
+let _coStateChain = Promise.resolve();
+
+// Runs fn after every earlier state update has settled, so concurrent
+// message handlers can't clobber each other's read-modify-write.
+function serializeState(fn) {
+  const run = _coStateChain.then(fn, fn);
+  _coStateChain = run.catch(() => {});
+  return run;
+}
+
+async function readTypingLock() {
+  const stored = await chrome.storage.session.get([TYPING_LOCK_KEY]);
+  const lock = stored[TYPING_LOCK_KEY] || {};
+  return {
+    holder: lock.holder ?? null,
+    since: lock.since || 0,
+    queue: Array.isArray(lock.queue) ? lock.queue : [], // [{ tabId, seenAt }]
+  };
+}
+
+// Returns true once tabId holds the lock; until then it keeps its place in
+// the queue as long as it keeps polling.
+function acquireTyping(tabId) {
+  return serializeState(async () => {
+    const lock = await readTypingLock();
+    if (lock.holder === tabId) return true; // response to an earlier poll lost
+
+    const now = Date.now();
+    if (lock.holder != null && now - lock.since > TYPING_HOLD_MAX_MS) {
+      lock.holder = null;
+    }
+    const waiter = lock.queue.find((w) => w.tabId === tabId);
+    if (waiter) waiter.seenAt = now;
+    else lock.queue.push({ tabId, seenAt: now });
+    lock.queue = lock.queue.filter(
+      (w) => now - w.seenAt < TYPING_WAITER_STALE_MS,
+    );
+
+    let granted = false;
+    if (lock.holder == null && lock.queue[0]?.tabId === tabId) {
+      lock.queue.shift();
+      lock.holder = tabId;
+      lock.since = now;
+      granted = true;
+    }
+    await chrome.storage.session.set({ [TYPING_LOCK_KEY]: lock });
+
+    if (granted) {
+      await mutateGptJobs((jobs) => {
+        const job = jobs[String(tabId)];
+        if (job?.state === "queued") setJobState(job, "typing");
+      });
+    }
+    return granted;
+  });
+}
+
+function releaseTyping(tabId) {
+  return serializeState(async () => {
+    const lock = await readTypingLock();
+    lock.queue = lock.queue.filter((w) => w.tabId !== tabId);
+    if (lock.holder === tabId) lock.holder = null;
+    await chrome.storage.session.set({ [TYPING_LOCK_KEY]: lock });
+
+    // The prompt is sent once the bridge lets go of the lock.
+    await mutateGptJobs((jobs) => {
+      const job = jobs[String(tabId)];
+      if (job?.state === "typing") setJobState(job, "generating");
+    });
+  });
+}
+
+// --------------------
+// GPT job state
+// --------------------
+// gptJobs (chrome.storage.local) holds one entry per running job: keyed by
+// GPT tab id for the ChatGPT tab provider, or "http:<jobId>" for endpoint
+// jobs. Each entry walks queued -> typing -> generating -> done | failed.
+// A job waiting out a retry backoff sits under "retry:<jobId>" in state
+// "retrying" until its retryAt.
+// Finished entries linger so late bridge results are recognised and, for
+// done jobs, so the panel can keep refining them; a periodic sweep fails
+// jobs that stall or lose their tab. Each entry's transcript holds the
+// conversation turns: [{ role: "user" | "assistant", text, kind?, at }].
+const GPT_JOB_TIMEOUTS_MS = {
+  queued: 90_000, // bridge never picked the job up
+  typing: 60_000,
+  generating: 360_000, // measured from the last progress update
+};
+const GPT_JOB_KEEP_MS = 10 * 60_000;
+const GPT_CONVERSATION_KEEP_MS = 2 * 60 * 60_000;
+const GPT_SWEEP_ALARM = "co-gpt-sweep";
+
+function setJobState(job, state, extra) {
+  return Object.assign(job, extra, { state, updatedAt: Date.now() });
+}
+
+function isJobFinished(job) {
+  return job?.state === "done" || job?.state === "failed";
+}
+
+async function getGptJobs() {
+  const existing = await chrome.storage.local.get(["gptJobs"]);
+  return existing.gptJobs && typeof existing.gptJobs === "object"
+    ? existing.gptJobs
+    : {};
+}
+
+// Unserialized; only call from inside serializeState().
+async function mutateGptJobs(fn) {
+  const jobs = await getGptJobs();
+  const result = await fn(jobs);
+  await chrome.storage.local.set({ gptJobs: jobs });
+  return result;
+}
+
+function updateGptJobs(fn) {
+  return serializeState(() => mutateGptJobs(fn));
+}
+
+async function tabExists(tabId) {
+  try {
+    return !!(await chrome.tabs.get(tabId));
+  } catch (_) {
+    return false;
+  }
+}
+
+// Marks the job done/failed and tells the origin tab, once. The panel may
+// answer a result with { followUp: prompt } (e.g. "return valid JSON"), in
+// which case the job continues in the same conversation. `extra` is merged
+// into the entry (e.g. the bridge's conversationUrl). Resolves to
+// { job, followingUp }; job is null if it was unknown or already finished
+// (e.g. the sweep timed it out).
+async function completeGptJob(key, { text, error }, extra = {}) {
+  const job = await updateGptJobs((jobs) => {
+    const entry = key != null ? jobs[key] : null;
+    if (!entry || isJobFinished(entry)) return null;
+    if (text) {
+      entry.transcript = [
+        ...(entry.transcript || []),
+        { role: "assistant", text, at: Date.now() },
+      ];
+    }
+    setJobState(entry, error ? "failed" : "done", {
+      ...extra,
+      error: error || null,
+    });
+    return { ...entry };
+  });
+  if (!job) return { job: null, followingUp: false };
+
+  const resp = await deliverGptResult(job, { text, error });
+  const prompt = !error && typeof resp?.followUp === "string" && resp.followUp;
+  if (!prompt || gptRepairsLeft(job) <= 0) {
+    return { job, followingUp: false };
+  }
+  const followingUp = await continueGptJob(key, prompt, "repair");
+  return { job, followingUp };
+}
+
+// --------------------
+// GPT follow-up turns
+// --------------------
+// A finished job can be sent another prompt in the conversation that
+// produced it: the ChatGPT tab bridge types it into the same chat (reopening
+// the conversation URL if the tab is gone), and the endpoint provider
+// replays the transcript. Follow-ups are either automatic JSON repairs,
+// capped so a model that keeps emitting broken JSON can't loop forever, or
+// refinements the user types in the panel.
+const GPT_MAX_REPAIRS = 2;
+
+function gptUserTurns(job) {
+  return (job?.transcript || []).filter((t) => t.role === "user").length;
+}
+
+function gptRepairsLeft(job) {
+  const provider = GPT_PROVIDERS[job?.provider];
+  if (!provider?.followUp) return 0;
+  return Math.max(0, GPT_MAX_REPAIRS - (job.repairs || 0));
+}
+
+// kind: "repair" | "refine". Returns true once the provider accepted the
+// follow-up. On failure the origin tab gets an error result, since its
+// panel is already waiting.
+async function continueGptJob(key, prompt, kind) {
+  const job = await updateGptJobs((jobs) => {
+    const entry = jobs[key];
+    if (!entry) return null;
+    const state = key.startsWith("http:") ? "generating" : "queued";
+    entry.transcript = [
+      ...(entry.transcript || []),
+      { role: "user", text: prompt, kind, at: Date.now() },
+    ];
+    setJobState(entry, state, {
+      error: null,
+      repairs: (entry.repairs || 0) + (kind === "repair" ? 1 : 0),
+    });
+    return { ...entry };
+  });
+  if (!job) return false;
+
+  const provider = GPT_PROVIDERS[job.provider];
+  const ok = await provider
+    .followUp(job, { key, prompt })
+    .catch(() => false);
+  if (!ok) {
+    await completeGptJob(key, {
+      error: "Could not send the follow-up to GPT (was its tab closed?).",
+    });
+  }
+  return ok;
+}
+
+// Fails stalled and orphaned jobs and drops old finished ones.
+async function sweepGptJobs() {
+  const now = Date.now();
+  const due = []; // retry keys whose backoff has passed
+  const failed = await updateGptJobs(async (jobs) => {
+    const out = [];
+    for (const [key, job] of Object.entries(jobs)) {
+      const age = now - (job.updatedAt || job.createdAt || 0);
+      if (isJobFinished(job)) {
+        const keep =
+          job.state === "done" ? GPT_CONVERSATION_KEEP_MS : GPT_JOB_KEEP_MS;
+        if (age > keep) delete jobs[key];
+        continue;
+      }
+
+      if (job.state === "retrying") {
+        if (now >= (job.retryAt || 0)) due.push(key);
+        continue;
+      }
+
+      let error = null;
+      if (key.startsWith("http:")) {
+        // The request died with the previous service worker.
+        if (!_coHttpAborts.has(job.jobId)) {
+          error = "Generation was interrupted by an extension restart.";
+        }
+      } else if (!(await tabExists(Number(key)))) {
+        error = "GPT tab was closed before completion.";
+      }
+      const state = job.state || "generating";
+      const limit =
+        GPT_JOB_TIMEOUTS_MS[state] || GPT_JOB_TIMEOUTS_MS.generating;
+      if (!error && age > limit) error = `GPT job timed out (${state}).`;
+      if (!error) continue;
+
+      setJobState(job, "failed", { error });
+      // Stop a stalled endpoint request so it can't complete later.
+      const ctrl = _coHttpAborts.get(job.jobId);
+      if (key.startsWith("http:") && ctrl) {
+        _coHttpAborts.delete(job.jobId);
+        ctrl.abort();
+      }
+      out.push({ ...job });
+    }
+    return out;
+  });
+  failed.forEach((job) => deliverGptResult(job, { error: job.error }));
+  // A retry whose timer died with a suspended worker fires from here.
+  due.forEach((key) => fireGptRetry(key).catch(() => {}));
+}
+
+// --------------------
+// GPT providers
+// --------------------
+// CO_GPT_OPEN hands a job to one of these. Whatever the provider, the origin
+// tab gets the same CO_GPT_RESULT message via deliverGptResult().
+const DEFAULT_GPT_PROVIDER = "chatgpt_tab";
+
+// Used when the endpoint provider has no system prompt configured. The
+// ChatGPT tab relies on the custom GPT's own instructions instead.
+const DEFAULT_SYSTEM_PROMPTS = {
+  resume:
+    "You are a resume writer. Tailor the candidate's resume to the job description and reply with the resume as a single JSON object, with no commentary.",
+  cover_letter:
+    "You write concise, specific cover letters. Reply with the letter text only.",
+  screening:
+    "You help candidates answer job application questions truthfully. Reply with the JSON requested and nothing else.",
+};
+
+async function getGptProviderConfig() {
+  const stored = await chrome.storage.local.get([
+    "gptProvider",
+    "llmEndpoint",
+    "llmModel",
+    "llmApiKey",
+    "llmSystemPrompt",
+  ]);
+  return {
+    provider: stored.gptProvider || DEFAULT_GPT_PROVIDER,
+    endpoint: (stored.llmEndpoint || "").trim(),
+    model: (stored.llmModel || "").trim(),
+    apiKey: (stored.llmApiKey || "").trim(),
+    systemPrompt: (stored.llmSystemPrompt || "").trim(),
+  };
+}
+
+// Same default the ChatGPT bridge builds when a job carries no prompt.
+function buildGptPrompt(job) {
+  return (
+    job.prompt ||
+    [
+      `Company: ${job.company}`,
+      `Position: ${job.position}`,
+      "",
+      "Job Description:",
+      job.jd,
+    ].join("\n")
+  );
+}
+
+// Accepts a server root ("http://127.0.0.1:11434"), a /v1 base, or the full
+// /v1/chat/completions URL.
+function chatCompletionsUrl(endpoint) {
+  const base = String(endpoint || "").replace(/\/+$/, "");
+  if (/\/chat\/completions$/.test(base)) return base;
+  if (/\/v1$/.test(base)) return `${base}/chat/completions`;
+  return `${base}/v1/chat/completions`;
+}
+
+// Host permission the endpoint needs. Only local servers are granted in the
+// manifest; anything else comes from optional_host_permissions. Match
+// patterns carry no port, so this covers every port on the host.
+function endpointOrigins(endpoint) {
+  try {
+    const u = new URL(endpoint);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    return [`${u.protocol}//${u.hostname}/*`];
+  } catch (_) {
+    return null;
+  }
+}
+
+// chrome.permissions.request needs a user gesture on an extension page, so
+// the content script can't ask itself; this opens permissions.html for it.
+async function ensureEndpointPermission(endpoint) {
+  const origins = endpointOrigins(endpoint);
+  if (!origins) return { ok: false, error: "LLM endpoint is not a valid URL." };
+  if (await chrome.permissions.contains({ origins })) {
+    return { ok: true, granted: true };
+  }
+  const url = chrome.runtime.getURL(
+    `permissions.html?origin=${encodeURIComponent(origins[0])}`,
+  );
+  await chrome.windows.create({ url, type: "popup", width: 440, height: 240 });
+  return { ok: true, granted: false };
+}
+
+// Streams when the server supports it (SSE "data: {...}" chunks), calling
+// onProgress with the accumulated text at most once per progressEveryMs.
+// Servers that ignore `stream` and answer with plain JSON work too.
+async function callChatCompletions(
+  cfg,
+  messages,
+  { signal, onProgress, progressEveryMs = 1000 } = {},
+) {
+  const headers = { "Content-Type": "application/json" };
+  if (cfg.apiKey) headers.Authorization = `Bearer ${cfg.apiKey}`;
+  const res = await fetch(chatCompletionsUrl(cfg.endpoint), {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model: cfg.model || undefined,
+      messages,
+      stream: true,
+    }),
+    signal,
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => "")).slice(0, 300);
+    throw new Error(`HTTP ${res.status}${detail ? `: ${detail}` : ""}`);
+  }
+
+  const ct = (res.headers.get("content-type") || "").toLowerCase();
+  let text = "";
+  if (ct.includes("text/event-stream") && res.body) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let lastProgressAt = 0;
+    const readLine = (line) => {
+      if (!line.startsWith("data:")) return;
+      const data = line.slice(5).trim();
+      if (!data || data === "[DONE]") return;
+      try {
+        const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+        if (typeof delta === "string") text += delta;
+      } catch (_) {}
+    };
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        // The last event may arrive without a trailing newline.
+        readLine(buffer + decoder.decode());
+        break;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      lines.forEach(readLine);
+      const due = Date.now() - lastProgressAt >= progressEveryMs;
+      if (onProgress && text && due) {
+        lastProgressAt = Date.now();
+        onProgress(text);
+      }
+    }
+  } else {
+    const data = await res.json();
+    text = data?.choices?.[0]?.message?.content || "";
+  }
+
+  if (typeof text !== "string" || !text.trim()) {
+    throw new Error("Endpoint returned no message content");
+  }
+  return text;
+}
+
+function relayGptProgress(job, text) {
+  if (job?.originTabId == null || !text) return;
+  chrome.tabs
+    .sendMessage(job.originTabId, {
+      type: "CO_GPT_PROGRESS",
+      text,
+      jobId: job.jobId || null,
+      mode: job.mode || "resume",
+      jobUrl: job.jobUrl || null,
+      userId: job.userId || null,
+      startedAt: job.createdAt || null,
+    })
+    .catch(() => {});
+}
+
+// Successful results are filed in the inbox before they are sent; the panel
+// answers { claimed: true } once it has put the text somewhere durable.
+// Resolves to the panel's response (null if the tab didn't answer).
+async function deliverGptResult(job, { text, error }) {
+  if (!job) return null;
+  const id = text ? gptInboxId(job) : null;
+  const filed = id ? fileGptResult(job, id, text) : Promise.resolve();
+  if (job.originTabId == null) return null;
+  const resp = await chrome.tabs
+    .sendMessage(job.originTabId, {
+      type: "CO_GPT_RESULT",
+      text: text || null,
+      jobId: job.jobId || null,
+      error: error || null,
+      mode: job.mode || "resume",
+      jobUrl: job.jobUrl || null,
+      userId: job.userId || null,
+      inboxId: id,
+      repairsLeft: gptRepairsLeft(job),
+      // Set once the user has sent refinements, so the panel doesn't act
+      // on a revised version (or its JSON repair) automatically.
+      refined: (job.transcript || []).some((t) => t.kind === "refine"),
+    })
+    .catch(() => null);
+  if (resp?.claimed && id) {
+    filed.then(() => claimGptResult(id, job.jobId)).catch(() => {});
+  }
+  return resp || null;
 }
 
-function xmlEscape(s) {
-  return String(s)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/\"/g, "&quot;")
-    .replace(/'/g, "&apos;");
+// --------------------
+// GPT result inbox
+// --------------------
+// gptInbox (chrome.storage.local) keeps the latest result per job URL, mode
+// and (for multi-user runs) user until a panel claims it, so output isn't lost when the origin tab
+// reloaded, navigated away or closed mid-generation. Claimed entries stay
+// around (until the TTL/cap) for manual recovery from the panel.
+const GPT_INBOX_KEY = "gptInbox";
+const GPT_INBOX_MAX = 50;
+const GPT_INBOX_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+
+function gptInboxId(job) {
+  const jobKey = job.jobKey || job.jobUrl || "unknown";
+  const id = `${jobKey}::${job.mode || "resume"}`;
+  return job.userId ? `${id}::${job.userId}` : id;
 }
 
-function coverLetterToDocxBytes(text) {
-  const safe = String(text || "").replace(/\r\n/g, "\n");
-  const lines = safe.split("\n");
+async function getGptInbox() {
+  const stored = await chrome.storage.local.get([GPT_INBOX_KEY]);
+  const inbox = stored[GPT_INBOX_KEY];
+  return inbox && typeof inbox === "object" ? inbox : {};
+}
 
-  // WordprocessingML paragraph runs.
-  // Use <w:br/> for blank lines via empty paragraphs.
-  const paras = lines
-    .map((line) => {
-      if (!line.trim()) {
-        return `<w:p><w:r><w:t xml:space="preserve"></w:t></w:r></w:p>`;
-      }
-      return `<w:p><w:r><w:t xml:space="preserve">${xmlEscape(line)}</w:t></w:r></w:p>`;
-    })
-    .join("");
+function pruneGptInbox(inbox) {
+  const cutoff = Date.now() - GPT_INBOX_TTL_MS;
+  const ids = Object.keys(inbox).sort(
+    (a, b) => (inbox[b].createdAt || 0) - (inbox[a].createdAt || 0),
+  );
+  ids.forEach((id, i) => {
+    if (i >= GPT_INBOX_MAX || (inbox[id].createdAt || 0) < cutoff) {
+      delete inbox[id];
+    }
+  });
+}
 
-  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
-  <w:body>
-    ${paras}
-    <w:sectPr/>
-  </w:body>
-</w:document>`;
+function updateGptInbox(fn) {
+  return serializeState(async () => {
+    const inbox = await getGptInbox();
+    const result = await fn(inbox);
+    pruneGptInbox(inbox);
+    await chrome.storage.local.set({ [GPT_INBOX_KEY]: inbox });
+    return result;
+  });
+}
 
-  const contentTypesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
-  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
-  <Default Extension="xml" ContentType="application/xml"/>
-  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
-</Types>`;
+function fileGptResult(job, id, text) {
+  return updateGptInbox((inbox) => {
+    inbox[id] = {
+      id,
+      jobId: job.jobId || null,
+      jobKey: job.jobKey || null,
+      jobUrl: job.jobUrl || null,
+      mode: job.mode || "resume",
+      userId: job.userId || null,
+      userName: job.userName || null,
+      company: job.company || "",
+      position: job.position || "",
+      text,
+      claimed: false,
+      createdAt: Date.now(),
+    };
+  });
+}
 
-  const relsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
-</Relationships>`;
+// jobId guards against an old tab's claim marking a newer result as seen.
+function claimGptResult(id, jobId) {
+  return updateGptInbox((inbox) => {
+    const entry = inbox[id];
+    if (!entry || (jobId && entry.jobId && entry.jobId !== jobId)) {
+      return false;
+    }
+    entry.claimed = true;
+    entry.claimedAt = Date.now();
+    return true;
+  });
+}
 
-  const files = [
-    { name: "[Content_Types].xml", data: encodeUtf8(contentTypesXml) },
-    { name: "_rels/.rels", data: encodeUtf8(relsXml) },
-    { name: "word/document.xml", data: encodeUtf8(documentXml) },
+const GPT_PROVIDERS = {
+  // Opens chatgpt.com; chatgpt-bridge.js picks the job up via CO_GPT_GET_JOB
+  // and answers with CO_GPT_RESULT. Jobs are keyed by the GPT tab id.
+  chatgpt_tab: {
+    async start(job, { gptUrl }) {
+      if (!gptUrl) {
+        return {
+          ok: false,
+          error: "GPT URL is not set. Please set it in the login settings.",
+        };
+      }
+
+      // Strip any trailing /c/<conversationId> so each parallel generation
+      // opens in its own fresh conversation. Reusing the same conversation
+      // across tabs causes ChatGPT to sync messages between them, so the
+      // bridges end up capturing each other's responses.
+      const freshGptUrl = String(gptUrl).replace(
+        /\/c\/[^/?#]+(?=[/?#]|$)/,
+        "",
+      );
+
+      const newTab = await new Promise((resolve) => {
+        chrome.tabs.create({ url: freshGptUrl }, (tab) => resolve(tab));
+      });
+
+      if (!newTab?.id) {
+        return { ok: false, error: "Failed to open ChatGPT tab" };
+      }
+
+      await updateGptJobs((jobs) => {
+        jobs[String(newTab.id)] = setJobState({ ...job }, "queued");
+      });
+      return { ok: true };
+    },
+
+    // The bridge in the job's tab types the prompt into the same chat. If
+    // that tab is gone, reopen the conversation and hand the prompt to the
+    // bridge that loads there.
+    async followUp(job, { key, prompt }) {
+      const tabId = Number(key);
+      if (await tabExists(tabId)) {
+        const resp = await chrome.tabs
+          .sendMessage(tabId, { type: "CO_GPT_FOLLOWUP", payload: { prompt } })
+          .catch(() => null);
+        return !!resp?.ok;
+      }
+      if (!job.conversationUrl) return false;
+
+      const newTab = await new Promise((resolve) => {
+        chrome.tabs.create({ url: job.conversationUrl }, (tab) => resolve(tab));
+      });
+      if (!newTab?.id) return false;
+      await updateGptJobs((jobs) => {
+        const entry = jobs[key];
+        if (!entry) return;
+        delete jobs[key];
+        jobs[String(newTab.id)] = {
+          ...entry,
+          consumed: false,
+          pendingPrompt: prompt,
+        };
+      });
+      return true;
+    },
+  },
+
+  // Any server speaking the OpenAI chat completions API (llama.cpp,
+  // Ollama, vLLM, LM Studio, ...). Runs entirely in the service worker.
+  openai_compat: {
+    async start(job, cfg) {
+      if (!cfg.endpoint) {
+        return {
+          ok: false,
+          error: "LLM endpoint is not set. Please set it in the login settings.",
+        };
+      }
+      const access = await ensureEndpointPermission(cfg.endpoint);
+      if (!access.granted) {
+        return {
+          ok: false,
+          error:
+            access.error ||
+            "CareerOS needs access to the LLM endpoint. Allow it in the window that opened, then try again.",
+        };
+      }
+      const key = `http:${job.jobId}`;
+      await updateGptJobs((jobs) => {
+        jobs[key] = setJobState({ ...job }, "generating");
+      });
+      runChatCompletionsJob(key, job, cfg);
+      return { ok: true };
+    },
+
+    // The endpoint is stateless; the job's transcript is replayed.
+    async followUp(job, { key }) {
+      runChatCompletionsJob(key, job, await getGptProviderConfig());
+      return true;
+    },
+  },
+};
+
+function chatCompletionsMessages(job, cfg) {
+  const mode = job.mode || "resume";
+  const system =
+    (mode === "resume" && cfg.systemPrompt) ||
+    DEFAULT_SYSTEM_PROMPTS[mode] ||
+    DEFAULT_SYSTEM_PROMPTS.resume;
+  const transcript = job.transcript?.length
+    ? job.transcript
+    : [{ role: "user", text: buildGptPrompt(job) }];
+  return [
+    { role: "system", content: system },
+    ...transcript.map((t) => ({ role: t.role, content: t.text })),
   ];
+}
 
-  return makeZipStore(files);
+// Runs one request for an endpoint job in the background; the caller
+// doesn't wait for the whole generation.
+function runChatCompletionsJob(key, job, cfg) {
+  const ctrl = new AbortController();
+  _coHttpAborts.set(job.jobId, ctrl);
+  let touchedAt = 0;
+  callChatCompletions(cfg, chatCompletionsMessages(job, cfg), {
+    signal: ctrl.signal,
+    onProgress: (text) => {
+      relayGptProgress(job, text);
+      // Like bridge progress, streaming keeps the job clear of the stall
+      // timeout (at most one storage write every few seconds).
+      if (Date.now() - touchedAt < 5000) return;
+      touchedAt = Date.now();
+      updateGptJobs((jobs) => {
+        const entry = jobs[key];
+        if (entry && !isJobFinished(entry)) setJobState(entry, "generating");
+      }).catch(() => {});
+    },
+  })
+    .then((text) => {
+      if (!ctrl.signal.aborted) completeGptJob(key, { text });
+    })
+    .catch((e) => {
+      if (ctrl.signal.aborted) return; // cancelled from the panel
+      completeGptJob(key, { error: `LLM endpoint error: ${e.message}` });
+    })
+    .finally(() => {
+      if (_coHttpAborts.get(job.jobId) === ctrl) {
+        _coHttpAborts.delete(job.jobId);
+      }
+    });
 }
 
-function uint8ToBase64(u8) {
-  let s = "";
-  const chunk = 0x8000;
-  for (let i = 0; i < u8.length; i += chunk) {
-    s += String.fromCharCode.apply(null, u8.subarray(i, i + chunk));
-  }
-  return btoa(s);
+// --------------------
+// Job draft index
+// --------------------
+// The panel keeps one "jobDraft:<canonical url>" record per job page and
+// prunes them from an index, jobDraftIndex ({ draft key: updatedAt }), so
+// it never reads the whole store. Every tab and frame saves drafts, so the
+// index is only ever updated here, inside serializeState().
+const DRAFT_PREFIX = "jobDraft:";
+const DRAFT_INDEX_KEY = "jobDraftIndex";
+
+// Drafts saved before the index existed are picked up by one full scan.
+async function readDraftIndex() {
+  const stored = await chrome.storage.local.get([DRAFT_INDEX_KEY]);
+  if (stored[DRAFT_INDEX_KEY]) return stored[DRAFT_INDEX_KEY];
+  const all = await chrome.storage.local.get(null);
+  return Object.fromEntries(
+    Object.entries(all)
+      .filter(([k]) => k.startsWith(DRAFT_PREFIX))
+      .map(([k, d]) => [k, d?.updatedAt || 0]),
+  );
 }
 
-function sanitizeFilename(name) {
-  return String(name || "cover_letter.docx")
-    .replace(/[<>:"/\\|?*\x00-\x1F]/g, "_")
-    .replace(/\s+/g, " ")
-    .trim();
+function touchDraftIndex(key, updatedAt) {
+  return serializeState(async () => {
+    const index = await readDraftIndex();
+    index[key] = updatedAt;
+    await chrome.storage.local.set({ [DRAFT_INDEX_KEY]: index });
+  });
 }
 
-// Wait for a download to complete (or fail).
-// NOTE: chrome.downloads.download() returns immediately after queuing.
-// Without waiting, the UI can appear to download all resumes first and then
-// all cover letters. This makes downloads truly per-user in sequence.
-function waitForDownloadComplete(downloadId, timeoutMs = 120000) {
-  return new Promise((resolve) => {
-    if (!downloadId) return resolve({ ok: false, error: "Missing downloadId" });
+// Drops drafts older than ttlMs, then the oldest beyond max. A draft saved
+// again after its index entry was written (its touch is still queued) is
+// kept. Returns how many were removed.
+function pruneDrafts({ ttlMs, max }) {
+  return serializeState(async () => {
+    const index = await readDraftIndex();
+    const now = Date.now();
+    const candidates = Object.entries(index)
+      .sort((a, b) => b[1] - a[1])
+      .filter(([, at], i) => i >= max || now - at > ttlMs)
+      .map(([k]) => k);
+    const drafts = candidates.length
+      ? await chrome.storage.local.get(candidates)
+      : {};
+    const stale = [];
+    for (const key of candidates) {
+      const at = drafts[key]?.updatedAt;
+      if (at > index[key]) {
+        index[key] = at;
+      } else {
+        stale.push(key);
+        delete index[key];
+      }
+    }
+    if (stale.length) await chrome.storage.local.remove(stale);
+    await chrome.storage.local.set({ [DRAFT_INDEX_KEY]: index });
+    return stale.length;
+  });
+}
 
-    let done = false;
-    const finish = (result) => {
-      if (done) return;
-      done = true;
-      try {
-        chrome.downloads.onChanged.removeListener(onChanged);
-      } catch (_) {}
-      clearTimeout(timer);
-      resolve(result);
-    };
+// --------------------
+// GPT job cancel / retry
+// --------------------
+// Jobs carry a jobId that survives retries, so the panel can cancel a job
+// whatever tab (or request) is currently serving it.
+const GPT_MAX_ATTEMPTS = 3;
+const GPT_RETRY_BASE_MS = 2000;
+// Bridge errors that usually clear up in a fresh tab: the composer had not
+// rendered yet, or ChatGPT stalled without answering.
+const GPT_RETRYABLE_ERROR = /ChatGPT input not found|No response received/i;
+
+const _coHttpAborts = new Map(); // jobId -> AbortController
+const _coPendingRetries = new Map(); // jobId -> retry timer
+
+function newGptJobId() {
+  const rand = Math.random().toString(36).slice(2, 8);
+  return `${Date.now().toString(36)}-${rand}`;
+}
 
-    const timer = setTimeout(() => {
-      finish({ ok: false, error: "Download timed out" });
-    }, timeoutMs);
+// Returns true if anything was still running for this job.
+async function cancelGptJob(jobId) {
+  let found = false;
 
-    const onChanged = (delta) => {
-      if (!delta || delta.id !== downloadId) return;
-      if (delta.error && delta.error.current) {
-        finish({ ok: false, error: delta.error.current });
-        return;
-      }
-      if (delta.state && delta.state.current) {
-        if (delta.state.current === "complete") {
-          finish({ ok: true });
-        } else if (delta.state.current === "interrupted") {
-          finish({ ok: false, error: "interrupted" });
-        }
-      }
-    };
+  if (_coPendingRetries.has(jobId)) {
+    clearTimeout(_coPendingRetries.get(jobId));
+    _coPendingRetries.delete(jobId);
+    found = true;
+  }
 
-    chrome.downloads.onChanged.addListener(onChanged);
+  const ctrl = _coHttpAborts.get(jobId);
+  if (ctrl) {
+    _coHttpAborts.delete(jobId);
+    ctrl.abort();
+    found = true;
+  }
+
+  // Drop the entries first so onRemoved doesn't report "tab was closed".
+  const keys = await updateGptJobs((jobs) => {
+    const matched = Object.keys(jobs).filter(
+      (k) => jobs[k]?.jobId === jobId && !isJobFinished(jobs[k]),
+    );
+    matched.forEach((k) => delete jobs[k]);
+    return matched;
   });
-}
+  for (const key of keys) {
+    found = true;
+    if (key.startsWith("http:") || key.startsWith("retry:")) continue;
+    const tabId = Number(key);
+    await releaseTyping(tabId);
+    chrome.tabs.remove(tabId).catch(() => {});
+  }
 
-// Mutex for the "activate tab + type prompt + click send" step. Without
-// this, multiple GPT tabs opened in rapid succession would race for focus
-// and only the last-activated tab could reliably type into the composer.
-// The lock is short-lived (held only while typing + sending, ~1-2s per
-// tab) so generations still stream in parallel once released.
-let _coTypingHolder = null; // tabId currently holding the lock
-const _coTypingQueue = []; // [{ tabId, respond }]
-let _coTypingTimer = null;
-
-function _coTypingGrantNext() {
-  if (_coTypingHolder != null) return;
-  const next = _coTypingQueue.shift();
-  if (!next) return;
-  _coTypingHolder = next.tabId;
-  clearTimeout(_coTypingTimer);
-  _coTypingTimer = setTimeout(() => {
-    if (_coTypingHolder === next.tabId) {
-      _coTypingHolder = null;
-      _coTypingGrantNext();
-    }
-  }, 20000);
-  try {
-    next.respond({ ok: true });
-  } catch (_) {}
+  return found;
 }
 
-function _coTypingRelease(tabId) {
-  if (_coTypingHolder === tabId) {
-    _coTypingHolder = null;
-    clearTimeout(_coTypingTimer);
-    _coTypingGrantNext();
-  }
-  // Also drop any queued request for this tab (if the tab was closed).
-  for (let i = _coTypingQueue.length - 1; i >= 0; i--) {
-    if (_coTypingQueue[i].tabId === tabId) _coTypingQueue.splice(i, 1);
+// Re-runs a failed job with exponential backoff when the error looks
+// transient, replacing its entry under `key` with a "retry:<jobId>" one.
+// Returns false when the error should go to the panel instead. The timer is
+// only the fast path: the sweep alarm fires the retry if the worker is
+// suspended during the backoff.
+async function scheduleGptRetry(key, job, error) {
+  const attempt = job?.attempt || 1;
+  if (!job?.jobId || attempt >= GPT_MAX_ATTEMPTS) return false;
+  if (!GPT_RETRYABLE_ERROR.test(error || "")) return false;
+
+  const delayMs = GPT_RETRY_BASE_MS * 2 ** (attempt - 1);
+  const retryKey = `retry:${job.jobId}`;
+  await updateGptJobs((jobs) => {
+    delete jobs[key];
+    jobs[retryKey] = setJobState({ ...job }, "retrying", {
+      error,
+      retryAt: Date.now() + delayMs,
+    });
+  });
+  if (job.originTabId != null) {
+    chrome.tabs
+      .sendMessage(job.originTabId, {
+        type: "CO_GPT_RETRYING",
+        jobId: job.jobId,
+        mode: job.mode || "resume",
+        jobUrl: job.jobUrl || null,
+        attempt: attempt + 1,
+        maxAttempts: GPT_MAX_ATTEMPTS,
+        delayMs,
+        error,
+      })
+      .catch(() => {});
   }
+
+  const timer = setTimeout(() => {
+    _coPendingRetries.delete(job.jobId);
+    fireGptRetry(retryKey).catch(() => {});
+  }, delayMs);
+  _coPendingRetries.set(job.jobId, timer);
+  return true;
+}
+
+// Takes the retry entry out of gptJobs first, so the timer and the sweep
+// can't both start it, then hands the job to its provider again.
+async function fireGptRetry(retryKey) {
+  const job = await updateGptJobs((jobs) => {
+    const entry = jobs[retryKey];
+    if (entry?.state !== "retrying") return null;
+    delete jobs[retryKey];
+    return entry;
+  });
+  if (!job) return;
+
+  const { retryAt, error, ...rest } = job;
+  const cfg = await getGptProviderConfig();
+  const provider =
+    GPT_PROVIDERS[job.provider] || GPT_PROVIDERS[DEFAULT_GPT_PROVIDER];
+  const next = {
+    ...rest,
+    attempt: (job.attempt || 1) + 1,
+    consumed: false,
+    createdAt: Date.now(),
+  };
+  const res = await provider
+    .start(next, { ...cfg, gptUrl: job.gptUrl })
+    .catch((e) => ({ ok: false, error: String(e) }));
+  if (!res?.ok) deliverGptResult(job, { error: res?.error || error });
 }
 
 // When a GPT tab is closed before it produces a result, notify the origin
 // tab so its button state can be reset, and clean up the orphan job entry.
 chrome.tabs.onRemoved.addListener(async (tabId) => {
-  _coTypingRelease(tabId);
   try {
-    const existing = await chrome.storage.local.get(["gptJobs"]);
-    const jobs =
-      existing.gptJobs && typeof existing.gptJobs === "object"
-        ? existing.gptJobs
-        : {};
-    const key = String(tabId);
-    const job = jobs[key];
-    if (!job) return;
-
-    if (job.originTabId != null) {
-      chrome.tabs
-        .sendMessage(job.originTabId, {
-          type: "CO_GPT_RESULT",
-          text: null,
-          error: "GPT tab was closed before completion.",
-          mode: job.mode || "resume",
-        })
-        .catch(() => {});
+    await releaseTyping(tabId);
+    const job = await updateGptJobs((jobs) => {
+      const key = String(tabId);
+      const entry = jobs[key];
+      // A finished conversation stays refinable; followUp reopens its URL.
+      if (entry?.state === "done" && entry.conversationUrl) return entry;
+      delete jobs[key];
+      return entry;
+    });
+    if (job && !isJobFinished(job)) {
+      deliverGptResult(job, { error: "GPT tab was closed before completion." });
     }
-
-    delete jobs[key];
-    await chrome.storage.local.set({ gptJobs: jobs });
   } catch (_) {}
 });
 
+// Periodic sweep, plus one whenever the worker starts: a restart is exactly
+// when in-flight jobs get orphaned.
+chrome.alarms.create(GPT_SWEEP_ALARM, { periodInMinutes: 1 });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === GPT_SWEEP_ALARM) sweepGptJobs().catch(() => {});
+});
+sweepGptJobs().catch(() => {});
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
@@ -448,61 +2950,109 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
-      // 4) Generate cover letter DOCX and download
-      if (msg.type === "CO_DOWNLOAD_COVER_LETTER_DOCX") {
-        const { text, filename, saveAs } = msg.payload || {};
+      // 4) Generate cover letter DOCX / PDF and download
+      if (
+        msg.type === "CO_DOWNLOAD_COVER_LETTER_DOCX" ||
+        msg.type === "CO_DOWNLOAD_COVER_LETTER_PDF"
+      ) {
+        const pdf = msg.type === "CO_DOWNLOAD_COVER_LETTER_PDF";
+        const { text, filename, saveAs, sender, company, position } =
+          msg.payload || {};
         const cl = String(text || "").trim();
         if (!cl) {
           sendResponse({ ok: false, error: "Empty cover letter text" });
           return;
         }
 
-        const docxBytes = coverLetterToDocxBytes(cl);
-        const b64 = uint8ToBase64(docxBytes);
-        const mime =
-          "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-        const dataUrl = `data:${mime};base64,${b64}`;
-
-        const safeName = filename || "cover_letter.docx";
-
-        const created = await new Promise((resolve) => {
-          chrome.downloads.download(
-            { url: dataUrl, filename: safeName, saveAs: !!saveAs },
-            (id) => {
-              const err = chrome.runtime.lastError;
-              if (err) resolve({ error: err.message });
-              else resolve({ id });
-            },
-          );
-        });
+        const prefs = await chrome.storage.local.get([
+          "cover_letter_font",
+          "cover_letter_size",
+          "cover_letter_margin",
+        ]);
+        const opts = {
+          sender,
+          company,
+          position,
+          font: prefs.cover_letter_font,
+          sizePt: prefs.cover_letter_size,
+          marginIn: prefs.cover_letter_margin,
+        };
+        sendResponse(
+          pdf
+            ? await downloadFileBytes(
+                await coverLetterToPdfBytes(cl, opts),
+                filename || "cover_letter.pdf",
+                saveAs,
+                PDF_MIME,
+              )
+            : await downloadFileBytes(
+                await coverLetterToDocxBytes(cl, opts),
+                filename || "cover_letter.docx",
+                saveAs,
+              ),
+        );
+        return;
+      }
 
-        if (!created || created.error) {
-          sendResponse({
-            ok: false,
-            error: created?.error || "Download failed",
-          });
+      // 3b) Resume DOCX / PDF rendered locally from Resume JSON (offline /
+      // backend down). payload: { resume, filename, saveAs }
+      if (
+        msg.type === "CO_DOWNLOAD_RESUME_DOCX" ||
+        msg.type === "CO_DOWNLOAD_RESUME_PDF"
+      ) {
+        const pdf = msg.type === "CO_DOWNLOAD_RESUME_PDF";
+        const { resume, filename, saveAs } = msg.payload || {};
+        if (!resume || typeof resume !== "object" || Array.isArray(resume)) {
+          sendResponse({ ok: false, error: "Resume JSON must be an object" });
           return;
         }
+        sendResponse(
+          pdf
+            ? await downloadFileBytes(
+                await resumeToPdfBytes(resume),
+                filename || "resume.pdf",
+                saveAs,
+                PDF_MIME,
+              )
+            : await downloadFileBytes(
+                await resumeToDocxBytes(resume),
+                filename || "resume.docx",
+                saveAs,
+              ),
+        );
+        return;
+      }
 
-        const waited = await waitForDownloadComplete(created.id);
-        if (!waited.ok) {
-          sendResponse({
-            ok: false,
-            error: waited.error || "Download failed",
-            downloadId: created.id,
-          });
-          return;
+      // 4b) Base resume import: DOCX/PDF -> Resume JSON for the panel to
+      // show for correction. payload: { b64, filename }
+      if (msg.type === "CO_PARSE_RESUME_FILE") {
+        const { b64, filename } = msg.payload || {};
+        try {
+          const parsed = await parseResumeFile(base64ToUint8(b64), filename);
+          sendResponse({ ok: true, ...parsed });
+        } catch (e) {
+          sendResponse({ ok: false, error: String(e?.message || e) });
         }
-
-        sendResponse({ ok: true, downloadId: created.id });
         return;
       }
 
-      // 5) Open ChatGPT tab for GPT-assisted generation
-      // Jobs are keyed per-GPT-tab so two origin tabs can run independently.
-      // payload: { company, position, jd, gptUrl, prompt, mode }
+      // 5) Start a GPT job on the configured provider (see GPT_PROVIDERS).
+      // Tab jobs are keyed per-GPT-tab so two origin tabs can run independently.
+      // payload: { company, position, jd, gptUrl, prompt, mode, jobUrl,
+      //            jobKey }
       if (msg.type === "CO_GPT_OPEN") {
-        const { company, position, jd, gptUrl, prompt, mode } = msg.payload || {};
+        const {
+          company,
+          position,
+          jd,
+          gptUrl,
+          prompt,
+          mode,
+          jobUrl,
+          jobKey,
+          userId,
+          userName,
+        } = msg.payload || {};
         const originTabId = sender.tab?.id;
 
         if (!company || !position) {
@@ -510,35 +3060,12 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return;
         }
 
-        if (!gptUrl) {
-          sendResponse({ ok: false, error: "GPT URL is not set. Please set it in the login settings." });
-          return;
-        }
-
-        // Strip any trailing /c/<conversationId> so each parallel generation
-        // opens in its own fresh conversation. Reusing the same conversation
-        // across tabs causes ChatGPT to sync messages between them, so the
-        // bridges end up capturing each other's responses.
-        const freshGptUrl = String(gptUrl).replace(
-          /\/c\/[^/?#]+(?=[/?#]|$)/,
-          "",
-        );
-
-        const newTab = await new Promise((resolve) => {
-          chrome.tabs.create({ url: freshGptUrl }, (tab) => resolve(tab));
-        });
-
-        if (!newTab?.id) {
-          sendResponse({ ok: false, error: "Failed to open ChatGPT tab" });
-          return;
-        }
-
-        const existing = await chrome.storage.local.get(["gptJobs"]);
-        const jobs =
-          existing.gptJobs && typeof existing.gptJobs === "object"
-            ? existing.gptJobs
-            : {};
-        jobs[String(newTab.id)] = {
+        const cfg = await getGptProviderConfig();
+        const provider =
+          GPT_PROVIDERS[cfg.provider] || GPT_PROVIDERS[DEFAULT_GPT_PROVIDER];
+        const job = {
+          jobId: newGptJobId(),
+          attempt: 1,
           company,
           position,
           jd: jd || "",
@@ -546,11 +3073,98 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           consumed: false,
           prompt: prompt || null,
           mode: mode || "resume",
+          jobUrl: jobUrl || null,
+          jobKey: jobKey || null,
+          // Set for multi-user runs: one job per selected user.
+          userId: userId || null,
+          userName: userName || null,
+          provider: cfg.provider,
+          gptUrl: gptUrl || null,
           createdAt: Date.now(),
         };
-        await chrome.storage.local.set({ gptJobs: jobs });
+        job.transcript = [
+          { role: "user", text: buildGptPrompt(job), at: job.createdAt },
+        ];
 
-        sendResponse({ ok: true });
+        const started = await provider.start(job, { ...cfg, gptUrl });
+        sendResponse(started?.ok ? { ...started, jobId: job.jobId } : started);
+        return;
+      }
+
+      // 5e) Cancel a running GPT job (panel "Cancel GPT" button).
+      // payload: { jobId }
+      if (msg.type === "CO_GPT_CANCEL") {
+        const { jobId } = msg.payload || {};
+        if (!jobId) {
+          sendResponse({ ok: false, error: "Missing jobId" });
+          return;
+        }
+        sendResponse({ ok: true, cancelled: await cancelGptJob(jobId) });
+        return;
+      }
+
+      // 5f) Follow-up instructions from the panel ("shorten the summary")
+      // for a finished job; the revised output arrives as CO_GPT_RESULT.
+      // payload: { jobId, prompt, jobUrl }
+      if (msg.type === "CO_GPT_REFINE") {
+        const { jobId, prompt } = msg.payload || {};
+        if (!jobId || !String(prompt || "").trim()) {
+          sendResponse({ ok: false, error: "Missing jobId or prompt" });
+          return;
+        }
+        const jobs = await getGptJobs();
+        const key = Object.keys(jobs).find((k) => jobs[k]?.jobId === jobId);
+        const job = key ? jobs[key] : null;
+        if (!job) {
+          sendResponse({
+            ok: false,
+            error: "That GPT conversation has expired. Start a new one.",
+          });
+          return;
+        }
+        if (job.state !== "done") {
+          sendResponse({
+            ok: false,
+            error: "GPT is still working on this job (or it failed).",
+          });
+          return;
+        }
+        if (!GPT_PROVIDERS[job.provider]?.followUp) {
+          sendResponse({ ok: false, error: "Provider can't continue chats" });
+          return;
+        }
+        // The answer goes to the panel that asked, which may be a reloaded
+        // or different tab than the one that started the job.
+        await updateGptJobs((all) => {
+          const entry = all[key];
+          if (!entry) return;
+          if (sender.tab?.id != null) entry.originTabId = sender.tab.id;
+          if (msg.payload.jobUrl) entry.jobUrl = msg.payload.jobUrl;
+        });
+        // continueGptJob reports its own failures as a CO_GPT_RESULT error.
+        continueGptJob(key, String(prompt).trim(), "refine");
+        sendResponse({ ok: true, jobId });
+        return;
+      }
+
+      // 5g) Latest single-user conversation for a job page + mode, for the
+      // panel's refine box and turn history. payload: { jobKey, mode }
+      if (msg.type === "CO_GPT_CONVERSATION") {
+        const { jobKey, mode } = msg.payload || {};
+        const job = Object.values(await getGptJobs())
+          .filter((j) => j.jobKey === jobKey && (j.mode || "resume") === mode)
+          .filter((j) => !j.userId)
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))[0];
+        sendResponse({
+          ok: true,
+          conversation: job
+            ? {
+                jobId: job.jobId,
+                state: job.state,
+                transcript: job.transcript || [],
+              }
+            : null,
+        });
         return;
       }
 
@@ -570,38 +3184,33 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
-      // Acquire the typing lock. If no one holds it, grant immediately.
-      // Otherwise queue and respond when our turn comes up.
+      // Poll for the typing lock: { ok: true } once granted, otherwise
+      // { ok: false, queued: true } and the bridge asks again shortly.
       if (msg.type === "CO_GPT_ACQUIRE_TYPING") {
         const tabId = sender.tab?.id;
         if (tabId == null) {
           sendResponse({ ok: false });
           return;
         }
-        if (_coTypingHolder == null) {
-          _coTypingHolder = tabId;
-          clearTimeout(_coTypingTimer);
-          _coTypingTimer = setTimeout(() => {
-            if (_coTypingHolder === tabId) {
-              _coTypingHolder = null;
-              _coTypingGrantNext();
-            }
-          }, 20000);
-          sendResponse({ ok: true });
-          return;
-        }
-        _coTypingQueue.push({ tabId, respond: sendResponse });
-        // sendResponse will be invoked later when our turn arrives.
+        const granted = await acquireTyping(tabId);
+        sendResponse({ ok: granted, queued: !granted });
         return;
       }
 
       if (msg.type === "CO_GPT_RELEASE_TYPING") {
         const tabId = sender.tab?.id;
-        if (tabId != null) _coTypingRelease(tabId);
+        if (tabId != null) await releaseTyping(tabId);
         sendResponse({ ok: true });
         return;
       }
 
+      // Panel saved an LLM endpoint: make sure the worker may fetch it.
+      // payload: { endpoint }
+      if (msg.type === "CO_LLM_PERMISSION") {
+        sendResponse(await ensureEndpointPermission(msg.payload?.endpoint));
+        return;
+      }
+
       // 5b) Bridge asks for the job assigned to its tab
       if (msg.type === "CO_GPT_GET_JOB") {
         const tabId = sender.tab?.id;
@@ -609,58 +3218,68 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           sendResponse({ ok: false, job: null });
           return;
         }
-        const existing = await chrome.storage.local.get(["gptJobs"]);
-        const jobs =
-          existing.gptJobs && typeof existing.gptJobs === "object"
-            ? existing.gptJobs
-            : {};
-        const key = String(tabId);
-        const job = jobs[key];
-        if (!job || job.consumed) {
-          sendResponse({ ok: true, job: null });
-          return;
-        }
-        jobs[key] = { ...job, consumed: true };
-        await chrome.storage.local.set({ gptJobs: jobs });
+        const job = await updateGptJobs((jobs) => {
+          const entry = jobs[String(tabId)];
+          if (!entry || entry.consumed || isJobFinished(entry)) return null;
+          entry.consumed = true;
+          return { ...entry };
+        });
         sendResponse({ ok: true, job });
         return;
       }
 
+      // 5d) Partial output from chatgpt-bridge.js while ChatGPT streams.
+      // payload: { text }
+      if (msg.type === "CO_GPT_PROGRESS") {
+        const tabId = sender.tab?.id;
+        // Progress keeps a long generation clear of the stall timeout.
+        const job = await updateGptJobs((jobs) => {
+          const entry = tabId != null ? jobs[String(tabId)] : null;
+          if (!entry || isJobFinished(entry)) return null;
+          setJobState(entry, "generating");
+          return { ...entry };
+        });
+        relayGptProgress(job, msg.payload?.text);
+        sendResponse({ ok: true });
+        return;
+      }
+
       // 6) GPT response from chatgpt-bridge.js — route back to the origin tab
       // that launched this specific GPT tab, based on sender.tab.id.
       // payload: { text } on success, { error } on failure
       if (msg.type === "CO_GPT_RESULT") {
         const tabId = sender.tab?.id;
-        if (tabId != null) _coTypingRelease(tabId);
-        const stored = await chrome.storage.local.get([
-          "gptJobs",
-          "close_gpt_tab",
-        ]);
-        const jobs =
-          stored.gptJobs && typeof stored.gptJobs === "object"
-            ? stored.gptJobs
-            : {};
+        if (tabId != null) await releaseTyping(tabId);
+        const stored = await chrome.storage.local.get(["close_gpt_tab"]);
         const key = tabId != null ? String(tabId) : null;
-        const job = key ? jobs[key] : null;
-
-        if (job?.originTabId != null) {
-          chrome.tabs
-            .sendMessage(job.originTabId, {
-              type: "CO_GPT_RESULT",
-              text: msg.payload?.text || null,
-              error: msg.payload?.error || null,
-              mode: job.mode || "resume",
-            })
-            .catch(() => {});
+        const job = key ? (await getGptJobs())[key] : null;
+
+        // Transient bridge failure on the first turn: retry in a fresh tab
+        // instead of reporting the error.
+        const error = msg.payload?.error;
+        const firstTurn = gptUserTurns(job) <= 1;
+        const retry =
+          job &&
+          firstTurn &&
+          !isJobFinished(job) &&
+          error &&
+          (await scheduleGptRetry(key, job, error));
+        if (retry) {
+          chrome.tabs.remove(tabId).catch(() => {});
+          sendResponse({ ok: true });
+          return;
         }
 
-        if (key && jobs[key]) {
-          delete jobs[key];
-          await chrome.storage.local.set({ gptJobs: jobs });
-        }
+        const conversationUrl = msg.payload?.conversationUrl;
+        const { followingUp } = await completeGptJob(
+          key,
+          { text: msg.payload?.text, error },
+          conversationUrl ? { conversationUrl } : {},
+        );
 
-        // Close the ChatGPT tab only if the user opted in
-        if (stored.close_gpt_tab && tabId != null) {
+        // Close the ChatGPT tab only if the user opted in, and not while the
+        // conversation is still going.
+        if (stored.close_gpt_tab && tabId != null && !followingUp) {
           chrome.tabs.remove(tabId).catch(() => {});
         }
 
@@ -668,6 +3287,35 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      // 6b) GPT inbox: list results (newest first), optionally only the
+      // unclaimed ones for a job. payload: { jobKey?, unclaimedOnly? }
+      if (msg.type === "CO_GPT_INBOX_LIST") {
+        const { jobKey, unclaimedOnly } = msg.payload || {};
+        const items = Object.values(await getGptInbox())
+          .filter((item) => !jobKey || item.jobKey === jobKey)
+          .filter((item) => !unclaimedOnly || !item.claimed)
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        sendResponse({ ok: true, items });
+        return;
+      }
+
+      // payload: { id, jobId? }
+      if (msg.type === "CO_GPT_INBOX_CLAIM") {
+        const { id, jobId } = msg.payload || {};
+        sendResponse({ ok: await claimGptResult(id, jobId) });
+        return;
+      }
+
+      // payload: { id }
+      if (msg.type === "CO_GPT_INBOX_DELETE") {
+        const { id } = msg.payload || {};
+        await updateGptInbox((inbox) => {
+          delete inbox[id];
+        });
+        sendResponse({ ok: true });
+        return;
+      }
+
       // 7) Fetch a backend file with auth and return base64 — used for "Fill Upload Field"
       if (msg.type === "CO_FETCH_FILE") {
         const { url } = msg.payload || {};
@@ -690,6 +3338,29 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         return;
       }
 
+      // 8) Per-job drafts: the panel saved one (payload: { key, updatedAt })
+      // or asks for old ones to be pruned (payload: { ttlMs, max }).
+      if (msg.type === "CO_DRAFT_SAVED") {
+        const { key, updatedAt } = msg.payload || {};
+        if (!String(key || "").startsWith(DRAFT_PREFIX)) {
+          sendResponse({ ok: false, error: "Not a draft key" });
+          return;
+        }
+        await touchDraftIndex(key, Number(updatedAt) || Date.now());
+        sendResponse({ ok: true });
+        return;
+      }
+
+      if (msg.type === "CO_DRAFT_PRUNE") {
+        const { ttlMs, max } = msg.payload || {};
+        if (!(ttlMs > 0) || !(max > 0)) {
+          sendResponse({ ok: false, error: "Missing ttlMs or max" });
+          return;
+        }
+        sendResponse({ ok: true, removed: await pruneDrafts({ ttlMs, max }) });
+        return;
+      }
+
       // Unknown message type: ignore
     } catch (e) {
       sendResponse({ ok: false, status: 0, error: String(e) });
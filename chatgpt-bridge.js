@@ -1,7 +1,10 @@
 // chatgpt-bridge.js
 // CareerOS: Runs on chatgpt.com to automate sending job info and capturing the response.
 // Jobs are keyed per GPT-tab in the background service worker, so multiple
-// origin tabs can run independent generations in parallel.
+// origin tabs can run independent generations in parallel. After the first
+// answer the tab stays available for follow-up turns (CO_GPT_FOLLOWUP); if
+// it was closed, background reopens the conversation URL and this bridge
+// picks up the pending follow-up prompt instead of a fresh job.
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
@@ -56,10 +59,22 @@ async function activateSelf() {
   } catch (_) {}
 }
 
-async function acquireTypingLock() {
-  try {
-    await chrome.runtime.sendMessage({ type: "CO_GPT_ACQUIRE_TYPING" });
-  } catch (_) {}
+// Background answers each poll straight away ({ ok: false } while another
+// tab holds the lock) and keeps the queue in session storage, so a response
+// lost to a service-worker restart just means polling again. After maxWaitMs
+// we go ahead without the lock rather than hang the job.
+async function acquireTypingLock(maxWaitMs = 120000, pollMs = 400) {
+  const started = Date.now();
+  while (Date.now() - started < maxWaitMs) {
+    try {
+      const resp = await chrome.runtime.sendMessage({
+        type: "CO_GPT_ACQUIRE_TYPING",
+      });
+      if (resp?.ok) return true;
+    } catch (_) {}
+    await sleep(pollMs);
+  }
+  return false;
 }
 
 async function releaseTypingLock() {
@@ -125,12 +140,28 @@ async function typePrompt(inputEl, prompt) {
   return !!readText();
 }
 
+// Include the conversation URL once ChatGPT assigned one (/c/<id>), so
+// background can reopen this chat for later follow-ups.
 async function sendResult(payload) {
+  const conversationUrl = /\/c\//.test(location.pathname)
+    ? location.href
+    : null;
   try {
-    await chrome.runtime.sendMessage({ type: "CO_GPT_RESULT", payload });
+    await chrome.runtime.sendMessage({
+      type: "CO_GPT_RESULT",
+      payload: { ...payload, conversationUrl },
+    });
   } catch (_) {}
 }
 
+// Partial assistant text while ChatGPT is still streaming. Fire-and-forget:
+// the final text always follows in CO_GPT_RESULT.
+function sendProgress(text) {
+  chrome.runtime
+    .sendMessage({ type: "CO_GPT_PROGRESS", payload: { text } })
+    .catch(() => {});
+}
+
 function getLastAssistantText(baseline) {
   const all = document.querySelectorAll(
     "[data-message-author-role='assistant']",
@@ -176,6 +207,8 @@ async function waitForStableOutput(baseline, opts = {}) {
     postStopGraceMs = 1500,
     noStopGraceMs = 20000,
     postFlushWaitMs = 4000,
+    progressEveryMs = 1000,
+    onProgress = null,
   } = opts;
 
   const started = Date.now();
@@ -184,6 +217,8 @@ async function waitForStableOutput(baseline, opts = {}) {
   let lastText = "";
   let lastChangeAt = Date.now();
   let flushActivatedAt = 0;
+  let lastProgressAt = 0;
+  let lastProgressText = "";
 
   while (Date.now() - started < maxMs) {
     const stopBtn = document.querySelector(
@@ -196,6 +231,16 @@ async function waitForStableOutput(baseline, opts = {}) {
       lastChangeAt = Date.now();
     }
 
+    if (
+      onProgress &&
+      lastText !== lastProgressText &&
+      Date.now() - lastProgressAt >= progressEveryMs
+    ) {
+      lastProgressAt = Date.now();
+      lastProgressText = lastText;
+      onProgress(lastText);
+    }
+
     if (stopBtn) {
       sawStop = true;
       stopDisappearedAt = 0;
@@ -264,116 +309,156 @@ async function waitForStableOutput(baseline, opts = {}) {
   return getLastAssistantText(baseline);
 }
 
-(async () => {
-  try {
-    const job = await requestJob();
-    if (!job) return;
+// One prompt -> response exchange in the conversation this tab owns.
+// Resolves to { text } or { error } (the CO_GPT_RESULT payload).
+async function runTurn(prompt) {
+  // Wait for ChatGPT's composer input to appear
+  const inputEl = await waitForElement(
+    ["#prompt-textarea", 'div[contenteditable="true"][tabindex="0"]'],
+    25000,
+  );
 
-    // Wait for ChatGPT's composer input to appear
-    const inputEl = await waitForElement(
-      ["#prompt-textarea", 'div[contenteditable="true"][tabindex="0"]'],
-      25000,
-    );
+  if (!inputEl) {
+    return {
+      error: "ChatGPT input not found. Make sure you are logged into ChatGPT.",
+    };
+  }
+
+  // Let the page settle after input appears
+  await sleep(800);
+
+  // Acquire the cross-tab typing lock. Multiple GPT tabs opened in
+  // rapid succession would otherwise race for focus; only one bridge at
+  // a time should be activating its tab and touching the composer.
+  // Background releases the lock automatically after 20s as a safety net.
+  await acquireTypingLock();
+
+  let baseline = 0;
+  let sendClicked = false;
+  try {
+    await activateSelf();
+    await waitForFocus();
 
-    if (!inputEl) {
-      await sendResult({
+    const typed = await typePrompt(inputEl, prompt);
+    if (!typed) {
+      return {
         error:
-          "ChatGPT input not found. Make sure you are logged into ChatGPT.",
-      });
-      return;
+          "Failed to insert prompt into ChatGPT composer (tab may have lost focus).",
+      };
     }
 
-    // Let the page settle after input appears
-    await sleep(800);
-
-    // Build the prompt (use custom prompt if provided, e.g. for cover letter)
-    const prompt =
-      job.prompt ||
-      [
-        `Company: ${job.company}`,
-        `Position: ${job.position}`,
-        "",
-        "Job Description:",
-        job.jd,
-      ].join("\n");
-
-    // Acquire the cross-tab typing lock. Multiple GPT tabs opened in
-    // rapid succession would otherwise race for focus; only one bridge at
-    // a time should be activating its tab and touching the composer.
-    // Background releases the lock automatically after 20s as a safety net.
-    await acquireTypingLock();
-
-    let baseline = 0;
-    let sendClicked = false;
-    try {
-      await activateSelf();
-      await waitForFocus();
-
-      const typed = await typePrompt(inputEl, prompt);
-      if (!typed) {
-        await sendResult({
-          error:
-            "Failed to insert prompt into ChatGPT composer (tab may have lost focus).",
-        });
-        return;
-      }
+    await sleep(300);
 
-      await sleep(300);
+    // Snapshot assistant message count *after* the prompt is in the
+    // composer but *before* clicking send — captures any welcome/system
+    // message the GPT may have rendered (or the previous turn's answer),
+    // so we only wait for the new response.
+    baseline = document.querySelectorAll(
+      "[data-message-author-role='assistant']",
+    ).length;
 
-      // Snapshot assistant message count *after* the prompt is in the
-      // composer but *before* clicking send — captures any welcome/system
-      // message the GPT may have rendered, so we only wait for the new
-      // response.
-      baseline = document.querySelectorAll(
-        "[data-message-author-role='assistant']",
-      ).length;
+    const sendBtn = await waitForElement(
+      ['button[data-testid="send-button"]', 'button[aria-label*="Send"]'],
+      6000,
+    );
 
-      const sendBtn = await waitForElement(
-        ['button[data-testid="send-button"]', 'button[aria-label*="Send"]'],
-        6000,
+    if (sendBtn && !sendBtn.disabled) {
+      sendBtn.click();
+      sendClicked = true;
+    } else {
+      inputEl.dispatchEvent(
+        new KeyboardEvent("keydown", {
+          key: "Enter",
+          code: "Enter",
+          keyCode: 13,
+          which: 13,
+          bubbles: true,
+        }),
       );
+      sendClicked = true;
+    }
 
-      if (sendBtn && !sendBtn.disabled) {
-        sendBtn.click();
-        sendClicked = true;
-      } else {
-        inputEl.dispatchEvent(
-          new KeyboardEvent("keydown", {
-            key: "Enter",
-            code: "Enter",
-            keyCode: 13,
-            which: 13,
-            bubbles: true,
-          }),
-        );
-        sendClicked = true;
-      }
+    // Wait briefly for the send to register (user message added to
+    // conversation) before releasing — ChatGPT needs focus during this
+    // moment for the submission to register reliably.
+    await sleep(500);
+  } finally {
+    await releaseTypingLock();
+  }
 
-      // Wait briefly for the send to register (user message added to
-      // conversation) before releasing — ChatGPT needs focus during this
-      // moment for the submission to register reliably.
-      await sleep(500);
-    } finally {
-      await releaseTypingLock();
-    }
+  if (!sendClicked) {
+    return { error: "Failed to submit prompt to ChatGPT." };
+  }
 
-    if (!sendClicked) {
-      await sendResult({ error: "Failed to submit prompt to ChatGPT." });
-      return;
-    }
+  const responseText = await waitForStableOutput(baseline, {
+    onProgress: sendProgress,
+  });
 
-    const responseText = await waitForStableOutput(baseline);
+  if (!responseText) {
+    return {
+      error:
+        "No response received from ChatGPT. Are you logged in and is the GPT accessible?",
+    };
+  }
 
-    if (!responseText) {
-      await sendResult({
-        error:
-          "No response received from ChatGPT. Are you logged in and is the GPT accessible?",
-      });
-      return;
-    }
+  return { text: responseText };
+}
 
-    await sendResult({ text: responseText });
+let turnBusy = false;
+
+async function runAndReport(prompt) {
+  turnBusy = true;
+  let result;
+  try {
+    result = await runTurn(prompt);
   } catch (e) {
-    await sendResult({ error: `Bridge error: ${String(e)}` });
+    result = { error: `Bridge error: ${String(e)}` };
+  }
+  // Free before reporting: background may answer the result with a
+  // follow-up for this same tab.
+  turnBusy = false;
+  await sendResult(result);
+}
+
+// Background asks for another turn in the conversation this tab owns
+// (e.g. "reply with valid JSON only"). The answer comes back as another
+// CO_GPT_RESULT.
+function onFollowUp(msg, _sender, sendResponse) {
+  if (msg?.type !== "CO_GPT_FOLLOWUP") return false;
+  const prompt = msg.payload?.prompt;
+  if (!prompt || turnBusy) {
+    sendResponse({ ok: false, error: turnBusy ? "Busy" : "Missing prompt" });
+    return false;
   }
+  sendResponse({ ok: true });
+  runAndReport(prompt);
+  return false;
+}
+
+(async () => {
+  const job = await requestJob();
+  if (!job) return;
+  chrome.runtime.onMessage.addListener(onFollowUp);
+
+  // Reopened conversation: let the earlier turns render first so the new
+  // answer isn't mistaken for one of them.
+  if (job.pendingPrompt) {
+    await waitForElement("[data-message-author-role='assistant']", 15000);
+    await sleep(1500);
+    await runAndReport(job.pendingPrompt);
+    return;
+  }
+
+  // Build the prompt (use custom prompt if provided, e.g. for cover letter)
+  const prompt =
+    job.prompt ||
+    [
+      `Company: ${job.company}`,
+      `Position: ${job.position}`,
+      "",
+      "Job Description:",
+      job.jd,
+    ].join("\n");
+
+  await runAndReport(prompt);
 })();
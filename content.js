@@ -2,10 +2,12 @@
 // CareerOS content script with login/logout + user picker.
 const BACKEND_DEFAULT = "https://career-os.onrender.com";
 
+// ---- GPT JSON extraction + repair ----
+
 // Extract a valid JSON value from arbitrary GPT output. GPT sometimes wraps
 // JSON in prose ("Here's the JSON: {...}"), fences it with ```json ... ```,
 // or appends trailing commentary. Returns the parsed value or null.
-function extractJsonFromText(text) {
+function extractJsonFromText(text, { fromFirst = false } = {}) {
   if (typeof text !== "string") return null;
   const tryParse = (s) => {
     try {
@@ -25,39 +27,158 @@ function extractJsonFromText(text) {
     if (parsed !== null) return parsed;
   }
 
-  // Scan for the first balanced {...} or [...] block, respecting strings.
-  const scan = (openChar, closeChar) => {
+  // Parse the balanced {...} or [...] block opening at `start`, respecting
+  // strings; null if it never closes or doesn't parse.
+  const blockAt = (start) => {
+    const openChar = text[start];
+    const closeChar = openChar === "{" ? "}" : "]";
+    let depth = 0;
+    let inStr = false;
+    let esc = false;
+    for (let i = start; i < text.length; i++) {
+      const c = text[i];
+      if (inStr) {
+        if (esc) esc = false;
+        else if (c === "\\") esc = true;
+        else if (c === '"') inStr = false;
+      } else if (c === '"') {
+        inStr = true;
+      } else if (c === openChar) {
+        depth++;
+      } else if (c === closeChar) {
+        depth--;
+        if (depth === 0) return tryParse(text.slice(start, i + 1));
+      }
+    }
+    return null;
+  };
+
+  // On a cut-off reply the first complete block is some nested object, not
+  // the value that was asked for, so fromFirst only takes the block opening
+  // at the reply's first "{" or "[".
+  if (fromFirst) {
+    const start = text.search(/[{[]/);
+    return start < 0 ? null : blockAt(start);
+  }
+
+  // Otherwise the first balanced {...} block that parses, then [...].
+  const scan = (openChar) => {
     for (let start = 0; start < text.length; start++) {
       if (text[start] !== openChar) continue;
-      let depth = 0;
-      let inStr = false;
-      let esc = false;
-      for (let i = start; i < text.length; i++) {
-        const c = text[i];
-        if (inStr) {
-          if (esc) esc = false;
-          else if (c === "\\") esc = true;
-          else if (c === '"') inStr = false;
-        } else if (c === '"') {
-          inStr = true;
-        } else if (c === openChar) {
-          depth++;
-        } else if (c === closeChar) {
-          depth--;
-          if (depth === 0) {
-            const parsed = tryParse(text.slice(start, i + 1));
-            if (parsed !== null) return parsed;
-            break;
-          }
-        }
-      }
+      const parsed = blockAt(start);
+      if (parsed !== null) return parsed;
     }
     return null;
   };
 
-  return scan("{", "}") ?? scan("[", "]");
+  return scan("{") ?? scan("[");
+}
+
+// Best-effort fixes for the ways GPT output usually breaks JSON: trailing
+// commas, smart quotes, raw newlines inside strings and a reply cut off
+// before its closing brackets. Returns parseable JSON text or null.
+function repairJsonText(text) {
+  if (typeof text !== "string") return null;
+  const fence = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  let src = fence ? fence[1] : text;
+  const start = src.search(/[{[]/);
+  if (start < 0) return null;
+  src = src.slice(start).replace(/[\u2018\u2019]/g, "'");
+
+  const attempt = (s) => {
+    const fixed = repairJsonStructure(s);
+    try {
+      JSON.parse(fixed);
+      return fixed;
+    } catch (_) {
+      return null;
+    }
+  };
+  // Curly double quotes are usually prose inside strings; only treat them
+  // as delimiters when the text doesn't parse otherwise.
+  return attempt(src) ?? attempt(src.replace(/[\u201c\u201d\u201e]/g, '"'));
+}
+
+function repairJsonStructure(src) {
+  const stack = []; // open "{" / "["
+  let out = "";
+  let inStr = false;
+  let esc = false;
+  let expectKey = false; // next string in the current object is a key
+  let danglingKey = false; // a key was read but no ":" yet
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (inStr) {
+      if (esc) {
+        esc = false;
+        out += c;
+      } else if (c === "\\") {
+        esc = true;
+        out += c;
+      } else if (c === '"') {
+        inStr = false;
+        out += c;
+        if (expectKey) danglingKey = true;
+      } else if (c === "\n") {
+        out += "\\n";
+      } else if (c === "\t") {
+        out += "\\t";
+      } else if (c !== "\r") {
+        out += c;
+      }
+      continue;
+    }
+
+    if (c === '"') {
+      inStr = true;
+    } else if (c === "{" || c === "[") {
+      stack.push(c);
+      expectKey = c === "{";
+    } else if (c === "}" || c === "]") {
+      out = out.replace(/,\s*$/, "");
+      stack.pop();
+      expectKey = false;
+      if (!stack.length) return out + c; // ignore prose after the value
+    } else if (c === ":") {
+      expectKey = false;
+      danglingKey = false;
+    } else if (c === ",") {
+      expectKey = stack[stack.length - 1] === "{";
+    }
+    out += c;
+  }
+
+  // Cut off mid-reply: close the open string, finish a dangling key/value,
+  // then close every open container.
+  if (inStr) {
+    if (esc) out = out.slice(0, -1);
+    out += '"';
+    if (expectKey) danglingKey = true;
+  }
+  out = out
+    .replace(/\s+$/, "")
+    .replace(/(^|[:,[{]\s*)(t|tr|tru|f|fa|fal|fals|n|nu|nul)$/, "$1null");
+  if (danglingKey) out += ":null";
+  else if (out.endsWith(":")) out += "null";
+  out = out.replace(/,$/, "");
+  while (stack.length) out += stack.pop() === "{" ? "}" : "]";
+  return out;
 }
 
+// extractJsonFromText() first (outermost value only), then the local
+// repairs above.
+function parseJsonWithRepair(text) {
+  const direct = extractJsonFromText(text, { fromFirst: true });
+  if (direct !== null) return { data: direct, repaired: false };
+  const fixed = repairJsonText(text);
+  return fixed ? { data: JSON.parse(fixed), repaired: true } : { data: null };
+}
+
+// Sent as a follow-up in the same conversation when local repair fails.
+const CO_JSON_REPAIR_PROMPT =
+  "Your previous reply was not valid JSON. Reply again with the same content as one valid JSON value only: no markdown fences, no comments, no trailing commas and no text before or after it.";
+
 let CO_USER_MAP = new Map(); // user_id -> { id, name }
 let CO_ALL_USERS = []; // [{id, name}]
 let CO_EXISTS_CACHE = new Map(); // user_id -> { exists, created_at, created_by, raw }
@@ -97,6 +218,9 @@ function escapeHtml(str) {
 
 function isLikelyJobPage() {
   const url = location.href;
+  const adapter = getAtsAdapter();
+  if (adapter && (atsQuery(adapter, "title") || atsQuery(adapter, "apply")))
+    return true;
   if (/\/jobs\//i.test(url)) return true;
   if (/greenhouse\.io\/.*\/jobs\//i.test(url)) return true;
   if (/lever\.co\/.*\/(?:apply|jobs)/i.test(url)) return true;
@@ -116,6 +240,15 @@ function b64ToBlobUrl(b64, mime) {
   return URL.createObjectURL(blob);
 }
 
+async function fileToB64(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
 function extractCreatedByName(existsData) {
   if (!existsData) return "";
   if (typeof existsData.created_by === "string" && existsData.created_by.trim())
@@ -147,1276 +280,5564 @@ function extractCreatedAt(existsData) {
   return Number.isFinite(d.getTime()) ? d.toLocaleDateString() : "";
 }
 
-// ---- background proxied API ----
-async function apiCall(path, { method = "GET", query, json, headers } = {}) {
-  const p = path.startsWith("/") ? path : `/${path}`;
-  const resp = await chrome.runtime.sendMessage({
-    type: "CO_API",
-    payload: { path: p, method, query, json, headers },
-  });
-  if (!resp) return { ok: false, status: 0, data: null };
-  return resp;
+// ---- job field extraction ----
+// Best-effort detection of company / position / source site / JD from the
+// current page. Every field is independent: a miss just leaves that panel
+// input for the user to fill by hand.
+const CO_PANEL_ROOT_ID = "careeros-panel-root";
+
+// Hostname fragment -> source_site value stored with the application.
+const CO_SOURCE_SITES = [
+  ["linkedin.com", "linkedin"],
+  ["indeed.com", "indeed"],
+  ["greenhouse.io", "greenhouse"],
+  ["lever.co", "lever"],
+  ["myworkdayjobs.com", "workday"],
+  ["workday.com", "workday"],
+  ["ashbyhq.com", "ashby"],
+  ["smartrecruiters.com", "smartrecruiters"],
+  ["icims.com", "icims"],
+  ["glassdoor.", "glassdoor"],
+  ["ziprecruiter.com", "ziprecruiter"],
+  ["wellfound.com", "wellfound"],
+  ["dice.com", "dice"],
+];
+
+// Words that show up in JD bodies but rarely in navigation / boilerplate.
+const CO_JD_KEYWORDS = [
+  "responsibilit",
+  "requirement",
+  "qualification",
+  "experience",
+  "what you'll",
+  "what you will",
+  "about the role",
+  "about you",
+  "nice to have",
+  "benefits",
+];
+
+function cleanText(s) {
+  return String(s || "")
+    .replace(/\s+/g, " ")
+    .trim();
 }
 
-async function pushAuthToBackground({ token, backend }) {
-  await chrome.runtime.sendMessage({
-    type: "CO_SET_AUTH",
-    payload: { token: token || "", backend: backend || "" },
-  });
+// innerText keeps the visual line breaks (lists, paragraphs) that make a
+// pasted JD readable; textContent is the fallback for detached nodes.
+function elementText(el) {
+  if (!el) return "";
+  const raw = el.innerText || el.textContent || "";
+  return raw
+    .split("\n")
+    .map((l) => l.replace(/[ \t ]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
 }
 
-async function setAuthState({ token, principal, backend }) {
-  const toSave = {
-    authToken: token || "",
-    principal: principal || null,
-    backend: backend || BACKEND_DEFAULT,
-  };
-  await chrome.storage.local.set(toSave);
-  await pushAuthToBackground({
-    token: toSave.authToken,
-    backend: toSave.backend,
-  });
+function metaContent(selector) {
+  const el = document.querySelector(selector);
+  return cleanText(el?.getAttribute("content") || "");
 }
 
-async function clearAuthState() {
-  await chrome.storage.local.set({ authToken: "", principal: null });
-  const { backend } = await chrome.storage.local.get(["backend"]);
-  await pushAuthToBackground({
-    token: "",
-    backend: backend || BACKEND_DEFAULT,
-  });
+function isInsidePanel(el) {
+  return !!el?.closest?.(`#${CO_PANEL_ROOT_ID}`);
 }
 
-async function ensureLoggedIn() {
-  const { authToken } = await chrome.storage.local.get(["authToken"]);
-  return !!(authToken && String(authToken).trim());
+function guessSourceSite(hostname) {
+  const host = String(hostname || "")
+    .toLowerCase()
+    .replace(/^www\./, "");
+  for (const [needle, name] of CO_SOURCE_SITES) {
+    if (host.includes(needle)) return name;
+  }
+  const parts = host.split(".").filter(Boolean);
+  return parts.length >= 2 ? parts[parts.length - 2] : host;
 }
 
-// ---- shake FULL panel (card) reliably ----
-function shakePanel(cardEl) {
-  if (!cardEl) return;
-  cardEl.classList.remove("co-card-shake");
-  void cardEl.offsetWidth;
-  cardEl.classList.add("co-card-shake");
-  setTimeout(() => cardEl.classList.remove("co-card-shake"), 900);
+// "Senior Engineer at Acme | LinkedIn", "Job Application for X at Y",
+// "Senior Engineer - Acme". Returns { position, company } (either may be "").
+function splitTitleCompany(title) {
+  let t = cleanText(title);
+  if (!t) return { position: "", company: "" };
+  // Drop a trailing "| Site" / "- Site" segment naming a job board.
+  t = t.replace(
+    /\s*[|\-–—]\s*(linkedin|indeed(\.com)?|glassdoor|greenhouse|lever|workday|ziprecruiter|careers?|jobs?)\s*$/i,
+    "",
+  );
+  let m = t.match(/^job application for\s+(.+?)\s+at\s+(.+)$/i);
+  if (m) return { position: m[1].trim(), company: m[2].trim() };
+  m = t.match(/^(.+?)\s+at\s+(.+)$/i);
+  if (m) return { position: m[1].trim(), company: m[2].trim() };
+  m = t.match(/^(.+?)\s+[|\-–—]\s+(.+)$/);
+  if (m) return { position: m[1].trim(), company: m[2].trim() };
+  return { position: t, company: "" };
 }
 
-// ---- user picker ----
-async function setupUserPicker(root) {
-  const listEl = root.querySelector("#co_user_list");
-  const chipsEl = root.querySelector("#co_user_chips");
-  const searchEl = root.querySelector("#co_user_search");
-  const btnAll = root.querySelector("#co_user_select_all");
-  const btnClear = root.querySelector("#co_user_clear");
-
-  if (!listEl || !chipsEl || !searchEl || !btnAll || !btnClear) return;
-
-  const saved = await chrome.storage.local.get(["userIds", "allUsersSelected"]);
-  let selected = new Set(Array.isArray(saved.userIds) ? saved.userIds : []);
-  let allMode = !!saved.allUsersSelected;
+function findJdContainer() {
+  const candidates = document.querySelectorAll(
+    [
+      '[class*="description" i]',
+      '[id*="description" i]',
+      '[class*="job-details" i]',
+      '[class*="posting" i]',
+      '[class*="job" i]',
+      '[id*="content" i]',
+      "article",
+      "main",
+      "section",
+    ].join(", "),
+  );
 
-  function getSelectedIds() {
-    if (allMode) return CO_ALL_USERS.map((u) => String(u.id));
-    return Array.from(selected).filter(Boolean);
+  let best = null;
+  let bestHits = 0;
+  let bestLen = Infinity;
+  for (const el of candidates) {
+    if (isInsidePanel(el) || el.closest("nav, footer, header, form")) continue;
+    const text = elementText(el);
+    if (text.length < 300 || text.length > 30000) continue;
+    const lower = text.toLowerCase();
+    const hits = CO_JD_KEYWORDS.filter((k) => lower.includes(k)).length;
+    if (!hits) continue;
+    // More keyword hits wins; on a tie prefer the tighter container so we
+    // don't drag in sidebars or "similar jobs" lists.
+    if (hits > bestHits || (hits === bestHits && text.length < bestLen)) {
+      best = el;
+      bestHits = hits;
+      bestLen = text.length;
+    }
   }
-  root.__coGetSelectedUserIds = getSelectedIds;
+  return best;
+}
 
-  async function saveSelected() {
-    await chrome.storage.local.set({
-      userIds: getSelectedIds(),
-      allUsersSelected: allMode,
-    });
+// ---- structured data (schema.org JobPosting) ----
+// JSON-LD and microdata are the most reliable source when a board emits
+// them: explicit title / hiringOrganization / description instead of
+// guessing from layout.
+
+// Strip tags from a JobPosting description, keeping paragraph and list
+// breaks. Some boards entity-escape the HTML (&lt;p&gt;), so a second pass
+// runs when the first one still yields markup.
+function htmlToText(html) {
+  let src = String(html || "");
+  for (let pass = 0; pass < 2; pass++) {
+    const doc = new DOMParser().parseFromString(src, "text/html");
+    const out = [];
+    const walk = (node) => {
+      if (node.nodeType === 3) {
+        out.push(node.nodeValue.replace(/\s+/g, " "));
+        return;
+      }
+      if (node.nodeType !== 1) return;
+      const tag = node.tagName.toLowerCase();
+      if (tag === "script" || tag === "style") return;
+      if (tag === "br") {
+        out.push("\n");
+        return;
+      }
+      const block =
+        /^(p|div|ul|ol|h[1-6]|section|article|table|tr|blockquote)$/.test(tag);
+      if (tag === "li") out.push("\n- ");
+      else if (block) out.push("\n");
+      node.childNodes.forEach(walk);
+      if (block) out.push("\n");
+    };
+    walk(doc.body);
+    const text = out
+      .join("")
+      .split("\n")
+      .map((l) => l.trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim();
+    if (pass === 0 && /<\/?[a-z][^>]*>/i.test(text)) {
+      src = text;
+      continue;
+    }
+    return text;
   }
+  return "";
+}
 
-  function setAllModeOn() {
-    allMode = true;
-    selected = new Set(CO_ALL_USERS.map((u) => String(u.id)));
-    saveSelected().catch(() => {});
-    render();
-    root.__coOnSelectionChange?.();
+function isJobPostingType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => /(^|\/)JobPosting$/i.test(String(t || "")));
+}
+
+function findJobPostingNode(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 6) return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findJobPostingNode(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
   }
+  if (isJobPostingType(node["@type"])) return node;
+  if (node["@graph"]) return findJobPostingNode(node["@graph"], depth + 1);
+  return null;
+}
 
-  function clearAll() {
-    allMode = false;
-    selected = new Set();
-    saveSelected().catch(() => {});
-    render();
-    root.__coOnSelectionChange?.();
+function readJsonLdJobPosting() {
+  const scripts = document.querySelectorAll(
+    'script[type="application/ld+json"]',
+  );
+  for (const script of scripts) {
+    // Tolerate the HTML comment wrappers and trailing semicolons some CMSs add.
+    const raw = (script.textContent || "")
+      .replace(/^\s*<!--/, "")
+      .replace(/-->\s*$/, "")
+      .trim()
+      .replace(/;\s*$/, "");
+    if (!raw) continue;
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (_) {
+      continue;
+    }
+    const node = findJobPostingNode(data);
+    if (node) return node;
   }
+  return null;
+}
 
-  function toggleUser(id) {
-    id = String(id);
-    if (allMode) allMode = false;
-    if (selected.has(id)) selected.delete(id);
-    else selected.add(id);
-    saveSelected().catch(() => {});
-    render();
-    root.__coOnSelectionChange?.();
+// Microdata -> the same shape as a JSON-LD JobPosting node so both feed
+// jobPostingToFields().
+function readMicrodataJobPosting() {
+  const scope = document.querySelector(
+    '[itemscope][itemtype*="schema.org/JobPosting" i]',
+  );
+  if (!scope) return null;
+
+  const ownProps = (el) =>
+    Array.from(el.querySelectorAll("[itemprop]")).filter(
+      (p) => p.parentElement?.closest("[itemscope]") === el,
+    );
+  const valueOf = (p) => {
+    if (p.hasAttribute("itemscope")) return readScope(p);
+    return (
+      p.getAttribute("content") ||
+      p.getAttribute("datetime") ||
+      (p.tagName === "META" ? "" : p.innerHTML) ||
+      ""
+    );
+  };
+  const readScope = (el) => {
+    const obj = {};
+    for (const p of ownProps(el)) {
+      const name = p.getAttribute("itemprop");
+      if (name && obj[name] === undefined) obj[name] = valueOf(p);
+    }
+    return obj;
+  };
+
+  return { "@type": "JobPosting", ...readScope(scope) };
+}
+
+function jobPostingLocation(jp) {
+  if (/telecommute/i.test(String(jp.jobLocationType || ""))) return "Remote";
+  const locs = Array.isArray(jp.jobLocation)
+    ? jp.jobLocation
+    : jp.jobLocation
+      ? [jp.jobLocation]
+      : [];
+  const parts = locs
+    .map((loc) => {
+      if (typeof loc === "string") return cleanText(htmlToText(loc));
+      const addr = loc?.address || loc || {};
+      if (typeof addr === "string") return cleanText(addr);
+      const country =
+        typeof addr.addressCountry === "object"
+          ? addr.addressCountry?.name
+          : addr.addressCountry;
+      return [addr.addressLocality, addr.addressRegion, country]
+        .map((x) => cleanText(htmlToText(x || "")))
+        .filter(Boolean)
+        .join(", ");
+    })
+    .filter(Boolean);
+  return Array.from(new Set(parts)).join(" / ");
+}
+
+function jobPostingSalary(jp) {
+  const base = jp.baseSalary;
+  if (!base || typeof base !== "object") return null;
+  const value = base.value && typeof base.value === "object" ? base.value : base;
+  const num = (x) => {
+    const n = Number(String(x ?? "").replace(/[^0-9.]/g, ""));
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const min = num(value.minValue) ?? num(value.value);
+  const max = num(value.maxValue) ?? min;
+  if (min == null) return null;
+  return {
+    min,
+    max,
+    currency: cleanText(base.currency || value.currency || ""),
+    unit: cleanText(value.unitText || base.unitText || "").toUpperCase(),
+  };
+}
+
+function formatSalary(salary) {
+  if (!salary) return "";
+  const fmt = (n) => n.toLocaleString("en-US");
+  const range =
+    salary.max && salary.max !== salary.min
+      ? `${fmt(salary.min)}–${fmt(salary.max)}`
+      : fmt(salary.min);
+  const label = [salary.currency, range].filter(Boolean).join(" ");
+  return salary.unit ? `${label} / ${salary.unit.toLowerCase()}` : label;
+}
+
+function jobPostingToFields(jp) {
+  const org = jp.hiringOrganization;
+  const company =
+    typeof org === "string" ? org : org?.name || org?.legalName || "";
+  const employmentType = Array.isArray(jp.employmentType)
+    ? jp.employmentType.join(", ")
+    : jp.employmentType || "";
+  const salary = jobPostingSalary(jp);
+  return {
+    company: cleanText(htmlToText(company)),
+    position: cleanText(htmlToText(jp.title || jp.name || "")),
+    jd: htmlToText(jp.description || ""),
+    location: jobPostingLocation(jp),
+    date_posted: cleanText(jp.datePosted || "").replace(/T.*$/, ""),
+    employment_type: cleanText(employmentType)
+      .toLowerCase()
+      .replace(/_/g, "-"),
+    salary,
+    salary_text: formatSalary(salary),
+  };
+}
+
+function readStructuredJobFields() {
+  const jp = readJsonLdJobPosting() || readMicrodataJobPosting();
+  return jp ? jobPostingToFields(jp) : null;
+}
+
+// ---- ATS adapters ----
+// One entry per applicant-tracking system. `matches` decides from the URL,
+// `selectors` lists candidates per field (first visible match wins) and
+// `companyFromUrl` covers boards that only carry the company in the path or
+// subdomain. Generic heuristics above fill whatever an adapter misses, so
+// selectors stay specific: a title or apply match marks the page as a job
+// posting, and a bare "h1" or "form" would match board index pages too.
+function companyFromSlug(slug) {
+  return decodeURIComponent(String(slug || ""))
+    .replace(/[-_]+/g, " ")
+    .replace(/\b\w/g, (c) => c.toUpperCase())
+    .trim();
+}
+
+function firstPathSegment(loc) {
+  return (loc.pathname || "").split("/").filter(Boolean)[0] || "";
+}
+
+const CO_ATS_ADAPTERS = [
+  {
+    id: "greenhouse",
+    matches: (loc) => /(^|\.)greenhouse\.io$/i.test(loc.hostname),
+    companyFromUrl: (loc) =>
+      /^(boards|job-boards)\./i.test(loc.hostname)
+        ? companyFromSlug(firstPathSegment(loc))
+        : "",
+    selectors: {
+      title: [".app-title", ".job__title h1", "h1.section-header"],
+      company: [".company-name", ".job__header .company-name"],
+      location: [".job__location", ".location"],
+      jd: [".job__description", "#content", "#app_body .content"],
+      apply: ["#apply_button", 'a[href="#app"]', 'button[aria-label*="Apply"]'],
+      resumeInput: [
+        'input[type="file"]#resume',
+        'input[type="file"][id*="resume" i]',
+        'input[type="file"][name*="resume" i]',
+      ],
+      form: ["#application-form", "#application_form", "form#application"],
+    },
+  },
+  {
+    id: "lever",
+    matches: (loc) => /(^|\.)lever\.co$/i.test(loc.hostname),
+    companyFromUrl: (loc) => companyFromSlug(firstPathSegment(loc)),
+    selectors: {
+      title: [".posting-headline h2", ".posting-header h2"],
+      company: [],
+      location: [".posting-categories .location", ".posting-category.location"],
+      jd: [
+        '[data-qa="job-description"]',
+        ".section-wrapper.page-full-width",
+        ".content .section-wrapper",
+      ],
+      apply: ['a.postings-btn[href*="/apply"]', "a.template-btn-submit"],
+      resumeInput: [
+        'input[type="file"][name="resume"]',
+        "input#resume-upload-input",
+      ],
+      form: ["form#application-form", ".application-form form"],
+    },
+  },
+  {
+    id: "workday",
+    matches: (loc) => /(myworkdayjobs|workday)\.com$/i.test(loc.hostname),
+    // acme.wd5.myworkdayjobs.com -> "Acme"
+    companyFromUrl: (loc) => companyFromSlug(loc.hostname.split(".")[0]),
+    selectors: {
+      title: ['[data-automation-id="jobPostingHeader"]'],
+      company: [],
+      location: [
+        '[data-automation-id="locations"] dd',
+        '[data-automation-id="locations"]',
+      ],
+      jd: ['[data-automation-id="jobPostingDescription"]'],
+      apply: [
+        'a[data-automation-id="adventureButton"]',
+        '[data-automation-id="applyButton"]',
+      ],
+      resumeInput: [
+        'input[data-automation-id="file-upload-input-ref"]',
+        'input[type="file"]',
+      ],
+      form: ['[data-automation-id="applyFlowPage"]'],
+    },
+  },
+  {
+    id: "ashby",
+    matches: (loc) => /(^|\.)ashbyhq\.com$/i.test(loc.hostname),
+    companyFromUrl: (loc) => companyFromSlug(firstPathSegment(loc)),
+    selectors: {
+      title: ['h1[class*="_title"]'],
+      company: [],
+      location: ['[class*="_location"]'],
+      jd: ['[class*="_descriptionText"]', '[class*="_description"]'],
+      apply: ['a[href$="/application"]', 'button[class*="_applyButton"]'],
+      resumeInput: [
+        'input[type="file"]#_systemfield_resume',
+        'input[type="file"][name*="resume" i]',
+      ],
+      form: ['[class*="_applicationForm"]'],
+    },
+  },
+  {
+    id: "smartrecruiters",
+    matches: (loc) => /(^|\.)smartrecruiters\.com$/i.test(loc.hostname),
+    companyFromUrl: (loc) => companyFromSlug(firstPathSegment(loc)),
+    selectors: {
+      title: ["h1.job-title", '[itemprop="title"]'],
+      company: ['[itemprop="hiringOrganization"] [itemprop="name"]'],
+      location: ['[itemprop="jobLocation"]', "spl-job-location"],
+      jd: ['[itemprop="description"]', ".job-sections"],
+      apply: ["#st-apply", 'a[data-ui="apply-button"]'],
+      resumeInput: [
+        'input[type="file"][data-test*="resume" i]',
+        'input[type="file"]',
+      ],
+    },
+  },
+  {
+    id: "icims",
+    matches: (loc) => /(^|\.)icims\.com$/i.test(loc.hostname),
+    // careers-acme.icims.com -> "Acme"
+    companyFromUrl: (loc) =>
+      companyFromSlug(
+        loc.hostname.split(".")[0].replace(/^(careers|jobs|external)-/i, ""),
+      ),
+    // iCIMS renders the posting inside a same-origin iframe.
+    frame: "#icims_content_iframe",
+    selectors: {
+      title: [".iCIMS_Header", ".iCIMS_JobHeaderTitle", "h1"],
+      company: [],
+      location: [".iCIMS_JobHeaderData .header.left span", ".iCIMS_JobHeaderField"],
+      jd: [".iCIMS_JobContent", ".iCIMS_InfoMsg_Job"],
+      apply: ["a.iCIMS_ApplyOnlineButton", 'a[title*="Apply"]'],
+      resumeInput: ['input[type="file"][name*="resume" i]', 'input[type="file"]'],
+    },
+  },
+];
+
+function getAtsAdapter(loc = location) {
+  return CO_ATS_ADAPTERS.find((a) => a.matches(loc)) || null;
+}
+
+function atsDocuments(adapter) {
+  const docs = [document];
+  if (adapter?.frame) {
+    try {
+      const frame = document.querySelector(adapter.frame);
+      if (frame?.contentDocument) docs.push(frame.contentDocument);
+    } catch (_) {}
   }
+  return docs;
+}
 
-  function removeChip(id) {
-    id = String(id);
-    if (allMode) allMode = false;
-    selected.delete(id);
-    saveSelected().catch(() => {});
-    render();
-    root.__coOnSelectionChange?.();
+function isRendered(el) {
+  return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+}
+
+// First visible match; failing that the first match at all (file inputs
+// are often hidden behind a styled button).
+function atsQuery(adapter, key) {
+  const selectors = adapter?.selectors?.[key] || [];
+  let hidden = null;
+  for (const doc of atsDocuments(adapter)) {
+    for (const sel of selectors) {
+      let matches = [];
+      try {
+        matches = Array.from(doc.querySelectorAll(sel)).filter(
+          (el) => !isInsidePanel(el),
+        );
+      } catch (_) {}
+      const found = matches.find(isRendered);
+      if (found) return found;
+      hidden = hidden || matches[0] || null;
+    }
   }
+  return hidden;
+}
 
-  function renderChips() {
-    const ids = getSelectedIds();
-    chipsEl.innerHTML = "";
+function atsText(adapter, key) {
+  return cleanText(atsQuery(adapter, key)?.textContent);
+}
 
-    if (!ids.length) {
-      chipsEl.innerHTML = `<div class="co-muted">No users selected.</div>`;
-      return;
+function extractJobFields() {
+  const fields = {
+    company: "",
+    position: "",
+    source_site: "",
+    jd: "",
+    location: "",
+    ats: "",
+    date_posted: "",
+    employment_type: "",
+    salary: null,
+    salary_text: "",
+    structured: false,
+  };
+
+  // Structured data first; the DOM only fills fields it doesn't carry.
+  let structured = null;
+  try {
+    structured = readStructuredJobFields();
+  } catch (_) {}
+  if (structured) {
+    fields.structured = true;
+    for (const [k, v] of Object.entries(structured)) {
+      if (v) fields[k] = v;
     }
+  }
 
-    if (allMode) {
-      const chip = document.createElement("div");
-      chip.className = "co-chip";
-      chip.innerHTML = `All users <button class="co-chip-x" type="button" aria-label="Remove">×</button>`;
-      chip.querySelector(".co-chip-x").addEventListener("click", clearAll);
-      chipsEl.appendChild(chip);
-      return;
+  const adapter = getAtsAdapter();
+  if (adapter) {
+    fields.ats = adapter.id;
+    fields.source_site = adapter.id;
+    if (!fields.position) fields.position = atsText(adapter, "title");
+    if (!fields.company) {
+      fields.company =
+        atsText(adapter, "company").replace(/^at\s+/i, "") ||
+        adapter.companyFromUrl?.(location) ||
+        "";
+    }
+    if (!fields.location) fields.location = atsText(adapter, "location");
+    if (!fields.jd) {
+      const jdEl = atsQuery(adapter, "jd");
+      if (jdEl) fields.jd = elementText(jdEl);
     }
+  }
 
-    ids.forEach((id) => {
-      const u = CO_USER_MAP.get(String(id));
-      const label = u?.name ? u.name : String(id);
+  if (!fields.source_site) fields.source_site = guessSourceSite(location.hostname);
 
-      const chip = document.createElement("div");
-      chip.className = "co-chip";
-      chip.innerHTML = `${escapeHtml(
-        label,
-      )} <button class="co-chip-x" type="button" aria-label="Remove">×</button>`;
-      chip
-        .querySelector(".co-chip-x")
-        .addEventListener("click", () => removeChip(id));
-      chipsEl.appendChild(chip);
-    });
+  const fromOg = splitTitleCompany(metaContent('meta[property="og:title"]'));
+  const fromTitle = splitTitleCompany(document.title);
+
+  if (!fields.position) {
+    const h1 = Array.from(document.querySelectorAll("h1")).find(
+      (el) => !isInsidePanel(el) && cleanText(el.textContent),
+    );
+    const h1Text = cleanText(h1?.textContent);
+    if (h1Text && h1Text.length <= 120) fields.position = h1Text;
+    else fields.position = fromOg.position || fromTitle.position;
   }
 
-  function renderList() {
-    const q = (searchEl.value || "").trim().toLowerCase();
-    const filtered = !q
-      ? CO_ALL_USERS
-      : CO_ALL_USERS.filter(
-          (u) =>
-            (u.name || "").toLowerCase().includes(q) ||
-            String(u.id).toLowerCase().includes(q),
-        );
+  if (!fields.company) {
+    // og:site_name is the company on most career sites, but the board's own
+    // name on aggregators (LinkedIn, Indeed, ...), so ignore it there.
+    const siteName = metaContent('meta[property="og:site_name"]');
+    const siteIsBoard = CO_SOURCE_SITES.some(
+      ([, name]) => name === siteName.toLowerCase().replace(/[^a-z]/g, ""),
+    );
+    fields.company =
+      fromTitle.company ||
+      fromOg.company ||
+      (siteName && !siteIsBoard ? siteName : "");
+  }
 
-    listEl.innerHTML = "";
+  if (!fields.jd) {
+    const jdEl = findJdContainer();
+    fields.jd = jdEl
+      ? elementText(jdEl)
+      : metaContent('meta[name="description"]') ||
+        metaContent('meta[property="og:description"]');
+  }
 
-    if (!filtered.length) {
-      listEl.innerHTML = `<div class="co-user-row"><div class="co-muted">No matching users.</div></div>`;
-      return;
-    }
+  return fields;
+}
 
-    filtered.forEach((u) => {
-      const id = String(u.id);
-      const checked = allMode ? true : selected.has(id);
+// ---- application form autofill ----
+// Profile keys the autofill understands and how to recognise the matching
+// form control: autocomplete tokens, then label / name / id / aria text.
+// Order matters: the first rule that matches a control claims it.
+const CO_PROFILE_FIELDS = [
+  {
+    key: "first_name",
+    label: "First name",
+    autocomplete: ["given-name"],
+    patterns: [/first[\s_-]*name/i, /given[\s_-]*name/i, /^fname$/i],
+  },
+  {
+    key: "last_name",
+    label: "Last name",
+    autocomplete: ["family-name"],
+    patterns: [/last[\s_-]*name/i, /family[\s_-]*name/i, /surname/i, /^lname$/i],
+  },
+  {
+    key: "full_name",
+    label: "Full name",
+    autocomplete: ["name"],
+    patterns: [/^(full[\s_-]*|legal[\s_-]*)?name\s*\*?$/i],
+  },
+  {
+    key: "email",
+    label: "Email",
+    autocomplete: ["email"],
+    patterns: [/e-?mail/i],
+  },
+  {
+    key: "phone",
+    label: "Phone",
+    autocomplete: ["tel", "tel-national"],
+    patterns: [/phone|mobile|^tel$/i],
+  },
+  { key: "linkedin", label: "LinkedIn", patterns: [/linked\s*in/i] },
+  { key: "github", label: "GitHub", patterns: [/git\s*hub/i] },
+  {
+    key: "portfolio",
+    label: "Portfolio",
+    autocomplete: ["url"],
+    patterns: [/portfolio|website|personal[\s_-]*site|\bblog\b/i],
+  },
+  {
+    key: "location",
+    label: "Location",
+    autocomplete: ["address-level2"],
+    patterns: [/^(current[\s_-]*)?location\b/i, /^city\b/i],
+  },
+  {
+    key: "work_authorization",
+    label: "Work authorization",
+    patterns: [
+      /authori[sz]ed to work|work authori[sz]ation|legally (authori[sz]ed|eligible)|eligible to work/i,
+    ],
+  },
+  {
+    key: "requires_sponsorship",
+    label: "Sponsorship",
+    patterns: [/sponsor/i],
+  },
+];
+
+function yesNo(v) {
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  return typeof v === "string" ? v.trim() : "";
+}
 
-      const cache = CO_EXISTS_CACHE.get(id);
-      const appliedText =
-        cache && cache.exists
-          ? `Applied${cache.created_at ? ` • ${cache.created_at}` : ""}${
-              cache.created_by ? ` • by ${cache.created_by}` : ""
-            }`
-          : "";
+// Backend profiles aren't uniform (flat fields, a nested `contact`, or a
+// `links` list), so flatten whatever we get into CO_PROFILE_FIELDS keys.
+function normalizeProfile(raw) {
+  const p = raw?.profile || raw || {};
+  const contact = p.contact && typeof p.contact === "object" ? p.contact : {};
+  const pick = (...vals) =>
+    (vals.find((v) => typeof v === "string" && v.trim()) || "").trim();
+  const links = [p.links, contact.links]
+    .flatMap((l) => (Array.isArray(l) ? l : []))
+    .map((l) => (typeof l === "string" ? l : l?.url || ""))
+    .filter(Boolean);
+  const linkMatching = (re) => links.find((l) => re.test(l)) || "";
+
+  const full = pick(p.full_name, p.name, contact.name);
+  const [first, ...rest] = full.split(/\s+/);
+  return {
+    first_name: pick(p.first_name, p.firstName, first),
+    last_name: pick(p.last_name, p.lastName, rest.join(" ")),
+    full_name: full,
+    email: pick(p.email, contact.email),
+    phone: pick(p.phone, contact.phone),
+    linkedin: pick(p.linkedin, p.linkedin_url, linkMatching(/linkedin\.com/i)),
+    github: pick(p.github, p.github_url, linkMatching(/github\.com/i)),
+    portfolio: pick(
+      p.portfolio,
+      p.portfolio_url,
+      p.website,
+      links.find((l) => !/(linkedin|github)\.com/i.test(l)),
+    ),
+    location: pick(
+      p.location,
+      contact.location,
+      [p.city, p.state].filter(Boolean).join(", "),
+    ),
+    work_authorization: yesNo(p.work_authorization ?? p.authorized_to_work),
+    requires_sponsorship: yesNo(
+      p.requires_sponsorship ?? p.needs_sponsorship,
+    ),
+  };
+}
 
-      const row = document.createElement("div");
-      row.className = "co-user-row";
-      row.innerHTML = `
-        <input class="co-user-checkbox" type="checkbox" ${
-          checked ? "checked" : ""
-        } />
-        <div class="co-user-left">
-          <div class="co-user-name">${escapeHtml(u.name || id)}</div>
-          <div class="co-user-id" title="${escapeHtml(id)}">${escapeHtml(
-            id,
-          )}</div>
-        </div>
-        <div class="co-user-right-slot">
-          ${
-            appliedText
-              ? `<div class="co-user-badge" title="${escapeHtml(
-                  appliedText,
-                )}">${escapeHtml(appliedText)}</div>`
-              : ``
-          }
-        </div>
-      `;
+// All the text that might name a control, as separate parts so anchored
+// patterns (e.g. a bare "Name") can match one part exactly.
+function fieldDescriptor(el) {
+  const doc = el.ownerDocument;
+  const parts = [];
+  Array.from(el.labels || []).forEach((l) => parts.push(l.textContent));
+  const labelledBy = el.getAttribute("aria-labelledby");
+  if (labelledBy) {
+    labelledBy
+      .split(/\s+/)
+      .forEach((id) => parts.push(doc.getElementById(id)?.textContent));
+  }
+  if (!parts.length) {
+    const wrap = el.closest(
+      'fieldset, .field, .form-group, .application-question, [class*="field" i]',
+    );
+    const lbl = wrap?.querySelector(
+      'legend, label, .application-label, [class*="label" i]',
+    );
+    if (lbl) parts.push(lbl.textContent);
+  }
+  parts.push(
+    el.getAttribute("aria-label"),
+    el.getAttribute("placeholder"),
+    el.getAttribute("name"),
+    el.id,
+    el.getAttribute("data-automation-id"),
+  );
+  return parts.map((p) => cleanText(p).replace(/\s*\*$/, "")).filter(Boolean);
+}
 
-      const cb = row.querySelector("input");
-      cb.addEventListener("change", () => toggleUser(id));
+function isHiddenControl(el) {
+  if (el.closest('[hidden], [aria-hidden="true"]')) return true;
+  const style = el.ownerDocument.defaultView?.getComputedStyle(el);
+  return !!style && (style.display === "none" || style.visibility === "hidden");
+}
 
-      row.addEventListener("click", (e) => {
-        const tag = (e.target?.tagName || "").toLowerCase();
-        if (tag === "input" || tag === "button") return;
-        toggleUser(id);
+function collectFormControls(scope) {
+  const controls = [];
+  const seenRadio = new Set();
+  scope.querySelectorAll("input, textarea, select").forEach((el) => {
+    if (isInsidePanel(el) || el.disabled || el.readOnly) return;
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    const skip = ["hidden", "file", "submit", "button", "reset", "image"];
+    if (skip.includes(type) || type === "checkbox" || type === "password") {
+      return;
+    }
+    if (type === "radio") {
+      if (!el.name || seenRadio.has(el.name)) return;
+      seenRadio.add(el.name);
+      const radios = Array.from(
+        scope.querySelectorAll('input[type="radio"]'),
+      ).filter((r) => r.name === el.name);
+      const legend = el.closest("fieldset")?.querySelector("legend");
+      const group = el.closest('[role="radiogroup"]');
+      const parts = [legend?.textContent, group?.getAttribute("aria-label")]
+        .map(cleanText)
+        .filter(Boolean);
+      controls.push({
+        kind: "radio",
+        el,
+        radios,
+        parts: parts.length ? parts : fieldDescriptor(el),
       });
-
-      listEl.appendChild(row);
+      return;
+    }
+    if (isHiddenControl(el)) return;
+    controls.push({
+      kind: el.tagName === "SELECT" ? "select" : "text",
+      el,
+      parts: fieldDescriptor(el),
     });
-  }
+  });
+  return controls;
+}
 
-  function render() {
-    renderChips();
-    renderList();
-  }
+function matchProfileRule(control) {
+  const tokens = String(control.el.getAttribute("autocomplete") || "")
+    .toLowerCase()
+    .split(/\s+/);
+  return (
+    CO_PROFILE_FIELDS.find(
+      (rule) =>
+        (rule.autocomplete || []).some((a) => tokens.includes(a)) ||
+        rule.patterns.some((re) => control.parts.some((p) => re.test(p))),
+    ) || null
+  );
+}
 
-  try {
-    const r = await apiCall("/v1/users");
-    if (!r.ok) throw new Error("Failed to load users");
+// Frameworks (React, Vue) track the value on the element's own property, so
+// go through the prototype setter and then fire the events they listen to.
+// Prototypes are picked by tag name so controls inside same-origin iframes
+// (other realms) work too.
+function setNativeValue(el, value) {
+  const win = el.ownerDocument.defaultView || window;
+  const proto =
+    el.tagName === "TEXTAREA"
+      ? win.HTMLTextAreaElement.prototype
+      : el.tagName === "SELECT"
+        ? win.HTMLSelectElement.prototype
+        : win.HTMLInputElement.prototype;
+  const setter = Object.getOwnPropertyDescriptor(proto, "value")?.set;
+  if (setter) setter.call(el, value);
+  else el.value = value;
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+  el.dispatchEvent(new Event("change", { bubbles: true }));
+  el.dispatchEvent(new Event("blur", { bubbles: true }));
+}
 
-    const data = r.data;
-    const items = Array.isArray(data) ? data : data.items || data.users || [];
+function choiceMatches(text, value) {
+  const t = cleanText(text).toLowerCase();
+  const v = cleanText(value).toLowerCase();
+  if (!t || !v) return false;
+  if (t === v) return true;
+  // "Yes, I am authorized" / "No – I will not require sponsorship"
+  if (v === "yes" || v === "no") return new RegExp(`^${v}\\b`).test(t);
+  return t.includes(v) || v.includes(t);
+}
 
-    CO_USER_MAP = new Map();
-    CO_ALL_USERS = items.map((u) => {
-      const id = String(u.id || u.user_id || u);
-      const name = u.name || "";
-      const obj = { id, name };
-      CO_USER_MAP.set(id, obj);
-      return obj;
-    });
+function fillControl(control, value) {
+  if (control.kind === "text") {
+    setNativeValue(control.el, value);
+    return true;
+  }
+  if (control.kind === "select") {
+    const opt = Array.from(control.el.options).find(
+      (o) => o.value && choiceMatches(o.textContent, value),
+    );
+    if (!opt) return false;
+    setNativeValue(control.el, opt.value);
+    return true;
+  }
+  const radio = control.radios.find((r) => {
+    const label = Array.from(r.labels || [])
+      .map((l) => l.textContent)
+      .join(" ");
+    return choiceMatches(label || r.value, value);
+  });
+  if (!radio) return false;
+  radio.click();
+  return true;
+}
 
-    if (allMode) selected = new Set(CO_ALL_USERS.map((x) => String(x.id)));
+function controlHasValue(control) {
+  if (control.kind === "radio") return control.radios.some((r) => r.checked);
+  if (control.kind === "select") {
+    return !!control.el.value && control.el.selectedIndex > 0;
+  }
+  return !!String(control.el.value || "").trim();
+}
 
-    if (!allMode && selected.size === 0) {
-      allMode = true;
-      selected = new Set(CO_ALL_USERS.map((x) => String(x.id)));
-      await saveSelected();
+// Fill every recognised control in `scope` from a normalized profile.
+// Never overwrites a control that already has a value.
+// Returns { filled: [label], skipped: [{ label, reason }] }.
+function autofillApplicationForm(profile, scope) {
+  const filled = [];
+  const skipped = [];
+  const matchedKeys = new Set();
+
+  for (const control of collectFormControls(scope)) {
+    const rule = matchProfileRule(control);
+    if (!rule) continue;
+    matchedKeys.add(rule.key);
+    const label = control.parts[0] || rule.label;
+    const value = profile[rule.key];
+    if (controlHasValue(control)) {
+      skipped.push({ label, reason: "already filled" });
+    } else if (!value) {
+      skipped.push({ label, reason: "no value in profile" });
+    } else if (fillControl(control, value)) {
+      filled.push(label);
+    } else {
+      skipped.push({ label, reason: `no option matching "${value}"` });
     }
+  }
 
-    render();
-  } catch (e) {
-    CO_USER_MAP = new Map();
-    CO_ALL_USERS = [];
-    listEl.innerHTML = `<div class="co-user-row"><div class="co-muted">Cannot load users (check auth/backend).</div></div>`;
-    renderChips();
+  // Forms ask for either a full name or first + last; don't report the
+  // other shape as missing.
+  if (matchedKeys.has("full_name")) {
+    matchedKeys.add("first_name").add("last_name");
+  } else if (matchedKeys.has("first_name") || matchedKeys.has("last_name")) {
+    matchedKeys.add("full_name");
   }
+  CO_PROFILE_FIELDS.forEach((rule) => {
+    if (profile[rule.key] && !matchedKeys.has(rule.key)) {
+      skipped.push({ label: rule.label, reason: "not on this form" });
+    }
+  });
+  return { filled, skipped };
+}
 
-  btnAll.addEventListener("click", setAllModeOn);
-  btnClear.addEventListener("click", clearAll);
-  searchEl.addEventListener("input", renderList);
+// ---- screening questions ----
+// Free-text application questions ("Why do you want to work here?") that
+// GPT can draft answers for. Contact / profile fields are left to
+// autofillApplicationForm().
+const CO_QUESTION_START =
+  /^(why|what|how|describe|tell us|explain|share|give an example|please (describe|explain|share|tell))/i;
+
+function findScreeningQuestions(scope) {
+  const questions = [];
+  scope.querySelectorAll("textarea, input").forEach((el) => {
+    if (isInsidePanel(el) || el.disabled || el.readOnly) return;
+    if (el.tagName === "INPUT") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      const maxLen = Number(el.getAttribute("maxlength") || 0);
+      // Single-line inputs only count when they allow a real answer.
+      if (type !== "text" || (maxLen && maxLen < 200)) return;
+    }
+    if (isHiddenControl(el)) return;
+    const parts = fieldDescriptor(el);
+    const question = parts[0] || "";
+    if (!question || question.length < 12) return;
+    if (!/\?$/.test(question) && !CO_QUESTION_START.test(question)) return;
+    if (/cover letter/i.test(question)) return;
+    if (matchProfileRule({ el, parts })) return;
+    questions.push({ id: questions.length + 1, question, el });
+  });
+  return questions;
+}
 
-  root.__coRenderUserList = renderList;
+// GPT is asked for {"answers":[{"id":1,"answer":"..."}]}; also accept a bare
+// array or an {id: answer} map. Returns Map<id, answer>.
+function parseScreeningAnswers(text) {
+  const parsed = parseJsonWithRepair(text).data;
+  const out = new Map();
+  if (!parsed) return out;
+  const list = Array.isArray(parsed) ? parsed : parsed.answers;
+  if (Array.isArray(list)) {
+    list.forEach((a, i) => {
+      const answer = typeof a === "string" ? a : a?.answer;
+      const id = Number(a?.id ?? i + 1);
+      if (answer && String(answer).trim()) out.set(id, String(answer).trim());
+    });
+  } else if (parsed && typeof parsed === "object") {
+    Object.entries(parsed).forEach(([k, v]) => {
+      if (/^\d+$/.test(k) && typeof v === "string" && v.trim()) {
+        out.set(Number(k), v.trim());
+      }
+    });
+  }
+  return out;
 }
 
-// ---- EXISTS check -> updates right side badges ----
-async function updateExistsForSelected(root, cardEl, jobUrl) {
-  if (!(await ensureLoggedIn())) return;
-  const url = (jobUrl || "").trim();
-  if (!url) return;
+// ---- resume schema ----
+// The resume JSON GPT must produce for /v1/ingest/apply-and-generate.
+// Written in a small JSON Schema subset (type, required, properties,
+// additionalProperties, items, minItems, minLength, anyOf) so it can be
+// checked in the panel before anything is sent to the backend.
+const CO_RESUME_STRING = { type: "string" };
+const CO_RESUME_TEXT = { type: "string", minLength: 1 };
+
+const CO_RESUME_SCHEMA = {
+  type: "object",
+  required: ["contact", "summary", "experience", "skills", "education"],
+  properties: {
+    contact: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: CO_RESUME_TEXT,
+        email: CO_RESUME_STRING,
+        phone: CO_RESUME_STRING,
+        location: CO_RESUME_STRING,
+        linkedin: CO_RESUME_STRING,
+        website: CO_RESUME_STRING,
+      },
+    },
+    summary: CO_RESUME_TEXT,
+    experience: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["title", "company", "bullets"],
+        properties: {
+          title: CO_RESUME_TEXT,
+          company: CO_RESUME_TEXT,
+          location: CO_RESUME_STRING,
+          start_date: CO_RESUME_STRING,
+          end_date: CO_RESUME_STRING,
+          bullets: { type: "array", minItems: 1, items: CO_RESUME_TEXT },
+        },
+      },
+    },
+    skills: {
+      anyOf: [
+        { type: "array", minItems: 1, items: CO_RESUME_TEXT },
+        {
+          type: "object",
+          additionalProperties: { type: "array", items: CO_RESUME_TEXT },
+        },
+      ],
+      message: "must be a list of skills or { category: [skills] }",
+    },
+    education: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["school"],
+        properties: {
+          school: CO_RESUME_TEXT,
+          degree: CO_RESUME_STRING,
+          field: CO_RESUME_STRING,
+          start_date: CO_RESUME_STRING,
+          end_date: CO_RESUME_STRING,
+        },
+      },
+    },
+  },
+};
+
+function schemaTypeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
 
-  // const selected = root.__coGetSelectedUserIds?.() || [];
-  const selected = CO_ALL_USERS.map((u) => String(u.id));
-  if (!selected.length) return;
+function schemaPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
 
-  const norm = canonicalizeUrl(url);
+// Returns [{ path: "experience[0].bullets", message }].
+function validateAgainstSchema(value, schema, path = "", errors = []) {
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(
+      (option) => !validateAgainstSchema(value, option, path).length,
+    );
+    if (!matches) {
+      errors.push({ path, message: schema.message || "has the wrong shape" });
+    }
+    return errors;
+  }
 
-  const CONCURRENCY = 6;
-  let idx = 0;
+  const actual = schemaTypeOf(value);
+  if (schema.type && actual !== schema.type) {
+    errors.push({ path, message: `should be ${schema.type}, got ${actual}` });
+    return errors;
+  }
 
-  async function worker() {
-    const returns = [];
-    while (idx < selected.length) {
-      const uid = String(selected[idx++]);
-      try {
-        const r = await apiCall("/v1/applications/exists", {
-          query: { user_id: uid, url: url },
-        });
-        if (!r.ok) continue;
+  if (schema.type === "string" && schema.minLength) {
+    if (value.trim().length < schema.minLength) {
+      errors.push({ path, message: "is empty" });
+    }
+  }
 
-        const data = r.data || {};
-        const exists = !!data.exists;
-        const created_at = exists ? extractCreatedAt(data) : "";
-        const created_by = exists ? extractCreatedByName(data) : "";
-        if (exists) {
-          returns.push({ user_id: uid, created_at, created_by, raw: data });
-        }
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `needs at least ${schema.minItems} item` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        validateAgainstSchema(item, schema.items, `${path}[${i}]`, errors),
+      );
+    }
+  }
 
-        CO_EXISTS_CACHE.set(uid, { exists, created_at, created_by, raw: data });
-      } catch {
-      } finally {
-        root.__coRenderUserList?.();
+  if (schema.type === "object") {
+    const props = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] == null) {
+        errors.push({ path: schemaPath(path, key), message: "is missing" });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      const sub = props[key] || schema.additionalProperties;
+      if (sub && value[key] != null) {
+        validateAgainstSchema(value[key], sub, schemaPath(path, key), errors);
       }
+    });
+  }
+  return errors;
+}
+
+function validateResumeJson(data) {
+  // A blocked verdict carries only the reason, not a resume.
+  if (data?.blocked) return [];
+  return validateAgainstSchema(data, CO_RESUME_SCHEMA);
+}
+
+// ---- resume diff ----
+// Compares a tailored Resume JSON with the user's base resume so the panel
+// can show what GPT changed. Roles are matched by company (and title),
+// bullets by normalized text in order (LCS), skills as sets; a reworded
+// bullet shows up as one removal plus one addition. Every change carries
+// `accepted` (default true) for the review pane to toggle.
+function diffKey(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]+/g, " ")
+    .trim();
+}
+
+function diffItem(text, status) {
+  return { text, status, accepted: true };
+}
+
+// base + tailored lists -> merged [{ text, status: same/added/removed }]
+function diffLists(base, tailored) {
+  const a = base.map(diffKey);
+  const b = tailored.map(diffKey);
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
-    return returns;
   }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      out.push(diffItem(tailored[j], "same"));
+      i++;
+      j++;
+    } else if (
+      j >= b.length ||
+      (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      out.push(diffItem(base[i++], "removed"));
+    } else {
+      out.push(diffItem(tailored[j++], "added"));
+    }
+  }
+  return out;
+}
 
-  const results = await Promise.all(
-    Array.from({ length: Math.min(CONCURRENCY, selected.length) }, () =>
-      worker(),
+function resumeBullets(job) {
+  return (Array.isArray(job?.bullets) ? job.bullets : [])
+    .map((b) => String(b).trim())
+    .filter(Boolean);
+}
+
+// Skills as [[category or null, [skills]]].
+function resumeSkillGroups(skills) {
+  if (Array.isArray(skills)) return [[null, skills]];
+  if (!skills || typeof skills !== "object") return [];
+  return Object.entries(skills).filter(([, list]) => Array.isArray(list));
+}
+
+function diffResumeSkills(baseSkills, tailoredSkills) {
+  const baseGroups = resumeSkillGroups(baseSkills);
+  const tailoredGroups = resumeSkillGroups(tailoredSkills);
+  const keys = (groups) =>
+    new Set(groups.flatMap(([, list]) => list.map(diffKey)));
+  const baseKeys = keys(baseGroups);
+  const tailoredKeys = keys(tailoredGroups);
+
+  const groups = tailoredGroups.map(([category, list]) => ({
+    category,
+    items: list.map((s) =>
+      diffItem(s, baseKeys.has(diffKey(s)) ? "same" : "added"),
     ),
+  }));
+  // Dropped skills go back under their category (or the only list).
+  baseGroups.forEach(([category, list]) => {
+    const removed = list.filter((s) => !tailoredKeys.has(diffKey(s)));
+    if (!removed.length) return;
+    let group =
+      groups.find(
+        (g) => g.category != null && diffKey(g.category) === diffKey(category),
+      ) || (groups.length === 1 && groups[0].category == null && groups[0]);
+    if (!group) {
+      group = { category: category ?? "Skills", items: [] };
+      groups.push(group);
+    }
+    group.items.push(...removed.map((s) => diffItem(s, "removed")));
+  });
+  return groups;
+}
+
+// -> { summary: { base, tailored, status, accepted }, jobs: [{ job, status,
+//      accepted, bullets, baseIndex? }], skills: [{ category, items }] }
+function diffResumes(base, tailored) {
+  const baseJobs = Array.isArray(base?.experience) ? base.experience : [];
+  const used = new Set();
+  const findBase = (job, withTitle) =>
+    baseJobs.findIndex(
+      (b, i) =>
+        !used.has(i) &&
+        diffKey(b?.company) &&
+        diffKey(b?.company) === diffKey(job?.company) &&
+        (!withTitle || diffKey(b?.title) === diffKey(job?.title)),
+    );
+  // A whole role added or dropped is one change; its bullets go with it.
+  const role = (job, status, bullets) => ({
+    job,
+    status,
+    accepted: true,
+    bullets:
+      bullets || resumeBullets(job).map((text) => diffItem(text, "same")),
+  });
+
+  const tailoredJobs = Array.isArray(tailored?.experience)
+    ? tailored.experience
+    : [];
+  const jobs = tailoredJobs.map((job) => {
+    let idx = findBase(job, true);
+    if (idx < 0) idx = findBase(job, false);
+    if (idx < 0) return role(job, "added");
+    used.add(idx);
+    const base = resumeBullets(baseJobs[idx]);
+    return {
+      ...role(job, "same", diffLists(base, resumeBullets(job))),
+      baseIndex: idx,
+    };
+  });
+  // A dropped role goes back where it was in the base resume (before the
+  // next base role GPT kept), so keeping it preserves the order.
+  baseJobs.forEach((job, i) => {
+    if (used.has(i)) return;
+    const next = jobs.findIndex((j) => j.baseIndex > i);
+    const removed = { ...role(job, "removed"), baseIndex: i };
+    if (next < 0) jobs.push(removed);
+    else jobs.splice(next, 0, removed);
+  });
+
+  const baseSummary = String(base?.summary || "").trim();
+  const tailoredSummary = String(tailored?.summary || "").trim();
+  const summaryChanged = diffKey(baseSummary) !== diffKey(tailoredSummary);
+  return {
+    summary: {
+      base: baseSummary,
+      tailored: tailoredSummary,
+      status: summaryChanged ? "changed" : "same",
+      accepted: true,
+    },
+    jobs,
+    skills: diffResumeSkills(base?.skills, tailored?.skills),
+  };
+}
+
+// Every item that can be accepted or rejected.
+function resumeDiffChanges(diff) {
+  return [
+    diff.summary,
+    ...diff.jobs,
+    ...diff.jobs.flatMap((j) => j.bullets),
+    ...diff.skills.flatMap((g) => g.items),
+  ].filter((item) => item.status !== "same");
+}
+
+function resumeDiffChoiceKey(item) {
+  const what =
+    "text" in item
+      ? item.text
+      : "job" in item
+        ? `${item.job?.company}\n${item.job?.title}`
+        : `${item.base}\n${item.tailored}`;
+  return `${item.status}\n${diffKey(what)}`;
+}
+
+// Re-applies the rejections made on an earlier diff to a fresh one (after
+// the Resume JSON was edited), for the changes both still contain.
+function carryResumeDiffChoices(from, to) {
+  if (!from) return to;
+  const rejected = new Set(
+    resumeDiffChanges(from)
+      .filter((c) => !c.accepted)
+      .map(resumeDiffChoiceKey),
   );
-  const pickerSelected = new Set(
-    (root.__coGetSelectedUserIds?.() || []).map(String),
-  );
-  const anyApplied =
-    pickerSelected.size > 0
-      ? Array.from(pickerSelected).some(
-          (uid) => CO_EXISTS_CACHE.get(uid)?.exists,
-        )
-      : false;
-  const normUrl = canonicalizeUrl(url);
-  if (anyApplied && root.__coShakenUrl !== normUrl) {
-    root.__coShakenUrl = normUrl;
-    shakePanel(cardEl);
+  resumeDiffChanges(to).forEach((c) => {
+    if (rejected.has(resumeDiffChoiceKey(c))) c.accepted = false;
+  });
+  return to;
+}
+
+// An item stays in the result when it is unchanged, an accepted addition
+// or a rejected removal.
+function resumeDiffKeeps(item) {
+  if (item.status === "same") return true;
+  return (item.status === "added") === item.accepted;
+}
+
+// The tailored resume with rejected changes undone.
+function applyResumeDiff(tailored, diff) {
+  const out = JSON.parse(JSON.stringify(tailored));
+  if (diff.summary.status === "changed" && !diff.summary.accepted) {
+    out.summary = diff.summary.base;
   }
+  out.experience = diff.jobs.filter(resumeDiffKeeps).map((j) => ({
+    ...j.job,
+    bullets: j.bullets.filter(resumeDiffKeeps).map((b) => b.text),
+  }));
+  const groups = diff.skills.map((g) => [
+    g.category,
+    g.items.filter(resumeDiffKeeps).map((s) => s.text),
+  ]);
+  out.skills = Array.isArray(tailored.skills)
+    ? groups.flatMap(([, list]) => list)
+    : Object.fromEntries(
+        groups
+          .filter(([, list]) => list.length)
+          .map(([category, list]) => [category ?? "Skills", list]),
+      );
+  return out;
+}
 
-  return results;
+// ---- keyword coverage ----
+// Local check of how much of the JD the Resume JSON covers. Terms come from
+// a skills lexicon (with aliases) plus acronyms / CamelCase names found in
+// the requirement sections. Each term is required or nice-to-have by the
+// JD section it appears in; required terms weigh double in the score.
+
+// `word` written as a list item ("Go, Python", "Java or Go", "Spring.") but
+// not as prose ("Go beyond", "Spring into action").
+function listedKeyword(word) {
+  return new RegExp(
+    `(?<![\\w.])${word}(?=[ \\t]*(?:[,)/;\\n]|\\.(?:\\s|$)|$|(?:and|or)\\b))`,
+  );
 }
 
-// ---- main panel ----
-(() => {
-  // The content script is injected into every frame (all_frames: true in
-  // the manifest). Without this guard, pages that embed iframes end up
-  // rendering the launch icon multiple times — once per frame.
-  if (window.top !== window.self) return;
+// Terms that are also everyday words ("go the extra mile", "get some rest",
+// "excel at") are { term, exact: [...] } entries: only the listed spellings
+// or patterns count, and spellings match case-sensitively.
+const CO_KEYWORD_LEXICON = [
+  ["JavaScript", "js", "ecmascript"],
+  ["TypeScript"],
+  ["Python"],
+  ["Java"],
+  { term: "Go", exact: ["Golang", "golang", listedKeyword("Go")] },
+  ["C++", "cpp"],
+  ["C#", "csharp"],
+  [".NET", "dotnet"],
+  ["Ruby"],
+  ["PHP"],
+  ["Kotlin"],
+  { term: "Swift", exact: ["Swift", "SwiftUI"] },
+  { term: "Rust", exact: ["Rust"] },
+  ["Scala"],
+  ["Elixir"],
+  ["SQL"],
+  ["Bash", "shell scripting"],
+  { term: "React", exact: ["React", "React.js", "ReactJS", "react.js"] },
+  ["Next.js", "nextjs"],
+  ["Vue", "vue.js", "vuejs"],
+  ["Angular"],
+  ["Svelte"],
+  ["Redux"],
+  ["HTML", "html5"],
+  ["CSS", "css3"],
+  ["Sass", "scss"],
+  ["Tailwind"],
+  ["Webpack"],
+  {
+    term: "Node.js",
+    exact: ["Node.js", "Node", "NodeJS", "node.js", "nodejs"],
+  },
+  { term: "Express", exact: ["Express.js", "ExpressJS", "express.js"] },
+  ["Django"],
+  ["Flask"],
+  ["FastAPI"],
+  { term: "Spring", exact: ["Spring Boot", listedKeyword("Spring")] },
+  { term: "Rails", exact: ["Rails", "Ruby on Rails"] },
+  ["Laravel"],
+  ["GraphQL"],
+  { term: "REST", exact: ["REST", "RESTful", "restful"] },
+  ["gRPC"],
+  ["Microservices", "microservice"],
+  ["PostgreSQL", "postgres"],
+  ["MySQL"],
+  ["MongoDB", "mongo"],
+  ["Redis"],
+  ["Elasticsearch", "elastic search"],
+  ["DynamoDB"],
+  ["Cassandra"],
+  ["Snowflake"],
+  ["BigQuery"],
+  ["Kafka"],
+  ["RabbitMQ"],
+  { term: "Spark", exact: ["Spark", "PySpark", "pyspark"] },
+  ["Airflow"],
+  ["dbt"],
+  ["ETL"],
+  ["Pandas"],
+  ["NumPy"],
+  ["AWS", "amazon web services"],
+  ["GCP", "google cloud"],
+  ["Azure"],
+  ["Docker"],
+  ["Kubernetes", "k8s"],
+  ["Terraform"],
+  ["Ansible"],
+  ["CI/CD", "ci cd", "continuous integration"],
+  ["Jenkins"],
+  ["GitHub Actions"],
+  ["Git"],
+  ["Linux"],
+  ["Serverless"],
+  { term: "Lambda", exact: ["Lambda"] },
+  ["S3"],
+  ["Prometheus"],
+  ["Grafana"],
+  ["Datadog"],
+  ["Machine Learning", "ml"],
+  ["Deep Learning"],
+  ["NLP", "natural language processing"],
+  ["LLM", "llms", "large language models"],
+  ["TensorFlow"],
+  ["PyTorch"],
+  ["scikit-learn", "sklearn"],
+  ["Computer Vision"],
+  { term: "Jest", exact: ["Jest"] },
+  ["Cypress"],
+  ["Selenium"],
+  ["Playwright"],
+  ["Unit Testing", "unit tests"],
+  ["TDD", "test-driven development"],
+  { term: "Agile", exact: ["Agile"] },
+  ["Scrum"],
+  ["Jira"],
+  ["System Design"],
+  ["Distributed Systems"],
+  ["OAuth"],
+  ["Figma"],
+  ["Tableau"],
+  ["Power BI"],
+  {
+    term: "Excel",
+    exact: ["MS Excel", "Microsoft Excel", listedKeyword("Excel")],
+  },
+];
+
+// All-caps words that are not skills (job-ad boilerplate, places, shouting).
+const CO_KEYWORD_STOPWORDS = new Set(
+  (
+    "US USA UK EU EEO EOE PTO HR CEO CTO CFO VP OK AM PM EST PST CST ET PT " +
+    "LLC INC WFH FAQ ADA DEI OTE HQ AND OR THE YOU WE OUR NOT FOR ALL NEW " +
+    "MUST HAVE WILL WITH THIS THAT ARE CAN ABOUT YOUR JOB ROLE TEAM WHAT WHO " +
+    "IT BS MS BA MBA PHD API"
+  ).split(" "),
+);
+
+const CO_JD_NICE_HEADING =
+  /nice[\s-]to[\s-]have|preferred|bonus|pluses|good[\s-]to[\s-]have|desired|would be great|extra credit/i;
+const CO_JD_REQUIRED_HEADING =
+  /requirements?|qualifications|must[\s-]haves?|required|what you(?:'ll)? (?:need|bring)|you (?:have|bring)|minimum|skills|who you are|experience/i;
+const CO_JD_NICE_LINE =
+  /\b(?:is a plus|a plus|preferred|nice[\s-]to[\s-]have|bonus( points)?)\b/i;
+
+function keywordPattern(alias, caseSensitive = false) {
+  if (alias instanceof RegExp) return alias;
+  const body = alias
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/ /g, "[\\s-]?");
+  return new RegExp(
+    `(?<![\\w+#.])${body}(?![\\w+#]|\\.\\w)`,
+    caseSensitive ? "" : "i",
+  );
+}
 
-  const PANEL_ID = "careeros-panel-root";
-  const STYLE_ID = "careeros-panel-style";
+const CO_KEYWORD_TERMS = CO_KEYWORD_LEXICON.map((entry) =>
+  Array.isArray(entry)
+    ? { term: entry[0], patterns: entry.map((a) => keywordPattern(a)) }
+    : {
+        term: entry.term,
+        patterns: entry.exact.map((a) => keywordPattern(a, true)),
+      },
+);
+
+function keywordMatches(entry, text) {
+  return entry.patterns.some((re) => re.test(text));
+}
 
-  const url = location.href.toLowerCase();
-  const title = (document.title || "").toLowerCase();
-  const jobHints = [
-    "/jobs",
-    "/job/",
-    "/careers",
-    "/career",
-    "greenhouse",
-    "lever.co",
-    "indeed.com",
-    "linkedin.com/jobs",
-    "workday",
-    "apply",
-    "job description",
-    "job posting",
-  ];
-  const looksLikeJobPage = jobHints.some(
-    (h) => url.includes(h) || title.includes(h),
+// Short, unbulleted lines without terminal punctuation (or ending in ":")
+// that name no skill, e.g. "Requirements:", "## Benefits".
+function isJdHeading(line) {
+  if (/^(?:[-•*·–]|\d+[.)])\s/.test(line)) return false;
+  const bare = line.replace(/^[#*\s]+|[:*#\s]+$/g, "");
+  return (
+    !!bare &&
+    bare.length <= 60 &&
+    bare.split(/\s+/).length <= 8 &&
+    (/:\W*$/.test(line) || !/[.!?,;]$/.test(bare)) &&
+    !CO_KEYWORD_TERMS.some((entry) => keywordMatches(entry, bare))
   );
+}
 
-  function ensureStyles() {
-    if (document.getElementById(STYLE_ID)) return;
-    const style = document.createElement("style");
-    style.id = STYLE_ID;
-    style.textContent = `
-      #${PANEL_ID} { position: fixed; right: 16px; bottom: 10vh; z-index: 2147483647; font-family: Arial, sans-serif; }
-      #${PANEL_ID} .co-launch { border:0; background:transparent; padding:0; cursor:pointer; }
-      #${PANEL_ID} .co-launch-logo { height: 50px; width: 90px; display:block; }
-      #${PANEL_ID} .co-card { width: 430px; max-height: 75vh; overflow: auto; margin-top: 10px;
-        border-radius: 14px; background: #fff; box-shadow: 0 10px 30px rgba(0,0,0,.25);
-        border: 1px solid rgba(0,0,0,.08); transform: translateZ(0); }
-      #${PANEL_ID} .co-head { display:flex; align-items:center; justify-content:space-between; padding: 10px 12px; border-bottom: 1px solid #eee; }
-      #${PANEL_ID} .co-title { font-weight: 900; font-size: 13px; display:flex; align-items:center; gap:8px; }
-      #${PANEL_ID} .co-x { border:0; background: transparent; cursor:pointer; font-size: 18px; line-height: 1; padding: 2px 6px; }
-      #${PANEL_ID} .co-body { padding: 10px 12px; }
-      #${PANEL_ID} label { display:block; font-size: 12px; margin-top: 8px; color:#111; font-weight:900; }
-      #${PANEL_ID} input, #${PANEL_ID} textarea, #${PANEL_ID} select {
-        width:100%; box-sizing:border-box; margin-top: 4px; padding: 10px; border-radius: 12px;
-        border: 1px solid #e5e7eb; font-size: 12px;
+// JD -> [{ text, level: "required" | "nice" | "other" }] by the heading each
+// line sits under. Without any recognised heading everything is required.
+function splitJdSections(jdText) {
+  const out = [];
+  let level = "other";
+  let sawHeading = false;
+  String(jdText || "")
+    .split(/\n+/)
+    .map((l) => l.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      if (isJdHeading(line)) {
+        if (CO_JD_NICE_HEADING.test(line)) level = "nice";
+        else if (CO_JD_REQUIRED_HEADING.test(line)) level = "required";
+        else level = "other";
+        if (level !== "other") sawHeading = true;
+        return;
       }
-      #${PANEL_ID} textarea { resize: vertical; }
-      #${PANEL_ID} .co-action {
-        margin-top: 10px; width:100%; padding: 10px; border:0; border-radius: 12px;
-        cursor:pointer; background:#2563eb; color:#fff; font-weight:900;
-      }
-      #${PANEL_ID} .co-action:hover { background:#1e40af; }
-      #${PANEL_ID} .co-action:active { background:#1e3a8a; }
-      #${PANEL_ID} .co-action.secondary { background:#111; }
-      #${PANEL_ID} .co-status { margin-top: 10px; font-size: 12px; white-space: pre-wrap; color:#111; }
-      #${PANEL_ID} .co-muted { color:#6b7280; font-size: 11px; margin-top: 8px; }
-      #${PANEL_ID} .co-divider { height:1px; background:#eee; margin:10px 0; }
-      #${PANEL_ID} .co-pill { display:inline-block; font-size:11px; padding:3px 8px; border-radius:999px; background:#f3f4f6; color:#111; border:1px solid #e5e7eb; }
+      const lineLevel =
+        level === "required" && CO_JD_NICE_LINE.test(line) ? "nice" : level;
+      out.push({ text: line, level: lineLevel });
+    });
+  if (!sawHeading) out.forEach((l) => (l.level = "required"));
+  return out;
+}
 
-      /* user picker */
-      #${PANEL_ID} .co-userpicker{ border:1px solid #e5e7eb; border-radius:12px; padding:10px; background:#fafafa; }
-      #${PANEL_ID} .co-userpicker-top{ display:flex; gap:8px; align-items:center; }
-      #${PANEL_ID} .co-user-search{ flex:1; margin-top:0 !important; background:#fff; }
-      #${PANEL_ID} .co-user-ghost{
-        border:1px solid #e5e7eb; background:#fff; border-radius:10px;
-        padding:8px 10px; font-size:12px; cursor:pointer; font-weight:900; white-space:nowrap;
-      }
-      #${PANEL_ID} .co-user-ghost:hover{ background:#f3f4f6; }
-      #${PANEL_ID} .co-user-chips{ display:flex; flex-wrap:wrap; gap:6px; margin-top:10px; }
-      #${PANEL_ID} .co-chip{
-        display:inline-flex; align-items:center; gap:6px;
-        padding:6px 9px; border-radius:999px;
-        background:#fff; border:1px solid #e5e7eb;
-        font-size:12px; font-weight:900;
-      }
-      #${PANEL_ID} .co-chip .co-chip-x{ border:0; background:transparent; cursor:pointer; font-size:14px; line-height:1; padding:0 2px; color:#6b7280; }
+// Flat text of everything the resume says (for coverage matching).
+function resumeKeywordText(resume) {
+  const parts = [resume?.summary];
+  (Array.isArray(resume?.experience) ? resume.experience : []).forEach((j) =>
+    parts.push(j?.title, ...(Array.isArray(j?.bullets) ? j.bullets : [])),
+  );
+  resumeSkillGroups(resume?.skills).forEach(([category, list]) =>
+    parts.push(category, ...list),
+  );
+  (Array.isArray(resume?.education) ? resume.education : []).forEach((e) =>
+    parts.push(e?.degree, e?.field),
+  );
+  return parts.filter(Boolean).map(String).join("\n");
+}
 
-      #${PANEL_ID} .co-user-list{
-        margin-top:10px;
-        max-height:220px;
-        overflow:auto;
-        background:#fff;
-        border:1px solid #e5e7eb;
-        border-radius:12px;
-      }
-      #${PANEL_ID} .co-user-row{
-        display:grid;
-        grid-template-columns: 18px 1fr auto;
-        gap:10px;
-        align-items:center;
-        padding:10px;
-        border-bottom:1px solid #f1f5f9;
-        cursor:pointer;
-      }
-      #${PANEL_ID} .co-user-row:hover{ background:#f8fafc; }
-      #${PANEL_ID} .co-user-row:last-child{ border-bottom:0; }
-      #${PANEL_ID} .co-user-checkbox{ width:16px; height:16px; }
+// -> { score (0-100), terms: [{ term, level, covered }], missing: {
+//      required: [terms], nice: [terms] } }, or null if the JD has no terms.
+function analyzeKeywordCoverage(jdText, resume) {
+  const rank = { required: 2, nice: 1, other: 0 };
+  const found = new Map(); // term -> { entry, level }
+  const note = (term, entry, level) => {
+    const prev = found.get(term);
+    if (!prev || rank[level] > rank[prev.level]) {
+      found.set(term, { entry, level });
+    }
+  };
 
-      #${PANEL_ID} .co-user-left{ min-width:0; display:flex; flex-direction:column; gap:2px; }
-      #${PANEL_ID} .co-user-name{ font-size:12px; font-weight:900; color:#111827; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
-      #${PANEL_ID} .co-user-id{ font-size:11px; color:#6b7280; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width: 240px; }
-      #${PANEL_ID} .co-user-right-slot{ align-self:end; }
-      #${PANEL_ID} .co-user-badge{ font-size:11px; font-weight:900; color:#991b1b; background: rgba(220,38,38,.08); border: 1px solid rgba(220,38,38,.22); padding:6px 8px; border-radius: 10px; white-space:nowrap; max-width: 200px; overflow:hidden; text-overflow:ellipsis; }
+  splitJdSections(jdText).forEach(({ text, level }) => {
+    CO_KEYWORD_TERMS.forEach((entry) => {
+      if (keywordMatches(entry, text)) note(entry.term, entry, level);
+    });
+    if (level === "other") return;
+    // Tools the lexicon doesn't know: acronyms and CamelCase names.
+    for (const [word] of text.matchAll(
+      /\b[A-Z][a-z]+[A-Z][A-Za-z]+\b|\b[A-Z][A-Z0-9]{1,5}s?\b/g,
+    )) {
+      const bare = word.replace(/s$/, "");
+      if (CO_KEYWORD_STOPWORDS.has(bare.toUpperCase())) continue;
+      if (CO_KEYWORD_TERMS.some((e) => keywordMatches(e, word))) continue;
+      note(bare, { patterns: [keywordPattern(bare)] }, level);
+    }
+  });
+  if (!found.size) return null;
+
+  const resumeText = resumeKeywordText(resume);
+  const terms = [...found].map(([term, { entry, level }]) => ({
+    term,
+    // Terms only mentioned outside the requirement lists count as nice.
+    level: level === "other" ? "nice" : level,
+    covered: keywordMatches(entry, resumeText),
+  }));
+  const weight = (t) => (t.level === "required" ? 2 : 1);
+  const total = terms.reduce((n, t) => n + weight(t), 0);
+  const covered = terms
+    .filter((t) => t.covered)
+    .reduce((n, t) => n + weight(t), 0);
+  const missing = (level) =>
+    terms.filter((t) => t.level === level && !t.covered).map((t) => t.term);
+  return {
+    score: Math.round((covered / total) * 100),
+    terms,
+    missing: { required: missing("required"), nice: missing("nice") },
+  };
+}
 
-      @keyframes co-card-shake {
-        0%,100%{ transform: translateX(0); }
-        15%{ transform: translateX(-10px); }
-        30%{ transform: translateX(10px); }
-        45%{ transform: translateX(-8px); }
-        60%{ transform: translateX(8px); }
-        75%{ transform: translateX(-5px); }
-        90%{ transform: translateX(5px); }
-      }
-      #${PANEL_ID} .co-card.co-card-shake{ animation: co-card-shake .55s ease-in-out 0s 2; }
+// ---- block rules ----
+// Per-user screening checked locally on the JD before any GPT call, so a job
+// the user can't take doesn't cost a GPT round-trip. GPT's own `blocked`
+// verdict still applies to whatever gets through.
+const CO_BLOCK_RULES_KEY = "blockRules"; // { userId: rules }
+
+// rules: { excluded_companies: [names], no_clearance, no_onsite_only,
+//          needs_sponsorship: booleans, max_years, min_salary: numbers|null }
+function normalizeBlockRules(raw) {
+  const num = (v) => {
+    const n = Number(v);
+    return v !== "" && v != null && Number.isFinite(n) && n > 0 ? n : null;
+  };
+  return {
+    excluded_companies: (Array.isArray(raw?.excluded_companies)
+      ? raw.excluded_companies
+      : []
+    )
+      .map((c) => String(c || "").trim())
+      .filter(Boolean),
+    no_clearance: !!raw?.no_clearance,
+    no_onsite_only: !!raw?.no_onsite_only,
+    needs_sponsorship: !!raw?.needs_sponsorship,
+    max_years: num(raw?.max_years),
+    min_salary: num(raw?.min_salary),
+  };
+}
 
-      /* upload section */
-      #${PANEL_ID} .co-section-toggle{
-        margin-top:10px; width:100%; padding:8px 10px;
-        border:1px solid #d1d5db; border-radius:10px;
-        cursor:pointer; background:#f9fafb; color:#374151;
-        font-weight:900; font-size:12px; text-align:left;
-      }
-      #${PANEL_ID} .co-section-toggle:hover{ background:#f3f4f6; }
-      #${PANEL_ID} .co-upload-section{
-        border:1px solid #bbf7d0; border-radius:12px;
-        padding:10px; margin-top:6px; background:#f0fdf4;
-      }
-      #${PANEL_ID} .co-upload-section input[type="file"]{
-        padding:6px; cursor:pointer;
-      }
-      #${PANEL_ID} .co-upload-ok{ color:#15803d; }
-      #${PANEL_ID} .co-upload-err{ color:#dc2626; }
-    `;
-    document.documentElement.appendChild(style);
-  }
+function hasBlockRules(rules) {
+  const r = normalizeBlockRules(rules);
+  return !!(
+    r.excluded_companies.length ||
+    r.no_clearance ||
+    r.no_onsite_only ||
+    r.needs_sponsorship ||
+    r.max_years ||
+    r.min_salary
+  );
+}
 
-  function buildPanel() {
-    const root = document.createElement("div");
-    root.id = PANEL_ID;
-    root.innerHTML = `
-      <button class="co-launch" type="button" aria-label="Open CareerOS">
-        <img class="co-launch-logo" src="${chrome.runtime.getURL(
-          !isLikelyJobPage() ? "assets/closed-logo.png" : "assets/logo.png",
-        )}" alt="CareerOS"/>
-      </button>
+const CO_CLEARANCE_RE =
+  /\b(?:(?:active|current|obtain|maintain)\s+(?:an?\s+)?(?:(?:DoD|government|federal|security|secret|top secret|TS\/SCI)\s+)+clearance|(?:security|secret|top secret|TS\/SCI|public trust)\s+clearance\s+(?:is\s+)?(?:required|needed|must)|TS\/SCI|clearance\s+(?:is\s+)?required|must\s+(?:hold|have|possess)\s+(?:an?\s+)?(?:active\s+)?(?:\w+\s+){0,2}clearance)\b/i;
+const CO_NO_CLEARANCE_RE = /\bno\s+(?:security\s+)?clearance\b/i;
+const CO_ONSITE_ONLY_RE =
+  /\b(?:(?:100%|fully|entirely|strictly|completely)\s+(?:on[\s-]?site|in[\s-](?:the\s+)?office)|on[\s-]?site\s+only|in[\s-]office\s+only|(?:no|not(?:\s+a)?)\s+remote(?![\s-]*(?:first|friendly|only)\b)|(?:this\s+)?(?:role|position)\s+is\s+not\s+remote|remote\s+(?:work\s+)?(?:is\s+)?not\s+(?:available|an\s+option|possible|offered)|(?:5|five)\s+days\s+(?:a|per)\s+week\s+(?:in|on)[\s-](?:the\s+)?(?:office|site))\b/i;
+const CO_NO_SPONSORSHIP_RE =
+  /\b(?:(?:not|unable\s+to|cannot|can't|won't|will\s+not|do\s+not|does\s+not)\s+(?:be\s+able\s+to\s+)?(?:\w+\s+){0,2}sponsor\w*|no\s+(?:visa\s+)?sponsorship|sponsorship\s+(?:is\s+)?not\s+(?:available|offered|provided|possible)|without\s+(?:the\s+)?(?:need\s+for|requiring)\s+(?:\w+\s+){0,3}sponsorship|U\.?S\.?\s+citizens?(?:hip)?\s+(?:only|(?:is\s+)?required)|must\s+be\s+(?:an?\s+)?U\.?S\.?\s+citizen)/i;
+const CO_YEARS_RE =
+  /\b(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*\+?\s*)?(?:years?|yrs?)\b(?!\s+(?:ago|old)\b)/gi;
+const CO_YEARS_CONTEXT_RE = /\bexperience\b|\bexp\b/i;
+// Wording that makes a years figure something the candidate must have.
+const CO_YEARS_ASK_RE =
+  /\b(?:you(?:'ll|\s+will)?\s+(?:have|bring|need)|you've|requires?|required|minimum|min\.|at\s+least|must|should\s+have|looking\s+for|candidates?|preferred|ideally)\b/i;
+const CO_REQUIREMENTS_HEADING_RE =
+  /\b(?:requirements?|qualifications?|what\s+you(?:'ll)?\s+(?:need|bring)|who\s+you\s+are|must[\s-]haves?)\b/i;
+const CO_SALARY_CONTEXT_RE =
+  /\b(?:salary|salaries|compensation|base|pay|paid|wages?|OTE|annual(?:ly)?|per\s+(?:year|annum|hour)|a\s+year|hourly)\b|\/\s*(?:yr|year|hr|hour)\b/i;
+const CO_SALARY_NOT_PAY_RE =
+  /\b(?:stipend|bonus|allowance|reimburse\w*|budget|equity|401\s?k|match)\b/i;
+const CO_SALARY_RE =
+  /\$\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?\s*[kK]?)(?:\s*(?:-|–|—|to)\s*\$?\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?\s*[kK]?))?(\s*(?:\/\s*(?:hr|hour)|per\s+hour|an\s+hour|hourly))?/gi;
+
+function blockRuleSnippet(text, match) {
+  const start = Math.max(0, match.index - 30);
+  const end = Math.min(text.length, match.index + match[0].length + 30);
+  return `"${start ? "…" : ""}${text
+    .slice(start, end)
+    .replace(/\s+/g, " ")
+    .trim()}${end < text.length ? "…" : ""}"`;
+}
 
-      <div class="co-card" style="display:none;">
-        <div class="co-head">
-          <div class="co-title">
-            <img src="${chrome.runtime.getURL(
-              "assets/logo.png",
-            )}" alt="CareerOS" style="height:16px;width:auto;vertical-align:middle"/>
-            <span>CareerOS</span>
-            <span id="co_auth_pill" class="co-pill" style="display:none;"></span>
-          </div>
-          <button class="co-x" type="button" aria-label="Close">x</button>
-        </div>
+function normalizeCompanyName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[.,'’&()]/g, " ")
+    .replace(/\b(?:inc|llc|ltd|corp|corporation|co|company|gmbh|plc)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-        <div class="co-body">
-          <div id="co_auth_view">
-            <label>Backend</label>
-            <input id="co_backend" placeholder="http://127.0.0.1:8000" />
-            <label>GPT URL</label>
-            <input id="co_gpt_url" placeholder="https://chatgpt.com/g/..." />
-            <div class="co-divider"></div>
-            <label>Email</label>
-            <input id="co_email" placeholder="you@example.com" autocomplete="username"/>
-            <label>Password</label>
-            <input id="co_password" type="password" placeholder="••••••••" autocomplete="current-password"/>
-            <button class="co-action" id="co_login" type="button">Login</button>
-            <div class="co-muted">Press Enter on email/password to login.</div>
-            <div class="co-status" id="co_auth_status"></div>
-          </div>
+function salaryAmount(raw) {
+  const text = String(raw || "").replace(/[,\s]/g, "");
+  const n = parseFloat(text);
+  return /k$/i.test(text) ? n * 1000 : n;
+}
 
-          <div id="co_app_view" style="display:none;">
-            <button class="co-section-toggle" id="co_users_toggle" type="button">▾ Users</button>
-            <div class="co-userpicker" id="co_userpicker">
-              <div id="co_user_chips" class="co-user-chips"></div>
-              <div id="co_users_expandable" style="display:none;">
-                <div class="co-userpicker-top">
-                  <input id="co_user_search" class="co-user-search" placeholder="Search users..." />
-                  <button id="co_user_select_all" class="co-user-ghost" type="button">All users</button>
-                  <button id="co_user_clear" class="co-user-ghost" type="button">Clear</button>
-                </div>
-                <div id="co_user_list" class="co-user-list"></div>
-                <div class="co-muted" style="margin-top:6px;">Applied hint is on the right of the user ID line. Hover user id to see full id.</div>
-              </div>
-            </div>
-            <label>Source site</label>
-            <input id="co_source_site" placeholder="indeed" />
-            <label>Job URL</label>
-            <input id="co_url" />
-            <label>Company</label>
-            <input id="co_company" placeholder="Acme" />
-            <label>Position</label>
-            <input id="co_position" placeholder="Senior Software Engineer" />
-            <label>Job Description (paste)</label>
-            <textarea id="co_jd" placeholder="Paste full JD here..."></textarea>
-            <label>Important Note (for GPT)</label>
-            <input id="co_important_note" placeholder="e.g. Focus on Python skills, avoid mentioning X..." />
-            <label>Resume JSON (GPT output) / (Cover Letter Input)</label>
-            <textarea id="co_resume_json" placeholder="GPT-generated resume JSON will appear here..."></textarea>
-            <label>Cover Letter (GPT output)</label>
-            <textarea id="co_cover_letter" placeholder="GPT-generated cover letter will appear here..."></textarea>
+// Text around a regex match, `before` / `after` chars either side, cut at
+// line breaks and sentence ends.
+function matchContext(text, match, before, after) {
+  const end = /\n|[.;!?](?:\s|$)/;
+  const from = Math.max(0, match.index - before);
+  const to = match.index + match[0].length + after;
+  return [
+    text.slice(from, match.index).split(end).pop(),
+    text.slice(match.index + match[0].length, to).split(end)[0],
+  ];
+}
 
-            <label>Resume download</label>
-            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
-              <select id="co_resume_format" style="flex:1;">
-                <option value="docx">DOCX</option>
-                <option value="pdf">PDF</option>
-                <option value="both">DOCX + PDF</option>
-              </select>
-              <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:4px; white-space:nowrap;">
-                <input id="co_close_gpt_tab" type="checkbox" style="width:auto; margin:0;" />
-                Close GPT tab
-              </label>
-            </div>
-            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
-              <button class="co-action" id="co_generate" type="button">Generate</button>
-              <button class="co-action" id="co_gpt_gen" type="button" style="background:#7c3aed;">GPT Gen</button>
-              <button class="co-action" id="co_gpt_cover_letter" type="button" style="background:#0891b2;">C Letter</button>
-              <button class="co-action" id="co_save" type="button">Save</button>
-            </div>
-            <button class="co-action" id="co_fill_upload" type="button" style="background:#b45309;">Fill Upload Field</button>
-            <div id="co_resume_picker" style="display:none; margin-top:4px; border:1px solid #b45309; border-radius:6px; padding:6px;">
-              <div class="co-muted" style="margin-bottom:4px;">Select resume to fill:</div>
-              <div id="co_resume_picker_list"></div>
-              <button class="co-action secondary" id="co_resume_picker_cancel" type="button" style="margin-top:4px; width:100%;">Cancel</button>
-            </div>
+// Whether a years match asks something of the candidate: "5+ years",
+// "3-5 years", "at least 5 years", "you have 5 years", or a line under a
+// Requirements heading. "We have 10 years of experience in fintech" is the
+// company describing itself.
+function yearsAsked(text, match) {
+  if (/\+|\d\s*(?:-|–|to)\s*\d/.test(match[0])) return true;
+  if (CO_YEARS_ASK_RE.test(matchContext(text, match, 60, 40).join(" "))) {
+    return true;
+  }
+  const heading = text
+    .slice(0, match.index)
+    .split("\n")
+    .slice(0, -1)
+    .reverse()
+    .map((l) => l.trim())
+    .find((l) => l && !/^(?:[-*•·▪]|\d+[.)])\s/.test(l));
+  return (
+    !!heading &&
+    heading.length <= 60 &&
+    CO_REQUIREMENTS_HEADING_RE.test(heading)
+  );
+}
 
-            <button class="co-section-toggle" id="co_upload_toggle" type="button">▾ Upload Tailored Resume</button>
-            <div id="co_upload_section" class="co-upload-section" style="display:none;">
-              <label>Application ID</label>
-              <input id="co_upload_app_id" placeholder="Auto-filled after Generate / Save" />
-              <label>Resume File (.pdf, .doc, .docx)</label>
-              <input id="co_upload_file" type="file" accept=".pdf,.doc,.docx" />
-              <button class="co-action" id="co_upload_btn" type="button" style="background:#059669;">Upload</button>
-              <div class="co-status" id="co_upload_status"></div>
-            </div>
+// Highest yearly pay the JD states, or null if it names none. Only ranges
+// and amounts next to pay words count, so a "$5,000 home office stipend"
+// isn't read as the salary. Hourly rates count as 2080 hours a year.
+function jdSalaryCeiling(jd) {
+  const text = String(jd || "");
+  let best = null;
+  for (const m of text.matchAll(CO_SALARY_RE)) {
+    const around = matchContext(text, m, 40, 30).join(" ");
+    if (!m[2] && !m[3]) {
+      if (!CO_SALARY_CONTEXT_RE.test(around)) continue;
+      if (CO_SALARY_NOT_PAY_RE.test(around)) continue;
+    }
+    let amount = salaryAmount(m[2] || m[1]);
+    if (m[3]) amount *= 2080;
+    else if (amount < 1000) continue;
+    if (best == null || amount > best.amount) best = { amount, match: m };
+  }
+  return best;
+}
 
-            <div class="co-muted">First time: set base resume via backend PUT /v1/users/{user_id}/base-resume</div>
-            <div class="co-status" id="co_status"></div>
-            <button class="co-action secondary" id="co_logout" type="button">Logout</button>
-          </div>
-        </div>
-      </div>
-    `;
-    return root;
+const CO_BLOCK_RULE_LABELS = {
+  excluded_company: "Excluded company",
+  clearance: "Security clearance",
+  onsite_only: "Onsite only",
+  sponsorship: "No visa sponsorship",
+  max_years: "Years of experience",
+  min_salary: "Salary floor",
+};
+
+// -> [{ rule, reason }] for every rule the job breaks (empty if none).
+function evaluateBlockRules(rules, { company, jd }) {
+  const r = normalizeBlockRules(rules);
+  const text = String(jd || "");
+  const hits = [];
+  const hit = (rule, detail) =>
+    hits.push({ rule, reason: `${CO_BLOCK_RULE_LABELS[rule]}: ${detail}` });
+
+  const name = normalizeCompanyName(company);
+  const excluded = r.excluded_companies.find((c) => {
+    const term = normalizeCompanyName(c);
+    return term && (name === term || ` ${name} `.includes(` ${term} `));
+  });
+  if (excluded) hit("excluded_company", `${company} matches "${excluded}".`);
+
+  const clearance = text.match(CO_CLEARANCE_RE);
+  if (r.no_clearance && clearance && !CO_NO_CLEARANCE_RE.test(text)) {
+    hit("clearance", blockRuleSnippet(text, clearance));
   }
 
-  async function refreshExistsInList(root, cardEl, els) {
-    const jobUrl = (els.url?.value || "").trim();
-    if (!jobUrl) return;
-    const data = await updateExistsForSelected(root, cardEl, jobUrl);
+  const onsite = text.match(CO_ONSITE_ONLY_RE);
+  if (r.no_onsite_only && onsite) {
+    hit("onsite_only", blockRuleSnippet(text, onsite));
+  }
 
-    const selectedIds = new Set(
-      (root.__coGetSelectedUserIds?.() || []).map(String),
-    );
-    const latest_application = data
-      .flat()
-      ?.filter((item) => selectedIds.has(String(item.user_id)))
-      ?.sort((a, b) => {
-        const atA = a.created_at || "";
-        const atB = b.created_at || "";
-        return new Date(atB) - new Date(atA);
-      })[0]?.raw?.application;
+  const sponsorship = text.match(CO_NO_SPONSORSHIP_RE);
+  if (r.needs_sponsorship && sponsorship) {
+    hit("sponsorship", blockRuleSnippet(text, sponsorship));
+  }
 
-    console.log("latest_application:", latest_application);
-    if (!latest_application) return;
-    els.company.value = latest_application?.company || "";
-    els.position.value = latest_application?.role || "";
-    els.source_site.value = latest_application?.source_site || "";
-    els.jd.value = latest_application?.jd_text || "";
-    if (latest_application?.id && els.upload_app_id) {
-      els.upload_app_id.value = latest_application.id;
+  if (r.max_years) {
+    let most = null;
+    for (const m of text.matchAll(CO_YEARS_RE)) {
+      // "5+ years of experience", "Experience: 5 years minimum"; not "20
+      // years of innovation".
+      const [before, after] = matchContext(text, m, 30, 60);
+      if (!CO_YEARS_CONTEXT_RE.test(`${before} ${after}`)) continue;
+      if (!yearsAsked(text, m)) continue;
+      const years = Number(m[1]);
+      if (!most || years > most.years) most = { years, match: m };
+    }
+    if (most && most.years > r.max_years) {
+      hit(
+        "max_years",
+        `asks for ${most.years}+, your limit is ${
+          r.max_years
+        } ${blockRuleSnippet(text, most.match)}`,
+      );
     }
   }
 
-  function mountPanel() {
-    if (document.getElementById(PANEL_ID)) return;
-    ensureStyles();
+  if (r.min_salary) {
+    const pay = jdSalaryCeiling(text);
+    if (pay && pay.amount < r.min_salary) {
+      const money = (n) => `$${Math.round(n).toLocaleString("en-US")}`;
+      hit(
+        "min_salary",
+        `pays up to ${money(pay.amount)}, under ${money(
+          r.min_salary,
+        )} ${blockRuleSnippet(text, pay.match)}`,
+      );
+    }
+  }
+  return hits;
+}
 
-    const root = buildPanel();
-    document.documentElement.appendChild(root);
+function blockRulesReason(hits) {
+  return hits.map((h) => h.reason).join("; ");
+}
 
-    const btn = root.querySelector(".co-launch");
-    const card = root.querySelector(".co-card");
-    const closeBtn = root.querySelector(".co-x");
+// ---- prompt templates ----
+// Prompts are named templates with {{variable}} placeholders, one selected
+// per GPT mode. Built-ins reproduce the original hard-coded prompts; user
+// templates live in chrome.storage.local ("promptTemplates") and templates
+// synced from GET /v1/prompt-templates are stored alongside them.
+const CO_PROMPT_STORAGE_KEY = "promptTemplates";
+const CO_PROMPT_SELECTION_KEY = "promptSelection"; // { mode: templateId }
+
+const CO_PROMPT_MODES = {
+  resume: "Resume",
+  cover_letter: "Cover letter",
+  screening: "Screening answers",
+};
+
+const CO_PROMPT_VARIABLES = [
+  "company",
+  "position",
+  "jd",
+  "resume_json",
+  "note",
+  "questions",
+  "candidate",
+  "base_resume",
+];
+
+const CO_DEFAULT_NOTE =
+  "All required and nice-to-have skills should be reflected in the resume experience and skills sections.";
+
+const CO_BUILTIN_PROMPTS = [
+  {
+    id: "builtin:resume",
+    name: "Default resume",
+    mode: "resume",
+    body: [
+      "Company: {{company}}",
+      "Position: {{position}}",
+      "",
+      "Job Description:",
+      "{{jd}}",
+      "IMPORTANT:{{note}}",
+    ].join("\n"),
+  },
+  {
+    id: "builtin:cover_letter",
+    name: "Default cover letter",
+    mode: "cover_letter",
+    body:
+      "Write a cover letter for the position of {{position}} in {{company}}, which begins with a powerful idea instead of 'I'm applying for...'\n" +
+      "It connects my specific experience to the company's exact needs and builds trust. Keep the text below 200 words. My experience:{{resume_json}}. Job description:{{jd}}",
+  },
+  {
+    id: "builtin:screening",
+    name: "Default screening answers",
+    mode: "screening",
+    body: [
+      "I'm applying for the position of {{position}} at {{company}}. Draft answers to the application questions below, in first person, based only on my experience.",
+      "Keep each answer between 60 and 150 words unless the question asks for something shorter. Be specific and don't invent experience.",
+      'Return ONLY JSON in this shape: {"answers":[{"id":1,"answer":"..."}]}',
+      "",
+      "Questions:",
+      "{{questions}}",
+      "",
+      "My experience:{{resume_json}}",
+      "",
+      "Job description:{{jd}}",
+    ].join("\n"),
+  },
+].map((t) => ({ ...t, source: "builtin" }));
+
+// Multi-user runs send one prompt per selected user, so each must say whose
+// resume GPT is working from. Templates may place {{candidate}} and
+// {{base_resume}} themselves; otherwise this block is appended.
+const CO_CANDIDATE_BLOCK = [
+  "",
+  "Candidate: {{candidate}}",
+  "Candidate's base resume (write for this person, using only their experience):",
+  "{{base_resume}}",
+].join("\n");
+
+function withCandidateBlock(body) {
+  const text = String(body || "");
+  return /\{\{\s*base_resume\s*\}\}/i.test(text)
+    ? text
+    : `${text}\n${CO_CANDIDATE_BLOCK}`;
+}
 
-    const authView = root.querySelector("#co_auth_view");
-    const appView = root.querySelector("#co_app_view");
+// Unknown placeholders are left as-is so a typo shows up in the preview.
+function renderPromptTemplate(body, vars) {
+  return String(body || "").replace(/\{\{\s*([a-z_]+)\s*\}\}/gi, (m, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name)
+      ? String(vars[name] ?? "")
+      : m,
+  );
+}
+
+function formatScreeningQuestions(questions) {
+  return questions.map((q) => `${q.id}. ${q.question}`).join("\n");
+}
+
+async function loadPromptTemplates() {
+  const stored = await chrome.storage.local.get([
+    CO_PROMPT_STORAGE_KEY,
+    CO_PROMPT_SELECTION_KEY,
+  ]);
+  const saved = Array.isArray(stored[CO_PROMPT_STORAGE_KEY])
+    ? stored[CO_PROMPT_STORAGE_KEY]
+    : [];
+  return {
+    templates: [...CO_BUILTIN_PROMPTS, ...saved],
+    selection: stored[CO_PROMPT_SELECTION_KEY] || {},
+  };
+}
+
+// Only user and backend templates are persisted; built-ins come from code.
+async function savePromptTemplates(templates) {
+  await chrome.storage.local.set({
+    [CO_PROMPT_STORAGE_KEY]: templates.filter((t) => t.source !== "builtin"),
+  });
+}
+
+function selectedPromptTemplate(templates, selection, mode) {
+  const forMode = templates.filter((t) => t.mode === mode);
+  return (
+    forMode.find((t) => t.id === selection[mode]) ||
+    forMode.find((t) => t.source === "builtin") ||
+    forMode[0] ||
+    null
+  );
+}
+
+// Backend shape: [{ id, name, mode, body }] (or { templates: [...] }).
+// Replaces previously synced templates and keeps local ones.
+async function syncPromptTemplates() {
+  const r = await apiCall("/v1/prompt-templates");
+  if (!r.ok) throw new Error(`Prompt templates request failed (${r.status})`);
+  const list = Array.isArray(r.data) ? r.data : r.data?.templates || [];
+  const synced = list
+    .filter((t) => t && t.body && CO_PROMPT_MODES[t.mode])
+    .map((t) => ({
+      id: `backend:${t.id ?? t.name}`,
+      name: String(t.name || t.id || "Untitled"),
+      mode: t.mode,
+      body: String(t.body),
+      source: "backend",
+    }));
+  const { templates } = await loadPromptTemplates();
+  await savePromptTemplates([
+    ...templates.filter((t) => t.source === "local"),
+    ...synced,
+  ]);
+  return synced.length;
+}
+
+// ---- SPA navigation ----
+// LinkedIn / Indeed / Workday swap postings via history.pushState without a
+// reload. Content scripts run in an isolated world and can't patch the
+// page's pushState, so listen to the Navigation API (which does report
+// page-initiated pushState), popstate, and poll the URL as a fallback.
+// Returns a function that stops watching.
+function watchUrlChanges(onChange, pollMs = 1000) {
+  let lastHref = location.href;
+  const check = () => {
+    if (location.href === lastHref) return;
+    lastHref = location.href;
+    onChange(location.href);
+  };
+  const poll = setInterval(check, pollMs);
+  window.addEventListener("popstate", check);
+  window.navigation?.addEventListener("navigatesuccess", check);
+  return () => {
+    clearInterval(poll);
+    window.removeEventListener("popstate", check);
+    window.navigation?.removeEventListener("navigatesuccess", check);
+  };
+}
+
+// ---- per-job drafts ----
+// Each job's panel fields (inputs + GPT outputs) are stored under their own
+// key, "jobDraft:<canonical url>", so several job tabs never overwrite each
+// other the way a single shared record would.
+const CO_DRAFT_PREFIX = "jobDraft:";
+const CO_DRAFT_TTL_MS = 14 * 24 * 60 * 60 * 1000;
+const CO_DRAFT_MAX = 100;
+
+function draftKey(jobUrl) {
+  return CO_DRAFT_PREFIX + canonicalizeUrl(jobUrl);
+}
+
+async function loadJobDraft(jobUrl) {
+  const key = draftKey(jobUrl);
+  const stored = await chrome.storage.local.get([key]);
+  const draft = stored[key];
+  if (!draft || Date.now() - (draft.updatedAt || 0) > CO_DRAFT_TTL_MS) {
+    return null;
+  }
+  return draft;
+}
+
+// Background keeps the draft index that pruning reads, serialised across
+// tabs and frames.
+async function saveJobDraft(jobUrl, draft) {
+  const key = draftKey(jobUrl);
+  const updatedAt = Date.now();
+  await chrome.storage.local.set({ [key]: { ...draft, updatedAt } });
+  await chrome.runtime.sendMessage({
+    type: "CO_DRAFT_SAVED",
+    payload: { key, updatedAt },
+  });
+}
+
+// Merge `values` into a stored draft (creating it if needed).
+async function patchJobDraft(jobUrl, values) {
+  const draft = (await loadJobDraft(jobUrl)) || { values: {}, flags: {} };
+  draft.values = { ...(draft.values || {}), ...values };
+  await saveJobDraft(jobUrl, draft);
+}
+
+// Drop drafts past their TTL, then the oldest beyond CO_DRAFT_MAX.
+async function pruneJobDrafts() {
+  await chrome.runtime.sendMessage({
+    type: "CO_DRAFT_PRUNE",
+    payload: { ttlMs: CO_DRAFT_TTL_MS, max: CO_DRAFT_MAX },
+  });
+}
+
+// ---- background proxied API ----
+async function apiCall(path, { method = "GET", query, json, headers } = {}) {
+  const p = path.startsWith("/") ? path : `/${path}`;
+  const resp = await chrome.runtime.sendMessage({
+    type: "CO_API",
+    payload: { path: p, method, query, json, headers },
+  });
+  if (!resp) return { ok: false, status: 0, data: null };
+  return resp;
+}
+
+// GET /v1/users/{user_id}/base-resume. The body is the resume JSON itself or
+// wraps it as { resume_json } / { base_resume }. Resolves to
+// { text, updatedAt } (JSON text), or null when the user has none yet.
+async function loadBaseResume(uid) {
+  const r = await apiCall(`/v1/users/${encodeURIComponent(uid)}/base-resume`);
+  if (r.status === 404) return null;
+  if (!r.ok) throw new Error(`base resume request failed (${r.status})`);
+  const data = r.data?.resume_json ?? r.data?.base_resume ?? r.data;
+  if (data == null || data === "") return null;
+  return {
+    text: typeof data === "string" ? data : JSON.stringify(data, null, 2),
+    updatedAt: r.data?.updated_at || "",
+  };
+}
+
+async function fetchBaseResume(uid) {
+  const base = await loadBaseResume(uid);
+  if (!base) throw new Error("no base resume on file");
+  return base.text;
+}
+
+// PUT /v1/users/{user_id}/base-resume with { resume_json }.
+async function saveBaseResume(uid, resume) {
+  const r = await apiCall(`/v1/users/${encodeURIComponent(uid)}/base-resume`, {
+    method: "PUT",
+    json: { resume_json: resume },
+  });
+  if (!r.ok) {
+    const detail =
+      typeof r.data === "object" ? JSON.stringify(r.data) : r.data || "";
+    throw new Error(`save failed (${r.status}) ${detail}`.trim());
+  }
+  return r.data;
+}
+
+async function pushAuthToBackground({ token, backend }) {
+  await chrome.runtime.sendMessage({
+    type: "CO_SET_AUTH",
+    payload: { token: token || "", backend: backend || "" },
+  });
+}
+
+async function setAuthState({ token, principal, backend }) {
+  const toSave = {
+    authToken: token || "",
+    principal: principal || null,
+    backend: backend || BACKEND_DEFAULT,
+  };
+  await chrome.storage.local.set(toSave);
+  await pushAuthToBackground({
+    token: toSave.authToken,
+    backend: toSave.backend,
+  });
+}
+
+async function clearAuthState() {
+  await chrome.storage.local.set({ authToken: "", principal: null });
+  const { backend } = await chrome.storage.local.get(["backend"]);
+  await pushAuthToBackground({
+    token: "",
+    backend: backend || BACKEND_DEFAULT,
+  });
+}
+
+async function ensureLoggedIn() {
+  const { authToken } = await chrome.storage.local.get(["authToken"]);
+  return !!(authToken && String(authToken).trim());
+}
+
+// ---- shake FULL panel (card) reliably ----
+function shakePanel(cardEl) {
+  if (!cardEl) return;
+  cardEl.classList.remove("co-card-shake");
+  void cardEl.offsetWidth;
+  cardEl.classList.add("co-card-shake");
+  setTimeout(() => cardEl.classList.remove("co-card-shake"), 900);
+}
+
+// ---- user picker ----
+async function setupUserPicker(root) {
+  const listEl = root.querySelector("#co_user_list");
+  const chipsEl = root.querySelector("#co_user_chips");
+  const searchEl = root.querySelector("#co_user_search");
+  const btnAll = root.querySelector("#co_user_select_all");
+  const btnClear = root.querySelector("#co_user_clear");
+
+  if (!listEl || !chipsEl || !searchEl || !btnAll || !btnClear) return;
+
+  const saved = await chrome.storage.local.get(["userIds", "allUsersSelected"]);
+  let selected = new Set(Array.isArray(saved.userIds) ? saved.userIds : []);
+  let allMode = !!saved.allUsersSelected;
+
+  function getSelectedIds() {
+    if (allMode) return CO_ALL_USERS.map((u) => String(u.id));
+    return Array.from(selected).filter(Boolean);
+  }
+  root.__coGetSelectedUserIds = getSelectedIds;
+
+  async function saveSelected() {
+    await chrome.storage.local.set({
+      userIds: getSelectedIds(),
+      allUsersSelected: allMode,
+    });
+  }
+
+  function setAllModeOn() {
+    allMode = true;
+    selected = new Set(CO_ALL_USERS.map((u) => String(u.id)));
+    saveSelected().catch(() => {});
+    render();
+    root.__coOnSelectionChange?.();
+  }
+
+  function clearAll() {
+    allMode = false;
+    selected = new Set();
+    saveSelected().catch(() => {});
+    render();
+    root.__coOnSelectionChange?.();
+  }
+
+  function toggleUser(id) {
+    id = String(id);
+    if (allMode) allMode = false;
+    if (selected.has(id)) selected.delete(id);
+    else selected.add(id);
+    saveSelected().catch(() => {});
+    render();
+    root.__coOnSelectionChange?.();
+  }
+
+  function removeChip(id) {
+    id = String(id);
+    if (allMode) allMode = false;
+    selected.delete(id);
+    saveSelected().catch(() => {});
+    render();
+    root.__coOnSelectionChange?.();
+  }
+
+  function renderChips() {
+    const ids = getSelectedIds();
+    chipsEl.innerHTML = "";
+
+    if (!ids.length) {
+      chipsEl.innerHTML = `<div class="co-muted">No users selected.</div>`;
+      return;
+    }
+
+    if (allMode) {
+      const chip = document.createElement("div");
+      chip.className = "co-chip";
+      chip.innerHTML = `All users <button class="co-chip-x" type="button" aria-label="Remove">×</button>`;
+      chip.querySelector(".co-chip-x").addEventListener("click", clearAll);
+      chipsEl.appendChild(chip);
+      return;
+    }
+
+    ids.forEach((id) => {
+      const u = CO_USER_MAP.get(String(id));
+      const label = u?.name ? u.name : String(id);
+
+      const chip = document.createElement("div");
+      chip.className = "co-chip";
+      chip.innerHTML = `${escapeHtml(
+        label,
+      )} <button class="co-chip-x" type="button" aria-label="Remove">×</button>`;
+      chip
+        .querySelector(".co-chip-x")
+        .addEventListener("click", () => removeChip(id));
+      chipsEl.appendChild(chip);
+    });
+  }
+
+  function renderList() {
+    const q = (searchEl.value || "").trim().toLowerCase();
+    const filtered = !q
+      ? CO_ALL_USERS
+      : CO_ALL_USERS.filter(
+          (u) =>
+            (u.name || "").toLowerCase().includes(q) ||
+            String(u.id).toLowerCase().includes(q),
+        );
+
+    listEl.innerHTML = "";
+
+    if (!filtered.length) {
+      listEl.innerHTML = `<div class="co-user-row"><div class="co-muted">No matching users.</div></div>`;
+      return;
+    }
+
+    filtered.forEach((u) => {
+      const id = String(u.id);
+      const checked = allMode ? true : selected.has(id);
+
+      const cache = CO_EXISTS_CACHE.get(id);
+      const appliedText =
+        cache && cache.exists
+          ? `Applied${cache.created_at ? ` • ${cache.created_at}` : ""}${
+              cache.created_by ? ` • by ${cache.created_by}` : ""
+            }`
+          : "";
+
+      const row = document.createElement("div");
+      row.className = "co-user-row";
+      row.innerHTML = `
+        <input class="co-user-checkbox" type="checkbox" ${
+          checked ? "checked" : ""
+        } />
+        <div class="co-user-left">
+          <div class="co-user-name">${escapeHtml(u.name || id)}</div>
+          <div class="co-user-id" title="${escapeHtml(id)}">${escapeHtml(
+            id,
+          )}</div>
+        </div>
+        <div class="co-user-right-slot">
+          ${
+            appliedText
+              ? `<div class="co-user-badge" title="${escapeHtml(
+                  appliedText,
+                )}">${escapeHtml(appliedText)}</div>`
+              : ``
+          }
+        </div>
+      `;
+
+      const cb = row.querySelector("input");
+      cb.addEventListener("change", () => toggleUser(id));
+
+      row.addEventListener("click", (e) => {
+        const tag = (e.target?.tagName || "").toLowerCase();
+        if (tag === "input" || tag === "button") return;
+        toggleUser(id);
+      });
+
+      listEl.appendChild(row);
+    });
+  }
+
+  function render() {
+    renderChips();
+    renderList();
+  }
+
+  try {
+    const r = await apiCall("/v1/users");
+    if (!r.ok) throw new Error("Failed to load users");
+
+    const data = r.data;
+    const items = Array.isArray(data) ? data : data.items || data.users || [];
+
+    CO_USER_MAP = new Map();
+    CO_ALL_USERS = items.map((u) => {
+      const id = String(u.id || u.user_id || u);
+      const name = u.name || "";
+      const obj = { id, name };
+      CO_USER_MAP.set(id, obj);
+      return obj;
+    });
+
+    if (allMode) selected = new Set(CO_ALL_USERS.map((x) => String(x.id)));
+
+    if (!allMode && selected.size === 0) {
+      allMode = true;
+      selected = new Set(CO_ALL_USERS.map((x) => String(x.id)));
+      await saveSelected();
+    }
+
+    render();
+  } catch (e) {
+    CO_USER_MAP = new Map();
+    CO_ALL_USERS = [];
+    listEl.innerHTML = `<div class="co-user-row"><div class="co-muted">Cannot load users (check auth/backend).</div></div>`;
+    renderChips();
+  }
+
+  btnAll.addEventListener("click", setAllModeOn);
+  btnClear.addEventListener("click", clearAll);
+  searchEl.addEventListener("input", renderList);
+
+  root.__coRenderUserList = renderList;
+}
+
+// ---- EXISTS check -> updates right side badges ----
+async function updateExistsForSelected(root, cardEl, jobUrl) {
+  if (!(await ensureLoggedIn())) return;
+  const url = (jobUrl || "").trim();
+  if (!url) return;
+
+  // const selected = root.__coGetSelectedUserIds?.() || [];
+  const selected = CO_ALL_USERS.map((u) => String(u.id));
+  if (!selected.length) return;
+
+  const norm = canonicalizeUrl(url);
+
+  const CONCURRENCY = 6;
+  let idx = 0;
+
+  async function worker() {
+    const returns = [];
+    while (idx < selected.length) {
+      const uid = String(selected[idx++]);
+      try {
+        const r = await apiCall("/v1/applications/exists", {
+          query: { user_id: uid, url: url },
+        });
+        if (!r.ok) continue;
+
+        const data = r.data || {};
+        const exists = !!data.exists;
+        const created_at = exists ? extractCreatedAt(data) : "";
+        const created_by = exists ? extractCreatedByName(data) : "";
+        if (exists) {
+          returns.push({ user_id: uid, created_at, created_by, raw: data });
+        }
+
+        CO_EXISTS_CACHE.set(uid, { exists, created_at, created_by, raw: data });
+      } catch {
+      } finally {
+        root.__coRenderUserList?.();
+      }
+    }
+    return returns;
+  }
+
+  const results = await Promise.all(
+    Array.from({ length: Math.min(CONCURRENCY, selected.length) }, () =>
+      worker(),
+    ),
+  );
+  const pickerSelected = new Set(
+    (root.__coGetSelectedUserIds?.() || []).map(String),
+  );
+  const anyApplied =
+    pickerSelected.size > 0
+      ? Array.from(pickerSelected).some(
+          (uid) => CO_EXISTS_CACHE.get(uid)?.exists,
+        )
+      : false;
+  const normUrl = canonicalizeUrl(url);
+  if (anyApplied && root.__coShakenUrl !== normUrl) {
+    root.__coShakenUrl = normUrl;
+    shakePanel(cardEl);
+  }
+
+  return results;
+}
+
+// ---- main panel ----
+(() => {
+  // The content script is injected into every frame (all_frames: true in
+  // the manifest). Without this guard, pages that embed iframes end up
+  // rendering the launch icon multiple times — once per frame.
+  if (window.top !== window.self) return;
+
+  const PANEL_ID = CO_PANEL_ROOT_ID;
+  const STYLE_ID = "careeros-panel-style";
+
+  let stopNavWatch = null; // stops the active URL watcher
+
+  const url = location.href.toLowerCase();
+  const title = (document.title || "").toLowerCase();
+  const jobHints = [
+    "/jobs",
+    "/job/",
+    "/careers",
+    "/career",
+    "greenhouse",
+    "lever.co",
+    "indeed.com",
+    "linkedin.com/jobs",
+    "workday",
+    "apply",
+    "job description",
+    "job posting",
+  ];
+  const looksLikeJobPage = jobHints.some(
+    (h) => url.includes(h) || title.includes(h),
+  );
+
+  function ensureStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement("style");
+    style.id = STYLE_ID;
+    style.textContent = `
+      #${PANEL_ID} { position: fixed; right: 16px; bottom: 10vh; z-index: 2147483647; font-family: Arial, sans-serif; }
+      #${PANEL_ID} .co-launch { border:0; background:transparent; padding:0; cursor:pointer; }
+      #${PANEL_ID} .co-launch-logo { height: 50px; width: 90px; display:block; }
+      #${PANEL_ID} .co-card { width: 430px; max-height: 75vh; overflow: auto; margin-top: 10px;
+        border-radius: 14px; background: #fff; box-shadow: 0 10px 30px rgba(0,0,0,.25);
+        border: 1px solid rgba(0,0,0,.08); transform: translateZ(0); }
+      #${PANEL_ID} .co-head { display:flex; align-items:center; justify-content:space-between; padding: 10px 12px; border-bottom: 1px solid #eee; }
+      #${PANEL_ID} .co-title { font-weight: 900; font-size: 13px; display:flex; align-items:center; gap:8px; }
+      #${PANEL_ID} .co-x { border:0; background: transparent; cursor:pointer; font-size: 18px; line-height: 1; padding: 2px 6px; }
+      #${PANEL_ID} .co-body { padding: 10px 12px; }
+      #${PANEL_ID} label { display:block; font-size: 12px; margin-top: 8px; color:#111; font-weight:900; }
+      #${PANEL_ID} input, #${PANEL_ID} textarea, #${PANEL_ID} select {
+        width:100%; box-sizing:border-box; margin-top: 4px; padding: 10px; border-radius: 12px;
+        border: 1px solid #e5e7eb; font-size: 12px;
+      }
+      #${PANEL_ID} textarea { resize: vertical; }
+      #${PANEL_ID} .co-action {
+        margin-top: 10px; width:100%; padding: 10px; border:0; border-radius: 12px;
+        cursor:pointer; background:#2563eb; color:#fff; font-weight:900;
+      }
+      #${PANEL_ID} .co-action:hover { background:#1e40af; }
+      #${PANEL_ID} .co-action:active { background:#1e3a8a; }
+      #${PANEL_ID} .co-action.secondary { background:#111; }
+      #${PANEL_ID} .co-status { margin-top: 10px; font-size: 12px; white-space: pre-wrap; color:#111; }
+      #${PANEL_ID} .co-muted { color:#6b7280; font-size: 11px; margin-top: 8px; }
+      #${PANEL_ID} .co-divider { height:1px; background:#eee; margin:10px 0; }
+      #${PANEL_ID} .co-autofilled { background:#f0f9ff; border-color:#bae6fd; }
+      #${PANEL_ID} .co-pill { display:inline-block; font-size:11px; padding:3px 8px; border-radius:999px; background:#f3f4f6; color:#111; border:1px solid #e5e7eb; }
+
+      /* user picker */
+      #${PANEL_ID} .co-userpicker{ border:1px solid #e5e7eb; border-radius:12px; padding:10px; background:#fafafa; }
+      #${PANEL_ID} .co-userpicker-top{ display:flex; gap:8px; align-items:center; }
+      #${PANEL_ID} .co-user-search{ flex:1; margin-top:0 !important; background:#fff; }
+      #${PANEL_ID} .co-user-ghost{
+        border:1px solid #e5e7eb; background:#fff; border-radius:10px;
+        padding:8px 10px; font-size:12px; cursor:pointer; font-weight:900; white-space:nowrap;
+      }
+      #${PANEL_ID} .co-user-ghost:hover{ background:#f3f4f6; }
+      #${PANEL_ID} .co-user-chips{ display:flex; flex-wrap:wrap; gap:6px; margin-top:10px; }
+      #${PANEL_ID} .co-chip{
+        display:inline-flex; align-items:center; gap:6px;
+        padding:6px 9px; border-radius:999px;
+        background:#fff; border:1px solid #e5e7eb;
+        font-size:12px; font-weight:900;
+      }
+      #${PANEL_ID} .co-chip .co-chip-x{ border:0; background:transparent; cursor:pointer; font-size:14px; line-height:1; padding:0 2px; color:#6b7280; }
+
+      #${PANEL_ID} .co-user-list{
+        margin-top:10px;
+        max-height:220px;
+        overflow:auto;
+        background:#fff;
+        border:1px solid #e5e7eb;
+        border-radius:12px;
+      }
+      #${PANEL_ID} .co-user-row{
+        display:grid;
+        grid-template-columns: 18px 1fr auto;
+        gap:10px;
+        align-items:center;
+        padding:10px;
+        border-bottom:1px solid #f1f5f9;
+        cursor:pointer;
+      }
+      #${PANEL_ID} .co-user-row:hover{ background:#f8fafc; }
+      #${PANEL_ID} .co-user-row:last-child{ border-bottom:0; }
+      #${PANEL_ID} .co-user-checkbox{ width:16px; height:16px; }
+
+      #${PANEL_ID} .co-user-left{ min-width:0; display:flex; flex-direction:column; gap:2px; }
+      #${PANEL_ID} .co-user-name{ font-size:12px; font-weight:900; color:#111827; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+      #${PANEL_ID} .co-user-id{ font-size:11px; color:#6b7280; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width: 240px; }
+      #${PANEL_ID} .co-user-right-slot{ align-self:end; }
+      #${PANEL_ID} .co-user-badge{ font-size:11px; font-weight:900; color:#991b1b; background: rgba(220,38,38,.08); border: 1px solid rgba(220,38,38,.22); padding:6px 8px; border-radius: 10px; white-space:nowrap; max-width: 200px; overflow:hidden; text-overflow:ellipsis; }
+
+      @keyframes co-card-shake {
+        0%,100%{ transform: translateX(0); }
+        15%{ transform: translateX(-10px); }
+        30%{ transform: translateX(10px); }
+        45%{ transform: translateX(-8px); }
+        60%{ transform: translateX(8px); }
+        75%{ transform: translateX(-5px); }
+        90%{ transform: translateX(5px); }
+      }
+      #${PANEL_ID} .co-card.co-card-shake{ animation: co-card-shake .55s ease-in-out 0s 2; }
+
+      /* upload section */
+      #${PANEL_ID} .co-section-toggle{
+        margin-top:10px; width:100%; padding:8px 10px;
+        border:1px solid #d1d5db; border-radius:10px;
+        cursor:pointer; background:#f9fafb; color:#374151;
+        font-weight:900; font-size:12px; text-align:left;
+      }
+      #${PANEL_ID} .co-section-toggle:hover{ background:#f3f4f6; }
+      #${PANEL_ID} .co-upload-section{
+        border:1px solid #bbf7d0; border-radius:12px;
+        padding:10px; margin-top:6px; background:#f0fdf4;
+      }
+      #${PANEL_ID} .co-upload-section input[type="file"]{
+        padding:6px; cursor:pointer;
+      }
+      #${PANEL_ID} .co-upload-ok{ color:#15803d; }
+      #${PANEL_ID} .co-upload-err{ color:#dc2626; }
+
+      /* resume JSON checks + structured editor */
+      #${PANEL_ID} .co-field-ok{ color:#15803d; }
+      #${PANEL_ID} .co-field-error{ color:#dc2626; font-size:11px; white-space:pre-wrap; }
+      #${PANEL_ID} .co-resume-editor{
+        border:1px solid #e5e7eb; border-radius:12px;
+        padding:10px; margin-top:6px; background:#f9fafb;
+      }
+      #${PANEL_ID} .co-resume-exp{
+        border-top:1px solid #e5e7eb; margin-top:8px; padding-top:6px;
+      }
+      #${PANEL_ID} .co-resume-exp-title{ font-weight:900; font-size:12px; }
+      #${PANEL_ID} .co-resume-bullet{
+        display:flex; gap:4px; align-items:flex-start; margin-top:4px;
+      }
+      #${PANEL_ID} .co-resume-bullet textarea{ flex:1; min-height:44px; }
+      #${PANEL_ID} .co-resume-editor .co-action.co-mini{
+        flex:none; width:auto; margin:0; padding:2px 8px; font-size:11px;
+      }
+
+      /* local resume preview (mirrors the local DOCX layout) */
+      #${PANEL_ID} .co-resume-preview{
+        border:1px solid #e5e7eb; border-radius:12px; padding:14px;
+        margin-top:6px; background:#fff; font-family:Calibri, Arial, sans-serif;
+        font-size:11px; color:#111; max-height:360px; overflow:auto;
+      }
+      #${PANEL_ID} .co-rp-name{ text-align:center; font-size:17px; font-weight:900; }
+      #${PANEL_ID} .co-rp-contact{ text-align:center; color:#404040; margin-bottom:6px; }
+      #${PANEL_ID} .co-rp-heading{
+        font-weight:900; text-transform:uppercase; letter-spacing:.5px;
+        border-bottom:1px solid #808080; margin:10px 0 4px;
+      }
+      #${PANEL_ID} .co-rp-entry{ display:flex; gap:8px; margin-top:5px; }
+      #${PANEL_ID} .co-rp-entry span:first-child{ flex:1; }
+      #${PANEL_ID} .co-rp-dates{ font-style:italic; white-space:nowrap; }
+      #${PANEL_ID} .co-resume-preview ul{ margin:2px 0 0; padding-left:18px; }
+
+      /* keyword coverage (JD terms vs Resume JSON) */
+      #${PANEL_ID} .co-keyword-coverage{
+        margin-top:4px; font-size:11px; white-space:pre-wrap; color:#111;
+      }
+      #${PANEL_ID} .co-keyword-coverage > div{ margin-top:2px; }
+      #${PANEL_ID} .co-keyword-score{ font-weight:900; font-size:12px; }
+      #${PANEL_ID} .co-keyword-fair{ color:#b45309; }
+      #${PANEL_ID} .co-keyword-coverage .co-action{ margin-top:4px; }
+
+      /* resume review (diff against the base resume) */
+      #${PANEL_ID} .co-resume-review{
+        border:1px solid #e5e7eb; border-radius:12px; padding:10px;
+        margin-top:6px; background:#fff; font-size:11px;
+        max-height:420px; overflow:auto;
+      }
+      #${PANEL_ID} .co-diff-heading{
+        font-weight:900; text-transform:uppercase; letter-spacing:.5px;
+        border-bottom:1px solid #e5e7eb; margin:10px 0 4px;
+      }
+      #${PANEL_ID} .co-diff-role{ font-weight:900; margin-top:6px; }
+      #${PANEL_ID} .co-diff-row{
+        display:flex; gap:6px; align-items:flex-start;
+        margin-top:3px; padding:2px 4px; border-radius:6px;
+        font-weight:normal; font-size:11px; color:#111;
+      }
+      #${PANEL_ID} .co-diff-row input{ width:auto; margin:1px 0 0; flex:none; }
+      #${PANEL_ID} .co-diff-same{ color:#6b7280; }
+      #${PANEL_ID} .co-diff-added{ background:#f0fdf4; color:#166534; }
+      #${PANEL_ID} .co-diff-removed{ background:#fef2f2; color:#991b1b; }
+      #${PANEL_ID} .co-diff-removed span{ text-decoration:line-through; }
+      #${PANEL_ID} .co-diff-rejected{ opacity:.55; }
+      #${PANEL_ID} .co-diff-skills{ display:flex; flex-wrap:wrap; gap:4px; }
+      #${PANEL_ID} .co-diff-skills .co-diff-row{ margin-top:0; }
+
+      /* prompt templates */
+      #${PANEL_ID} .co-prompts-section{
+        border:1px solid #e5e7eb; border-radius:12px;
+        padding:10px; margin-top:6px; background:#f9fafb;
+      }
+      #${PANEL_ID} .co-prompts-section textarea{ min-height:90px; }
+      #${PANEL_ID} #co_prompt_preview{ background:#fff; color:#374151; }
+
+      /* GPT inbox */
+      #${PANEL_ID} .co-inbox-section{
+        border:1px solid #ddd6fe; border-radius:12px;
+        padding:10px; margin-top:6px; background:#f5f3ff;
+      }
+      #${PANEL_ID} .co-inbox-item{
+        display:flex; gap:4px; align-items:center; margin-top:6px;
+      }
+      #${PANEL_ID} .co-inbox-label{
+        flex:1; min-width:0; font-size:11px;
+        overflow:hidden; text-overflow:ellipsis; white-space:nowrap;
+      }
+      #${PANEL_ID} .co-inbox-item .co-action{
+        flex:none; margin:0; padding:4px 8px; font-size:11px; width:auto;
+      }
+      #${PANEL_ID} .co-inbox-new{ color:#6d28d9; font-weight:900; }
+
+      /* base resume import */
+      #${PANEL_ID} .co-base-section{
+        border:1px solid #bfdbfe; border-radius:12px;
+        padding:10px; margin-top:6px; background:#eff6ff;
+      }
+      #${PANEL_ID} .co-base-section textarea{ min-height:140px; }
+      #${PANEL_ID} .co-base-item{
+        display:flex; gap:4px; align-items:center; margin-top:6px;
+        font-size:11px;
+      }
+      #${PANEL_ID} .co-base-item span{ flex:1; min-width:0; }
+      #${PANEL_ID} .co-base-item .co-action{
+        flex:none; margin:0; padding:4px 8px; font-size:11px; width:auto;
+      }
+
+      /* block rules */
+      #${PANEL_ID} .co-rules-section{
+        border:1px solid #fecaca; border-radius:12px;
+        padding:10px; margin-top:6px; background:#fef2f2;
+      }
+      #${PANEL_ID} .co-rules-section textarea{ min-height:50px; }
+      #${PANEL_ID} .co-rules-flag{
+        display:flex; align-items:center; gap:6px; font-weight:normal;
+      }
+      #${PANEL_ID} .co-rules-flag input{ width:auto; margin:0; }
+
+      /* GPT refine */
+      #${PANEL_ID} .co-refine-section{
+        border:1px solid #ddd6fe; border-radius:12px;
+        padding:10px; margin-top:6px; background:#faf5ff;
+      }
+      #${PANEL_ID} .co-refine-turn{
+        display:flex; gap:4px; align-items:flex-start; margin-top:6px;
+        font-size:11px;
+      }
+      #${PANEL_ID} .co-refine-text{
+        flex:1; min-width:0; white-space:pre-wrap; word-break:break-word;
+        max-height:60px; overflow:hidden;
+      }
+      #${PANEL_ID} .co-refine-role{ flex:none; width:58px; font-weight:900; }
+      #${PANEL_ID} .co-refine-user .co-refine-role{ color:#374151; }
+      #${PANEL_ID} .co-refine-assistant .co-refine-role{ color:#6d28d9; }
+      #${PANEL_ID} .co-refine-turn .co-action{
+        flex:none; margin:0; padding:2px 8px; font-size:11px; width:auto;
+      }
+      #${PANEL_ID} #co_refine_prompt{ min-height:50px; }
+    `;
+    document.documentElement.appendChild(style);
+  }
+
+  function buildPanel() {
+    const root = document.createElement("div");
+    root.id = PANEL_ID;
+    root.innerHTML = `
+      <button class="co-launch" type="button" aria-label="Open CareerOS">
+        <img class="co-launch-logo" src="${chrome.runtime.getURL(
+          !isLikelyJobPage() ? "assets/closed-logo.png" : "assets/logo.png",
+        )}" alt="CareerOS"/>
+      </button>
+
+      <div class="co-card" style="display:none;">
+        <div class="co-head">
+          <div class="co-title">
+            <img src="${chrome.runtime.getURL(
+              "assets/logo.png",
+            )}" alt="CareerOS" style="height:16px;width:auto;vertical-align:middle"/>
+            <span>CareerOS</span>
+            <span id="co_auth_pill" class="co-pill" style="display:none;"></span>
+          </div>
+          <button class="co-x" type="button" aria-label="Close">x</button>
+        </div>
+
+        <div class="co-body">
+          <div id="co_auth_view">
+            <label>Backend</label>
+            <input id="co_backend" placeholder="http://127.0.0.1:8000" />
+            <label>GPT URL</label>
+            <input id="co_gpt_url" placeholder="https://chatgpt.com/g/..." />
+            <label>GPT provider</label>
+            <select id="co_gpt_provider">
+              <option value="chatgpt_tab">ChatGPT tab (GPT URL)</option>
+              <option value="openai_compat">OpenAI-compatible endpoint</option>
+            </select>
+            <div id="co_llm_settings" style="display:none;">
+              <label>LLM endpoint</label>
+              <input id="co_llm_endpoint" placeholder="http://127.0.0.1:11434" />
+              <label>Model</label>
+              <input id="co_llm_model" placeholder="llama3.1:8b" />
+              <label>API key (optional)</label>
+              <input id="co_llm_api_key" type="password" autocomplete="off" />
+              <label>System prompt (resume mode)</label>
+              <textarea id="co_llm_system_prompt" placeholder="Instructions your custom GPT would normally carry..."></textarea>
+            </div>
+            <div class="co-divider"></div>
+            <label>Email</label>
+            <input id="co_email" placeholder="you@example.com" autocomplete="username"/>
+            <label>Password</label>
+            <input id="co_password" type="password" placeholder="••••••••" autocomplete="current-password"/>
+            <button class="co-action" id="co_login" type="button">Login</button>
+            <div class="co-muted">Press Enter on email/password to login.</div>
+            <div class="co-status" id="co_auth_status"></div>
+          </div>
+
+          <div id="co_app_view" style="display:none;">
+            <button class="co-section-toggle" id="co_users_toggle" type="button">▾ Users</button>
+            <div class="co-userpicker" id="co_userpicker">
+              <div id="co_user_chips" class="co-user-chips"></div>
+              <div id="co_users_expandable" style="display:none;">
+                <div class="co-userpicker-top">
+                  <input id="co_user_search" class="co-user-search" placeholder="Search users..." />
+                  <button id="co_user_select_all" class="co-user-ghost" type="button">All users</button>
+                  <button id="co_user_clear" class="co-user-ghost" type="button">Clear</button>
+                </div>
+                <div id="co_user_list" class="co-user-list"></div>
+                <div class="co-muted" style="margin-top:6px;">Applied hint is on the right of the user ID line. Hover user id to see full id.</div>
+              </div>
+            </div>
+            <div class="co-muted" id="co_autodetect_hint" style="display:none; white-space:pre-line;"></div>
+            <label>Source site</label>
+            <input id="co_source_site" placeholder="indeed" />
+            <label>Job URL</label>
+            <input id="co_url" />
+            <label>Company</label>
+            <input id="co_company" placeholder="Acme" />
+            <label>Position</label>
+            <input id="co_position" placeholder="Senior Software Engineer" />
+            <label>Job Description (paste)</label>
+            <textarea id="co_jd" placeholder="Paste full JD here..."></textarea>
+            <label>Important Note (for GPT)</label>
+            <input id="co_important_note" placeholder="e.g. Focus on Python skills, avoid mentioning X..." />
+            <label>Resume JSON (GPT output) / (Cover Letter Input)</label>
+            <textarea id="co_resume_json" placeholder="GPT-generated resume JSON will appear here..."></textarea>
+            <div class="co-status" id="co_resume_validation" style="margin-top:4px;"></div>
+            <div id="co_keyword_coverage" class="co-keyword-coverage" style="display:none;"></div>
+            <button class="co-section-toggle" id="co_resume_editor_toggle" type="button">▾ Edit Resume</button>
+            <div id="co_resume_editor" class="co-resume-editor" style="display:none;"></div>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <button class="co-action secondary" id="co_resume_preview_btn" type="button">Preview</button>
+              <button class="co-action secondary" id="co_resume_review_btn" type="button" title="Compare with the base resume and accept or reject GPT's changes">Review</button>
+              <button class="co-action secondary" id="co_local_export" type="button" title="Render the Resume JSON (and the cover letter, if any) in the browser as DOCX / PDF per the download format (works offline / without the backend)">Local Export</button>
+            </div>
+            <div id="co_resume_preview" class="co-resume-preview" style="display:none;"></div>
+            <div id="co_resume_review" class="co-resume-review" style="display:none;"></div>
+            <label>Cover Letter (GPT output)</label>
+            <textarea id="co_cover_letter" placeholder="GPT-generated cover letter will appear here..."></textarea>
+
+            <label>Download format (resume + cover letter)</label>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <select id="co_resume_format" style="flex:1;">
+                <option value="docx">DOCX</option>
+                <option value="pdf">PDF</option>
+                <option value="both">DOCX + PDF</option>
+              </select>
+              <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:4px; white-space:nowrap;">
+                <input id="co_close_gpt_tab" type="checkbox" style="width:auto; margin:0;" />
+                Close GPT tab
+              </label>
+            </div>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <label style="display:flex; align-items:center; gap:6px; font-size:12px; margin-top:4px;">
+                <input id="co_review_first" type="checkbox" style="width:auto; margin:0;" />
+                Review changes before generating (GPT Gen)
+              </label>
+            </div>
+            <label>Cover letter DOCX</label>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <select id="co_cl_font" style="flex:2;" title="Font">
+                <option value="Calibri">Calibri</option>
+                <option value="Cambria">Cambria</option>
+                <option value="Georgia">Georgia</option>
+                <option value="Garamond">Garamond</option>
+                <option value="Times New Roman">Times New Roman</option>
+                <option value="Arial">Arial</option>
+              </select>
+              <select id="co_cl_size" style="flex:1;" title="Font size">
+                <option value="10">10 pt</option>
+                <option value="10.5">10.5 pt</option>
+                <option value="11">11 pt</option>
+                <option value="12">12 pt</option>
+              </select>
+              <select id="co_cl_margin" style="flex:1;" title="Page margins">
+                <option value="0.75">0.75" margins</option>
+                <option value="1">1" margins</option>
+                <option value="1.25">1.25" margins</option>
+              </select>
+            </div>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <button class="co-action" id="co_generate" type="button">Generate</button>
+              <button class="co-action" id="co_gpt_gen" type="button" style="background:#7c3aed;">GPT Gen</button>
+              <button class="co-action" id="co_gpt_cover_letter" type="button" style="background:#0891b2;">C Letter</button>
+              <button class="co-action" id="co_save" type="button">Save</button>
+            </div>
+            <div class="co-row" id="co_gpt_controls" style="display:none; gap:8px; align-items:center;">
+              <button class="co-action secondary" id="co_gpt_cancel" type="button" style="display:none;">Cancel GPT</button>
+              <button class="co-action" id="co_gpt_retry" type="button" style="display:none; background:#7c3aed;">Retry GPT</button>
+            </div>
+            <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+              <button class="co-action" id="co_fill_upload" type="button" style="background:#b45309;">Fill Upload Field</button>
+              <button class="co-action" id="co_fill_form" type="button" style="background:#0f766e;">Fill Form</button>
+              <button class="co-action" id="co_gpt_answer" type="button" style="background:#6d28d9;">Answer Qs</button>
+            </div>
+            <div id="co_resume_picker" style="display:none; margin-top:4px; border:1px solid #b45309; border-radius:6px; padding:6px;">
+              <div class="co-muted" style="margin-bottom:4px;">Select resume to fill:</div>
+              <div id="co_resume_picker_list"></div>
+              <button class="co-action secondary" id="co_resume_picker_cancel" type="button" style="margin-top:4px; width:100%;">Cancel</button>
+            </div>
+
+            <button class="co-section-toggle" id="co_upload_toggle" type="button">▾ Upload Tailored Resume</button>
+            <div id="co_upload_section" class="co-upload-section" style="display:none;">
+              <label>Application ID</label>
+              <input id="co_upload_app_id" placeholder="Auto-filled after Generate / Save" />
+              <label>Resume File (.pdf, .doc, .docx)</label>
+              <input id="co_upload_file" type="file" accept=".pdf,.doc,.docx" />
+              <button class="co-action" id="co_upload_btn" type="button" style="background:#059669;">Upload</button>
+              <div class="co-status" id="co_upload_status"></div>
+            </div>
+
+            <button class="co-section-toggle" id="co_base_toggle" type="button">▾ Base Resume</button>
+            <div id="co_base_section" class="co-base-section" style="display:none;">
+              <div id="co_base_list"></div>
+              <label>Import from file (.docx, .pdf)</label>
+              <input id="co_base_file" type="file" accept=".docx,.pdf" />
+              <label>Resume JSON (check and correct before saving)</label>
+              <textarea id="co_base_json" placeholder="Choose a file above, or paste Resume JSON"></textarea>
+              <div class="co-status" id="co_base_validation"></div>
+              <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+                <select id="co_base_user" style="flex:1;"></select>
+                <button class="co-action" id="co_base_save" type="button" style="flex:1;">Save as base</button>
+              </div>
+              <div class="co-status" id="co_base_status"></div>
+            </div>
+
+            <button class="co-section-toggle" id="co_rules_toggle" type="button">▾ Block Rules</button>
+            <div id="co_rules_section" class="co-rules-section" style="display:none;">
+              <div class="co-muted">Checked on the JD before GPT Gen / C Letter, so jobs you can't take are skipped without a GPT call.</div>
+              <select id="co_rules_user"></select>
+              <label>Excluded companies (one per line)</label>
+              <textarea id="co_rules_companies" placeholder="e.g. Acme Corp"></textarea>
+              <label class="co-rules-flag"><input id="co_rules_clearance" type="checkbox" /> Skip jobs requiring a security clearance</label>
+              <label class="co-rules-flag"><input id="co_rules_onsite" type="checkbox" /> Skip onsite-only jobs</label>
+              <label class="co-rules-flag"><input id="co_rules_sponsorship" type="checkbox" /> I need visa sponsorship (skip jobs that won't sponsor)</label>
+              <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+                <div style="flex:1;">
+                  <label>Max years required</label>
+                  <input id="co_rules_max_years" type="number" min="0" placeholder="e.g. 7" />
+                </div>
+                <div style="flex:1;">
+                  <label>Salary floor ($/year)</label>
+                  <input id="co_rules_min_salary" type="number" min="0" step="1000" placeholder="e.g. 120000" />
+                </div>
+              </div>
+              <div class="co-status" id="co_rules_check"></div>
+              <button class="co-action" id="co_rules_save" type="button">Save rules</button>
+              <div class="co-status" id="co_rules_status"></div>
+            </div>
+
+            <button class="co-section-toggle" id="co_refine_toggle" type="button">▾ Refine with GPT</button>
+            <div id="co_refine_section" class="co-refine-section" style="display:none;">
+              <div class="co-muted">Send follow-up instructions to the same GPT conversation as this job's last GPT Gen / C Letter.</div>
+              <select id="co_refine_mode">
+                <option value="resume">Resume</option>
+                <option value="cover_letter">Cover letter</option>
+              </select>
+              <div id="co_refine_history"></div>
+              <label>Instruction</label>
+              <textarea id="co_refine_prompt" placeholder="e.g. Shorten the summary to two sentences"></textarea>
+              <button class="co-action" id="co_refine_send" type="button" style="background:#7c3aed;">Send to GPT</button>
+            </div>
+
+            <button class="co-section-toggle" id="co_prompts_toggle" type="button">▾ Prompts</button>
+            <div id="co_prompts_section" class="co-prompts-section" style="display:none;">
+              <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+                <select id="co_prompt_mode" style="flex:1;">
+                  <option value="resume">Resume</option>
+                  <option value="cover_letter">Cover letter</option>
+                  <option value="screening">Screening answers</option>
+                </select>
+                <select id="co_prompt_template" style="flex:2;"></select>
+              </div>
+              <label>Template name</label>
+              <input id="co_prompt_name" placeholder="e.g. Backend roles" />
+              <label>Template</label>
+              <textarea id="co_prompt_body"></textarea>
+              <div class="co-muted">Variables: {{company}} {{position}} {{jd}} {{resume_json}} {{note}} {{questions}} {{candidate}} {{base_resume}} (the last two are filled per user when several users are selected)</div>
+              <div class="co-row" style="display:flex; gap:8px; align-items:center;">
+                <button class="co-action" id="co_prompt_save" type="button">Save</button>
+                <button class="co-action secondary" id="co_prompt_delete" type="button">Delete</button>
+                <button class="co-action secondary" id="co_prompt_sync" type="button">Sync</button>
+              </div>
+              <label>Preview (with the current job)</label>
+              <textarea id="co_prompt_preview" readonly></textarea>
+              <div class="co-status" id="co_prompt_status"></div>
+            </div>
+
+            <button class="co-section-toggle" id="co_inbox_toggle" type="button">▾ GPT Inbox</button>
+            <div id="co_inbox_section" class="co-inbox-section" style="display:none;">
+              <div class="co-muted">Finished GPT results are kept here, even if the tab that started them was closed.</div>
+              <div id="co_inbox_list"></div>
+            </div>
+
+            <div class="co-muted">First time: import each user's base resume under Base Resume.</div>
+            <div class="co-status" id="co_status"></div>
+            <button class="co-action secondary" id="co_logout" type="button">Logout</button>
+          </div>
+        </div>
+      </div>
+    `;
+    return root;
+  }
+
+  async function refreshExistsInList(root, cardEl, els) {
+    const jobUrl = (els.url?.value || "").trim();
+    if (!jobUrl) return;
+    const data = await updateExistsForSelected(root, cardEl, jobUrl);
+
+    const selectedIds = new Set(
+      (root.__coGetSelectedUserIds?.() || []).map(String),
+    );
+    const latest_application = data
+      .flat()
+      ?.filter((item) => selectedIds.has(String(item.user_id)))
+      ?.sort((a, b) => {
+        const atA = a.created_at || "";
+        const atB = b.created_at || "";
+        return new Date(atB) - new Date(atA);
+      })[0]?.raw?.application;
+
+    console.log("latest_application:", latest_application);
+    if (!latest_application) return;
+    // The earlier application wins over page detection, but not over
+    // anything the user typed (or restored from this job's draft).
+    const fromApp = [
+      [els.company, latest_application?.company],
+      [els.position, latest_application?.role],
+      [els.source_site, latest_application?.source_site],
+      [els.jd, latest_application?.jd_text],
+    ];
+    fromApp.forEach(([el, value]) => {
+      if (el.dataset.coUserEdited === "1") return;
+      el.value = value || "";
+      delete el.dataset.coAuto;
+      el.classList.remove("co-autofilled");
+    });
+    root.__coRenderAutoHint?.();
+    if (latest_application?.id && els.upload_app_id) {
+      els.upload_app_id.value = latest_application.id;
+    }
+  }
+
+  function mountPanel() {
+    if (document.getElementById(PANEL_ID)) return;
+    ensureStyles();
+
+    const root = buildPanel();
+    document.documentElement.appendChild(root);
+
+    const btn = root.querySelector(".co-launch");
+    const card = root.querySelector(".co-card");
+    const closeBtn = root.querySelector(".co-x");
+
+    const authView = root.querySelector("#co_auth_view");
+    const appView = root.querySelector("#co_app_view");
     const authPill = root.querySelector("#co_auth_pill");
 
-    const authStatusEl = root.querySelector("#co_auth_status");
-    const statusEl = root.querySelector("#co_status");
+    const authStatusEl = root.querySelector("#co_auth_status");
+    const statusEl = root.querySelector("#co_status");
+
+    const els = {
+      backend: root.querySelector("#co_backend"),
+      gpt_url: root.querySelector("#co_gpt_url"),
+      gpt_provider: root.querySelector("#co_gpt_provider"),
+      llm_settings: root.querySelector("#co_llm_settings"),
+      llm_endpoint: root.querySelector("#co_llm_endpoint"),
+      llm_model: root.querySelector("#co_llm_model"),
+      llm_api_key: root.querySelector("#co_llm_api_key"),
+      llm_system_prompt: root.querySelector("#co_llm_system_prompt"),
+      email: root.querySelector("#co_email"),
+      password: root.querySelector("#co_password"),
+      login: root.querySelector("#co_login"),
+
+      source_site: root.querySelector("#co_source_site"),
+      autodetect_hint: root.querySelector("#co_autodetect_hint"),
+
+      url: root.querySelector("#co_url"),
+      company: root.querySelector("#co_company"),
+      position: root.querySelector("#co_position"),
+      jd: root.querySelector("#co_jd"),
+      important_note: root.querySelector("#co_important_note"),
+      resume_json: root.querySelector("#co_resume_json"),
+      cover_letter: root.querySelector("#co_cover_letter"),
+      resume_format: root.querySelector("#co_resume_format"),
+      close_gpt_tab: root.querySelector("#co_close_gpt_tab"),
+      review_first: root.querySelector("#co_review_first"),
+      cl_font: root.querySelector("#co_cl_font"),
+      cl_size: root.querySelector("#co_cl_size"),
+      cl_margin: root.querySelector("#co_cl_margin"),
+
+      generate: root.querySelector("#co_generate"),
+      gpt_gen: root.querySelector("#co_gpt_gen"),
+      gpt_cover_letter: root.querySelector("#co_gpt_cover_letter"),
+      save: root.querySelector("#co_save"),
+      logout: root.querySelector("#co_logout"),
+      fill_upload: root.querySelector("#co_fill_upload"),
+      fill_form: root.querySelector("#co_fill_form"),
+      gpt_answer: root.querySelector("#co_gpt_answer"),
+      gpt_controls: root.querySelector("#co_gpt_controls"),
+      gpt_cancel: root.querySelector("#co_gpt_cancel"),
+      gpt_retry: root.querySelector("#co_gpt_retry"),
+      resume_picker: root.querySelector("#co_resume_picker"),
+      resume_picker_list: root.querySelector("#co_resume_picker_list"),
+      resume_picker_cancel: root.querySelector("#co_resume_picker_cancel"),
+
+      users_toggle: root.querySelector("#co_users_toggle"),
+      users_expandable: root.querySelector("#co_users_expandable"),
+
+      upload_toggle: root.querySelector("#co_upload_toggle"),
+      upload_section: root.querySelector("#co_upload_section"),
+      upload_app_id: root.querySelector("#co_upload_app_id"),
+      upload_file: root.querySelector("#co_upload_file"),
+      upload_btn: root.querySelector("#co_upload_btn"),
+      upload_status: root.querySelector("#co_upload_status"),
+      resume_validation: root.querySelector("#co_resume_validation"),
+      keyword_coverage: root.querySelector("#co_keyword_coverage"),
+      resume_editor_toggle: root.querySelector("#co_resume_editor_toggle"),
+      resume_editor: root.querySelector("#co_resume_editor"),
+      resume_preview_btn: root.querySelector("#co_resume_preview_btn"),
+      resume_review_btn: root.querySelector("#co_resume_review_btn"),
+      resume_review: root.querySelector("#co_resume_review"),
+      resume_preview: root.querySelector("#co_resume_preview"),
+      local_export: root.querySelector("#co_local_export"),
+      prompts_toggle: root.querySelector("#co_prompts_toggle"),
+      prompts_section: root.querySelector("#co_prompts_section"),
+      prompt_mode: root.querySelector("#co_prompt_mode"),
+      prompt_template: root.querySelector("#co_prompt_template"),
+      prompt_name: root.querySelector("#co_prompt_name"),
+      prompt_body: root.querySelector("#co_prompt_body"),
+      prompt_save: root.querySelector("#co_prompt_save"),
+      prompt_delete: root.querySelector("#co_prompt_delete"),
+      prompt_sync: root.querySelector("#co_prompt_sync"),
+      prompt_preview: root.querySelector("#co_prompt_preview"),
+      prompt_status: root.querySelector("#co_prompt_status"),
+      inbox_toggle: root.querySelector("#co_inbox_toggle"),
+      inbox_section: root.querySelector("#co_inbox_section"),
+      inbox_list: root.querySelector("#co_inbox_list"),
+      rules_toggle: root.querySelector("#co_rules_toggle"),
+      rules_section: root.querySelector("#co_rules_section"),
+      rules_user: root.querySelector("#co_rules_user"),
+      rules_companies: root.querySelector("#co_rules_companies"),
+      rules_clearance: root.querySelector("#co_rules_clearance"),
+      rules_onsite: root.querySelector("#co_rules_onsite"),
+      rules_sponsorship: root.querySelector("#co_rules_sponsorship"),
+      rules_max_years: root.querySelector("#co_rules_max_years"),
+      rules_min_salary: root.querySelector("#co_rules_min_salary"),
+      rules_check: root.querySelector("#co_rules_check"),
+      rules_save: root.querySelector("#co_rules_save"),
+      rules_status: root.querySelector("#co_rules_status"),
+      refine_toggle: root.querySelector("#co_refine_toggle"),
+      refine_section: root.querySelector("#co_refine_section"),
+      refine_mode: root.querySelector("#co_refine_mode"),
+      refine_history: root.querySelector("#co_refine_history"),
+      refine_prompt: root.querySelector("#co_refine_prompt"),
+      refine_send: root.querySelector("#co_refine_send"),
+
+      base_toggle: root.querySelector("#co_base_toggle"),
+      base_section: root.querySelector("#co_base_section"),
+      base_list: root.querySelector("#co_base_list"),
+      base_file: root.querySelector("#co_base_file"),
+      base_json: root.querySelector("#co_base_json"),
+      base_validation: root.querySelector("#co_base_validation"),
+      base_user: root.querySelector("#co_base_user"),
+      base_save: root.querySelector("#co_base_save"),
+      base_status: root.querySelector("#co_base_status"),
+    };
+
+    // Re-evaluate upload_app_id from cache whenever selection changes (no API call)
+    root.__coOnSelectionChange = () => {
+      profileCache.clear();
+      if (els.base_section?.style.display !== "none") {
+        refreshBaseResumes().catch(() => {});
+      }
+      if (els.rules_section?.style.display !== "none") {
+        refreshBlockRules().catch(() => {});
+      }
+      if (!els.upload_app_id) return;
+      const selectedIds = new Set(
+        (root.__coGetSelectedUserIds?.() || []).map(String),
+      );
+      let latestAppId = "";
+      let latestDate = "";
+      for (const [uid, cache] of CO_EXISTS_CACHE) {
+        if (!selectedIds.has(uid) || !cache.exists) continue;
+        const appId = cache.raw?.application?.id;
+        const createdAt =
+          cache.raw?.application?.created_at || cache.created_at || "";
+        if (!appId) continue;
+        if (!latestDate || createdAt > latestDate) {
+          latestDate = createdAt;
+          latestAppId = String(appId);
+        }
+      }
+      els.upload_app_id.value = latestAppId;
+    };
+
+    function setAuthStatus(msg) {
+      authStatusEl.textContent = msg;
+    }
+    function setStatus(msg) {
+      statusEl.textContent = msg;
+    }
+    function openCard() {
+      card.style.display = "block";
+    }
+    function closeCard() {
+      card.style.display = "none";
+    }
+
+    function showAuth(principal) {
+      authView.style.display = "block";
+      appView.style.display = "none";
+      authPill.style.display = principal ? "inline-block" : "none";
+      authPill.textContent = principal
+        ? `${principal.type}: ${principal.name || ""}`
+        : "";
+      setStatus("");
+    }
+    function showApp(principal) {
+      authView.style.display = "none";
+      appView.style.display = "block";
+      authPill.style.display = principal ? "inline-block" : "none";
+      authPill.textContent = principal
+        ? `${principal.type}: ${principal.name || ""}`
+        : "";
+      setAuthStatus("");
+    }
+
+    btn.addEventListener("click", () => {
+      if (card.style.display === "none") {
+        btn.innerHTML = `<img class="co-launch-logo" src="${chrome.runtime.getURL(
+          "assets/logo.png",
+        )}" />`;
+        openCard();
+      } else {
+        btn.innerHTML = `<img class="co-launch-logo" src="${chrome.runtime.getURL(
+          "assets/closed-logo.png",
+        )}" />`;
+        closeCard();
+      }
+    });
+    closeBtn.addEventListener("click", closeCard);
+
+    ["change", "blur"].forEach((ev) => {
+      els.backend.addEventListener(ev, async () => {
+        const backend = (els.backend.value || "").trim() || BACKEND_DEFAULT;
+        await chrome.storage.local.set({ backend });
+        const { authToken } = await chrome.storage.local.get(["authToken"]);
+        await pushAuthToBackground({ token: authToken || "", backend });
+      });
+      els.gpt_url.addEventListener(ev, async () => {
+        const gptUrl = (els.gpt_url.value || "").trim();
+        await chrome.storage.local.set({ gptUrl });
+      });
+      els.gpt_provider.addEventListener(ev, async () => {
+        await chrome.storage.local.set({ gptProvider: els.gpt_provider.value });
+        renderProviderSettings();
+      });
+      [
+        ["llm_endpoint", "llmEndpoint"],
+        ["llm_model", "llmModel"],
+        ["llm_api_key", "llmApiKey"],
+        ["llm_system_prompt", "llmSystemPrompt"],
+      ].forEach(([elKey, storageKey]) => {
+        els[elKey].addEventListener(ev, async () => {
+          await chrome.storage.local.set({
+            [storageKey]: (els[elKey].value || "").trim(),
+          });
+        });
+      });
+    });
+
+    // Remote endpoints need an optional host permission; background opens
+    // a page to grant it. "change" only, so blur doesn't ask twice.
+    els.llm_endpoint.addEventListener("change", async () => {
+      const endpoint = (els.llm_endpoint.value || "").trim();
+      if (!endpoint) return;
+      const resp = await chrome.runtime
+        .sendMessage({ type: "CO_LLM_PERMISSION", payload: { endpoint } })
+        .catch((e) => ({ ok: false, error: String(e) }));
+      if (!resp?.ok) {
+        setAuthStatus(`LLM endpoint: ${resp?.error || "check failed"}`);
+      } else if (!resp.granted) {
+        setAuthStatus(
+          "Allow access to the LLM endpoint in the window that opened.",
+        );
+      }
+    });
+
+    function renderProviderSettings() {
+      els.llm_settings.style.display =
+        els.gpt_provider.value === "openai_compat" ? "block" : "none";
+    }
+
+    function handleEnterToLogin(e) {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        e.stopPropagation();
+        els.login.click();
+      }
+    }
+    els.email.addEventListener("keydown", handleEnterToLogin);
+    els.password.addEventListener("keydown", handleEnterToLogin);
+
+    // Global preferences only; job fields live in per-job drafts.
+    async function saveAppSettings() {
+      await chrome.storage.local.set({
+        resume_format: (els.resume_format?.value || "docx").trim(),
+        close_gpt_tab: !!els.close_gpt_tab?.checked,
+        review_before_generate: !!els.review_first?.checked,
+        // Read by background when it formats the cover letter DOCX.
+        cover_letter_font: els.cl_font?.value || "Calibri",
+        cover_letter_size: Number(els.cl_size?.value) || 11,
+        cover_letter_margin: Number(els.cl_margin?.value) || 1,
+      });
+      await saveDraftNow();
+    }
+
+    ["change", "blur"].forEach((ev) => {
+      els.resume_format?.addEventListener(ev, saveAppSettings);
+    });
+    els.close_gpt_tab?.addEventListener("change", saveAppSettings);
+    els.review_first?.addEventListener("change", saveAppSettings);
+    [els.cl_font, els.cl_size, els.cl_margin].forEach((el) =>
+      el?.addEventListener("change", saveAppSettings),
+    );
+
+    // Letterhead details for the cover letter DOCX, from a Resume JSON.
+    function resumeContact(resumeJsonText) {
+      const contact = parseJsonWithRepair(resumeJsonText || "").data?.contact;
+      return contact && typeof contact === "object" ? contact : null;
+    }
+
+    // Documents background renders locally, per file format.
+    const LOCAL_DOWNLOADS = {
+      resume: {
+        docx: "CO_DOWNLOAD_RESUME_DOCX",
+        pdf: "CO_DOWNLOAD_RESUME_PDF",
+      },
+      cover_letter: {
+        docx: "CO_DOWNLOAD_COVER_LETTER_DOCX",
+        pdf: "CO_DOWNLOAD_COVER_LETTER_PDF",
+      },
+    };
+
+    // co_resume_format value -> file extensions.
+    function downloadFormats(format) {
+      if (format === "both") return ["docx", "pdf"];
+      return [format === "pdf" ? "pdf" : "docx"];
+    }
+
+    // Renders `doc` ("resume" / "cover_letter") to `${path}.docx` and / or
+    // `${path}.pdf` and downloads them. payload is the message payload minus
+    // the filename. Resolves to { ok, error }.
+    async function downloadLocalFiles(
+      doc,
+      formats,
+      path,
+      payload,
+      { saveAs = true } = {},
+    ) {
+      for (const ext of formats) {
+        const resp = await chrome.runtime
+          .sendMessage({
+            type: LOCAL_DOWNLOADS[doc][ext],
+            payload: { ...payload, filename: `${path}.${ext}`, saveAs },
+          })
+          .catch((e) => ({ ok: false, error: String(e?.message || e) }));
+        if (!resp?.ok) {
+          return { ok: false, error: resp?.error || "Unknown error" };
+        }
+      }
+      return { ok: true };
+    }
+
+    els.url.addEventListener("blur", () => {
+      refreshExistsInList(root, card, els).catch(() => {});
+    });
+
+    // AUTO-DETECT job fields from the page
+    const AUTO_FIELDS = {
+      company: "Company",
+      position: "Position",
+      source_site: "Source site",
+      jd: "JD",
+    };
+
+    let lastExtracted = null;
+
+    function renderAutoHint() {
+      if (!els.autodetect_hint) return;
+      const labels = Object.keys(AUTO_FIELDS)
+        .filter((k) => els[k]?.dataset.coAuto === "1")
+        .map((k) => AUTO_FIELDS[k]);
+      const lines = [];
+      if (labels.length) {
+        const via = lastExtracted?.structured
+          ? "structured data"
+          : lastExtracted?.ats || "page";
+        lines.push(`Auto-detected (${via}): ${labels.join(", ")}`);
+      }
+      const meta = [
+        lastExtracted?.location,
+        lastExtracted?.employment_type,
+        lastExtracted?.salary_text,
+        lastExtracted?.date_posted && `posted ${lastExtracted.date_posted}`,
+      ].filter(Boolean);
+      if (meta.length) lines.push(meta.join(" • "));
+      els.autodetect_hint.style.display = lines.length ? "block" : "none";
+      els.autodetect_hint.textContent = lines.join("\n");
+    }
+    root.__coRenderAutoHint = renderAutoHint;
+
+    Object.keys(AUTO_FIELDS).forEach((k) => {
+      els[k].addEventListener("input", () => {
+        els[k].dataset.coUserEdited = "1";
+        delete els[k].dataset.coAuto;
+        els[k].classList.remove("co-autofilled");
+        renderAutoHint();
+      });
+    });
+
+    // Fill from the page, but never over something the user typed. The first
+    // pass may refresh earlier auto-detected values; follow-up passes only
+    // fill blanks.
+    function applyExtractedFields({ onlyEmpty = false } = {}) {
+      let fields;
+      try {
+        fields = extractJobFields();
+      } catch (_) {
+        return;
+      }
+      lastExtracted = fields;
+      for (const k of Object.keys(AUTO_FIELDS)) {
+        const el = els[k];
+        const value = (fields[k] || "").trim();
+        if (!el || !value || el.dataset.coUserEdited === "1") continue;
+        const current = (el.value || "").trim();
+        const replaceable =
+          !current || (!onlyEmpty && el.dataset.coAuto === "1");
+        if (!replaceable) continue;
+        el.value = value;
+        el.dataset.coAuto = "1";
+        el.classList.add("co-autofilled");
+      }
+      renderAutoHint();
+    }
+
+    let extractTimers = [];
+    // First pass may replace auto/stale values; later passes only fill
+    // blanks that appear once the board finishes rendering.
+    function scheduleExtraction(delays) {
+      extractTimers.forEach(clearTimeout);
+      extractTimers = delays.map((ms, i) =>
+        setTimeout(() => applyExtractedFields({ onlyEmpty: i > 0 }), ms),
+      );
+    }
+
+    // JOB DRAFTS + SPA NAVIGATION (see watchUrlChanges)
+    const JOB_FIELD_KEYS = [
+      "source_site",
+      "company",
+      "position",
+      "jd",
+      "important_note",
+      "resume_json",
+      "cover_letter",
+      "upload_app_id",
+    ];
+    let currentJobKey = canonicalizeUrl(location.href);
+
+    function snapshotJobFields() {
+      const values = {};
+      const flags = {};
+      JOB_FIELD_KEYS.forEach((k) => {
+        const el = els[k];
+        if (!el) return;
+        values[k] = el.value || "";
+        flags[k] = {
+          userEdited: el.dataset.coUserEdited === "1",
+          auto: el.dataset.coAuto === "1",
+        };
+      });
+      return { values, flags };
+    }
+
+    function restoreJobFields(snap) {
+      JOB_FIELD_KEYS.forEach((k) => {
+        const el = els[k];
+        if (!el) return;
+        const f = snap?.flags?.[k] || {};
+        el.value = snap?.values?.[k] || "";
+        if (f.userEdited) el.dataset.coUserEdited = "1";
+        else delete el.dataset.coUserEdited;
+        if (f.auto) el.dataset.coAuto = "1";
+        else delete el.dataset.coAuto;
+        el.classList.toggle("co-autofilled", !!f.auto);
+      });
+      renderAutoHint();
+      refreshResumeChecks();
+    }
+
+    // Drafts are written only once the user (or GPT) has put something in
+    // the panel; pure page detection is cheap to redo and isn't saved.
+    let draftDirty = false;
+    let draftTimer = null;
+
+    async function saveDraftNow() {
+      clearTimeout(draftTimer);
+      if (!draftDirty) return;
+      draftDirty = false;
+      await saveJobDraft(currentJobKey, snapshotJobFields()).catch(() => {});
+    }
+
+    function scheduleDraftSave() {
+      draftDirty = true;
+      clearTimeout(draftTimer);
+      draftTimer = setTimeout(() => saveDraftNow(), 400);
+    }
+
+    JOB_FIELD_KEYS.forEach((k) => {
+      els[k]?.addEventListener("input", scheduleDraftSave);
+    });
+    window.addEventListener("pagehide", () => {
+      saveDraftNow();
+    });
+
+    async function onUrlChange() {
+      const next = canonicalizeUrl(location.href);
+      if (next === currentJobKey) return;
+      await saveDraftNow();
+      currentJobKey = next;
+      userResumeJson.clear();
+      for (const key in gptPreviousOutput) delete gptPreviousOutput[key];
+      profileCache.clear();
+
+      els.url.value = location.href;
+      lastExtracted = null;
+      const draft = await loadJobDraft(next).catch(() => null);
+      if (canonicalizeUrl(location.href) !== next) return; // moved on again
+      restoreJobFields(draft);
+      pickUpInboxResults().catch(() => {});
+      refreshRefineConversation().catch(() => {});
+      CO_EXISTS_CACHE.clear();
+      root.__coRenderUserList?.();
+      root.__coOnSelectionChange?.();
+
+      // The URL usually flips before the new posting renders; give the
+      // board a moment so we don't read the previous job's DOM.
+      if (isLikelyJobPage()) scheduleExtraction([700, 2000, 5000]);
+      refreshExistsInList(root, card, els).catch(() => {});
+    }
+
+    stopNavWatch?.();
+    stopNavWatch = watchUrlChanges(onUrlChange);
+
+    // A GPT result for a job the user has navigated away from goes into
+    // that job's draft rather than the fields currently on screen.
+    function stashResultInDraft(jobUrl, key, value) {
+      patchJobDraft(jobUrl, { [key]: value }).catch(() => {});
+    }
+
+    // LOGIN
+    els.login.addEventListener("click", async () => {
+      const backend = (els.backend.value || "").trim() || BACKEND_DEFAULT;
+      const email = (els.email.value || "").trim();
+      const password = els.password.value || "";
+
+      if (!email || !password) {
+        setAuthStatus("Email + password required.");
+        return;
+      }
+
+      setAuthStatus("Logging in...");
+      await chrome.storage.local.set({ backend });
+      await pushAuthToBackground({ token: "", backend });
+
+      try {
+        const r = await apiCall("/v1/auth/login", {
+          method: "POST",
+          json: { email, password },
+        });
+
+        if (!r.ok) {
+          setAuthStatus(
+            `Login failed (${r.status}):\n${JSON.stringify(r.data, null, 2)}`,
+          );
+          return;
+        }
+
+        const data = r.data || {};
+        if (!data.token) {
+          setAuthStatus("Login succeeded but response missing token.");
+          return;
+        }
+
+        await setAuthState({
+          token: data.token,
+          principal: data.principal || null,
+          backend,
+        });
+
+        els.password.value = "";
+        showApp(data.principal || null);
+
+        await setupUserPicker(root);
+
+        root.querySelector("#co_userpicker")?.addEventListener("click", () => {
+          clearTimeout(root.__coCheckTimer);
+          root.__coCheckTimer = setTimeout(
+            () => refreshExistsInList(root, card, els).catch(() => {}),
+            180,
+          );
+        });
+        root.querySelector("#co_user_search")?.addEventListener("input", () => {
+          clearTimeout(root.__coCheckTimer);
+          root.__coCheckTimer = setTimeout(
+            () => refreshExistsInList(root, card, els).catch(() => {}),
+            260,
+          );
+        });
+
+        els.url.value = location.href;
+
+        await refreshExistsInList(root, card, els);
+
+        setAuthStatus("✅ Logged in.");
+      } catch (e) {
+        setAuthStatus(`Login error:\n${String(e)}`);
+      }
+    });
+
+    // LOGOUT
+    els.logout.addEventListener("click", async () => {
+      setStatus("Logging out...");
+      try {
+        await apiCall("/v1/auth/logout", { method: "POST" });
+        await clearAuthState();
+        CO_EXISTS_CACHE.clear();
+        showAuth(null);
+        setStatus("");
+        setAuthStatus("✅ Logged out.");
+      } catch (e) {
+        await clearAuthState();
+        CO_EXISTS_CACHE.clear();
+        showAuth(null);
+        setAuthStatus(
+          `Logged out locally. (Error calling backend: ${String(e)})`,
+        );
+        setStatus("");
+      }
+    });
+
+    // UPLOAD TOGGLE
+    els.users_toggle?.addEventListener("click", () => {
+      const visible = els.users_expandable.style.display !== "none";
+      els.users_expandable.style.display = visible ? "none" : "block";
+      els.users_toggle.textContent = visible ? "▾ Users" : "▴ Users";
+    });
+
+    els.upload_toggle?.addEventListener("click", () => {
+      const visible = els.upload_section.style.display !== "none";
+      els.upload_section.style.display = visible ? "none" : "block";
+      els.upload_toggle.textContent = visible
+        ? "▾ Upload Tailored Resume"
+        : "▴ Upload Tailored Resume";
+    });
+
+    // UPLOAD TAILORED RESUME
+    els.upload_btn?.addEventListener("click", async () => {
+      const appId = (els.upload_app_id?.value || "").trim();
+      const file = els.upload_file?.files?.[0];
+
+      function setUploadStatus(msg, isErr = false) {
+        if (!els.upload_status) return;
+        els.upload_status.textContent = msg;
+        els.upload_status.className =
+          "co-status " + (isErr ? "co-upload-err" : "co-upload-ok");
+      }
+
+      const selectedForUpload = root.__coGetSelectedUserIds?.() || [];
+      if (selectedForUpload.length > 1) {
+        setUploadStatus(
+          "Upload is not allowed for multiple users. Please select a single user.",
+          true,
+        );
+        return;
+      }
+
+      if (!appId) {
+        setUploadStatus("Application ID is required.", true);
+        return;
+      }
+      if (!file) {
+        setUploadStatus("Please select a file (.pdf, .doc, or .docx).", true);
+        return;
+      }
+
+      const ext = file.name.split(".").pop().toLowerCase();
+      if (!["pdf", "doc", "docx"].includes(ext)) {
+        setUploadStatus("Only .pdf, .doc, or .docx files are accepted.", true);
+        return;
+      }
+
+      setUploadStatus("Uploading...");
+      els.upload_btn.disabled = true;
+
+      try {
+        const { authToken, backend } = await chrome.storage.local.get([
+          "authToken",
+          "backend",
+        ]);
+        const backendBase = (backend || BACKEND_DEFAULT)
+          .trim()
+          .replace(/\/$/, "");
+
+        const formData = new FormData();
+        formData.append("application_id", appId);
+        formData.append("file", file);
+
+        const res = await fetch(
+          `${backendBase}/v1/ingest/upload-tailored-resume`,
+          {
+            method: "POST",
+            headers: { "X-Auth-Token": authToken || "" },
+            body: formData,
+          },
+        );
+
+        const ct = (res.headers.get("content-type") || "").toLowerCase();
+        const data = ct.includes("application/json")
+          ? await res.json()
+          : await res.text();
+
+        if (res.ok) {
+          setUploadStatus("✅ Resume uploaded successfully.");
+          els.upload_file.value = "";
+        } else {
+          const detail =
+            typeof data === "object"
+              ? JSON.stringify(data, null, 2)
+              : String(data);
+          setUploadStatus(`Upload failed (${res.status}):\n${detail}`, true);
+        }
+      } catch (e) {
+        setUploadStatus(`Upload error:\n${String(e)}`, true);
+      } finally {
+        els.upload_btn.disabled = false;
+      }
+    });
+
+    const apply_and_generate = async ({
+      selected,
+      jobUrl,
+      company,
+      position,
+      jdText,
+      resumeJsonText,
+      sourceSite,
+      resumeFormat,
+      wantCoverLetter,
+      haveToGenerate = true,
+      report = setStatus, // per-user GPT runs report into their own line
+    }) => {
+      if (
+        !selected.length ||
+        !jobUrl ||
+        !company ||
+        !position ||
+        jdText.length < 50
+      ) {
+        report("Missing fields. JD must be at least ~50 chars.");
+        return { ok: false };
+      }
+
+      report("Preparing JD keys (cache-aware)...");
+      await saveAppSettings();
+
+      const mime =
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+      try {
+        let okCount = 0;
+        const failures = [];
+
+        for (const uid of selected) {
+          const name = CO_USER_MAP.get(String(uid))?.name || String(uid);
+          report(
+            `${haveToGenerate ? "Generating" : "Saving"} for ${name}... (${okCount}/${selected.length})`,
+          );
+
+          const r = await apiCall("/v1/ingest/apply-and-generate", {
+            method: "POST",
+            json: {
+              user_id: uid,
+              url: jobUrl,
+              company,
+              position,
+              source_site: sourceSite,
+              jd_text: jdText,
+              resume_json_text: resumeJsonText || "",
+              include_cover_letter: wantCoverLetter,
+              have_to_generate: haveToGenerate,
+            },
+          });
 
-    const els = {
-      backend: root.querySelector("#co_backend"),
-      gpt_url: root.querySelector("#co_gpt_url"),
-      email: root.querySelector("#co_email"),
-      password: root.querySelector("#co_password"),
-      login: root.querySelector("#co_login"),
+          if (!r.ok) {
+            failures.push({ uid, status: r.status });
+            continue;
+          }
 
-      source_site: root.querySelector("#co_source_site"),
+          if (!haveToGenerate) {
+            // Auto-fill upload section with application_id from save response
+            const savedData = r.data || {};
+            const savedAppId =
+              savedData.application_id || savedData.applicationId || "";
+            if (savedAppId && els.upload_app_id && !els.upload_app_id.value) {
+              els.upload_app_id.value = savedAppId;
+            }
+            okCount++;
+            continue;
+          }
+          const data = r.data || {};
+          const backendBase = (els.backend?.value || "" || BACKEND_DEFAULT)
+            .trim()
+            .replace(/\/$/, "");
+          const appId = data.application_id || data.applicationId || "";
+          const resumeFolder = `CareerOS/${uid}/${appId}`;
+
+          // Auto-fill upload section with the latest application_id
+          if (appId && els.upload_app_id && !els.upload_app_id.value) {
+            els.upload_app_id.value = appId;
+          }
+
+          async function downloadHttpUrl(url, filename) {
+            const resp = await chrome.runtime.sendMessage({
+              type: "DOWNLOAD_BLOB_URL",
+              payload: { url, filename, saveAs: true },
+            });
+            return !!resp?.ok;
+          }
+
+          // PDF rendered locally from the Resume JSON when the backend
+          // didn't return one.
+          const localResume = parseJsonWithRepair(resumeJsonText || "").data;
+          async function downloadLocalPdf() {
+            if (!localResume || typeof localResume !== "object") return false;
+            const resp = await downloadLocalFiles(
+              "resume",
+              ["pdf"],
+              `${resumeFolder}/resume`,
+              { resume: localResume },
+            );
+            return resp.ok;
+          }
+
+          let downloaded = false;
+
+          const docxRel =
+            data.resume_docx_download_url ||
+            (data.resume_docx_file_id
+              ? `/v1/files/${data.resume_docx_file_id}/download`
+              : null);
+
+          const pdfRel =
+            data.resume_pdf_download_url ||
+            (data.resume_pdf_file_id
+              ? `/v1/files/${data.resume_pdf_file_id}/download`
+              : null);
+
+          const docxUrlAbs = docxRel
+            ? docxRel.startsWith("http")
+              ? docxRel
+              : backendBase + docxRel
+            : null;
+
+          const pdfUrlAbs = pdfRel
+            ? pdfRel.startsWith("http")
+              ? pdfRel
+              : backendBase + pdfRel
+            : null;
+
+          if (docxUrlAbs || pdfUrlAbs) {
+            if (resumeFormat === "pdf") {
+              if (pdfUrlAbs) {
+                downloaded = await downloadHttpUrl(
+                  pdfUrlAbs,
+                  `${resumeFolder}/resume.pdf`,
+                );
+              } else {
+                downloaded =
+                  (await downloadLocalPdf()) ||
+                  (await downloadHttpUrl(
+                    docxUrlAbs,
+                    `${resumeFolder}/resume.docx`,
+                  ));
+              }
+            } else if (resumeFormat === "both") {
+              let ok1 = false;
+              let ok2 = false;
+              if (docxUrlAbs)
+                ok1 = await downloadHttpUrl(
+                  docxUrlAbs,
+                  `${resumeFolder}/resume.docx`,
+                );
+              if (pdfUrlAbs)
+                ok2 = await downloadHttpUrl(
+                  pdfUrlAbs,
+                  `${resumeFolder}/resume.pdf`,
+                );
+              else ok2 = await downloadLocalPdf();
+              downloaded = ok1 || ok2;
+            } else {
+              if (docxUrlAbs) {
+                downloaded = await downloadHttpUrl(
+                  docxUrlAbs,
+                  `${resumeFolder}/resume.docx`,
+                );
+              } else if (pdfUrlAbs) {
+                downloaded = await downloadHttpUrl(
+                  pdfUrlAbs,
+                  `${resumeFolder}/resume.pdf`,
+                );
+              }
+            }
+
+            if (!downloaded) {
+              failures.push({ uid, status: "download_failed" });
+              continue;
+            }
+
+            // ✅ Cover letter (DOCX / PDF per the download format) using the
+            // background generator
+            if (wantCoverLetter && data.cover_letter) {
+              const clText = String(data.cover_letter || "").trim();
+              console.log("Cover letter text:", clText);
+              if (clText) {
+                const resp = await downloadLocalFiles(
+                  "cover_letter",
+                  downloadFormats(resumeFormat),
+                  `${resumeFolder}/Cover_Letter`,
+                  {
+                    text: clText,
+                    sender: resumeContact(resumeJsonText),
+                    company,
+                    position,
+                  },
+                );
+
+                // optional fallback to txt if the download fails
+                if (!resp?.ok) {
+                  const clBlob = new Blob([clText], { type: "text/plain" });
+                  const clUrl = URL.createObjectURL(clBlob);
+                  await downloadHttpUrl(
+                    clUrl,
+                    `${resumeFolder}/cover_letter.txt`,
+                  );
+                  setTimeout(() => URL.revokeObjectURL(clUrl), 30_000);
+                }
+              }
+            }
+
+            // Save resume info for "Fill Upload Field"
+            const _fillUrl =
+              resumeFormat === "pdf" && pdfUrlAbs
+                ? pdfUrlAbs
+                : docxUrlAbs || pdfUrlAbs;
+            const _fillMime =
+              _fillUrl === pdfUrlAbs && pdfUrlAbs
+                ? "application/pdf"
+                : "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+            const _fillExt = _fillMime === "application/pdf" ? "pdf" : "docx";
+            await saveResumeEntry({
+              label: `${position} @ ${company}`,
+              url: _fillUrl,
+              mime: _fillMime,
+              filename: `resume.${_fillExt}`,
+            });
+
+            okCount++;
+            continue;
+          }
+
+          if (data.resume_docx_base64) {
+            const docxUrl = b64ToBlobUrl(data.resume_docx_base64, mime);
+            const filename = `${resumeFolder}/resume.docx`;
+
+            // For "pdf" alone the DOCX is only the fallback when the local
+            // PDF can't be rendered.
+            const pdfOk = resumeFormat !== "docx" && (await downloadLocalPdf());
+            const ok =
+              (resumeFormat === "pdf" && pdfOk) ||
+              (await downloadHttpUrl(docxUrl, filename));
+            if (!ok) {
+              failures.push({ uid, status: "download_failed" });
+              continue;
+            }
+
+            // Save resume info for "Fill Upload Field" (base64 path — store b64 directly since blob URLs expire)
+            await saveResumeEntry({
+              label: `${position} @ ${company}`,
+              b64: data.resume_docx_base64,
+              mime,
+              filename: "resume.docx",
+            });
+
+            okCount++;
+            continue;
+          }
+
+          failures.push({ uid, status: "missing_files" });
+        }
+
+        if (failures.length) {
+          report(
+            `✅ Done. ${haveToGenerate ? "Generated" : "Saved"} for ${okCount}/${selected.length} users.\nFailed: ${failures.length}`,
+          );
+        } else {
+          report(
+            `✅ Done. ${haveToGenerate ? "Generated" : "Saved"} for ${okCount}/${selected.length} users.`,
+          );
+        }
+
+        await refreshExistsInList(root, card, els);
+        return { ok: failures.length === 0 };
+      } catch (e) {
+        report(`Request failed:\n${String(e)}`);
+        return { ok: false };
+      }
+    };
+    // GENERATE
+    els.generate.addEventListener("click", async () => {
+      const selected = root.__coGetSelectedUserIds?.() || [];
+      const jobUrl = (els.url.value || "").trim();
+      const company = (els.company.value || "").trim();
+      const position = (els.position.value || "").trim();
+      const jdText = (els.jd.value || "").trim();
+      const resumeJsonText = (els.resume_json?.value || "").trim();
+      const sourceSite = (els.source_site.value || "").trim();
+      const resumeFormat = (els.resume_format?.value || "docx").trim();
+
+      const problems = refreshResumeChecks();
+      if (
+        problems?.length &&
+        !window.confirm(
+          `Resume JSON has ${problems.length} schema problem(s) (listed under the box). Generate anyway?`,
+        )
+      ) {
+        setStatus("Fix the Resume JSON problems, then click Generate.");
+        return;
+      }
+
+      await apply_and_generate({
+        selected,
+        jobUrl,
+        company,
+        position,
+        jdText,
+        resumeJsonText,
+        wantCoverLetter: false,
+        sourceSite,
+        resumeFormat,
+      });
+    });
+
+    els.save.addEventListener("click", async () => {
+      const company = (els.company.value || "").trim();
+      const position = (els.position.value || "").trim();
+      const sourceSite = (els.source_site.value || "").trim();
+      const jobUrl = (els.url.value || "").trim();
+      const jdText = (els.jd.value || "").trim();
+      const resumeJsonText = (els.resume_json?.value || "").trim();
+      const resumeFormat = (els.resume_format?.value || "docx").trim();
+
+      await apply_and_generate({
+        selected: root.__coGetSelectedUserIds?.() || [],
+        jobUrl,
+        company,
+        position,
+        jdText,
+        resumeJsonText,
+        wantCoverLetter: false,
+        sourceSite,
+        resumeFormat,
+        haveToGenerate: false,
+      });
+    });
 
-      url: root.querySelector("#co_url"),
-      company: root.querySelector("#co_company"),
-      position: root.querySelector("#co_position"),
-      jd: root.querySelector("#co_jd"),
-      important_note: root.querySelector("#co_important_note"),
-      resume_json: root.querySelector("#co_resume_json"),
-      cover_letter: root.querySelector("#co_cover_letter"),
-      resume_format: root.querySelector("#co_resume_format"),
-      close_gpt_tab: root.querySelector("#co_close_gpt_tab"),
+    // GPT JOBS (start / cancel / retry)
+    // GPT buttons per mode, with their idle labels.
+    const GPT_BUTTONS = {
+      resume: [els.gpt_gen, "GPT Gen"],
+      cover_letter: [els.gpt_cover_letter, "C Letter"],
+      screening: [els.gpt_answer, "Answer Qs"],
+    };
+    const activeGptJobs = new Map(); // jobId -> mode
+    const activeGptJobUrls = new Map(); // jobId -> job page URL
+    const lastGptPayload = {}; // mode -> CO_GPT_OPEN payload, for Retry
+    let retryMode = null;
+
+    function resetGptButton(mode) {
+      const [btn, label] = GPT_BUTTONS[mode] || GPT_BUTTONS.resume;
+      if (!btn) return;
+      btn.disabled = false;
+      btn.textContent = label;
+    }
 
-      generate: root.querySelector("#co_generate"),
-      gpt_gen: root.querySelector("#co_gpt_gen"),
-      gpt_cover_letter: root.querySelector("#co_gpt_cover_letter"),
-      save: root.querySelector("#co_save"),
-      logout: root.querySelector("#co_logout"),
-      fill_upload: root.querySelector("#co_fill_upload"),
-      resume_picker: root.querySelector("#co_resume_picker"),
-      resume_picker_list: root.querySelector("#co_resume_picker_list"),
-      resume_picker_cancel: root.querySelector("#co_resume_picker_cancel"),
+    function renderGptControls() {
+      els.gpt_cancel.style.display = activeGptJobs.size ? "" : "none";
+      els.gpt_retry.style.display =
+        retryMode && !activeGptJobs.size ? "" : "none";
+      els.gpt_controls.style.display =
+        activeGptJobs.size || retryMode ? "flex" : "none";
+    }
 
-      users_toggle: root.querySelector("#co_users_toggle"),
-      users_expandable: root.querySelector("#co_users_expandable"),
+    async function startGptJob(mode, payload, startingMsg) {
+      const [btn] = GPT_BUTTONS[mode] || GPT_BUTTONS.resume;
+      lastGptPayload[mode] = payload;
+      retryMode = null;
+      setStatus(startingMsg);
+      btn.disabled = true;
+      btn.textContent = "Waiting for GPT...";
 
-      upload_toggle: root.querySelector("#co_upload_toggle"),
-      upload_section: root.querySelector("#co_upload_section"),
-      upload_app_id: root.querySelector("#co_upload_app_id"),
-      upload_file: root.querySelector("#co_upload_file"),
-      upload_btn: root.querySelector("#co_upload_btn"),
-      upload_status: root.querySelector("#co_upload_status"),
-    };
+      const jobKey = payload.jobUrl ? canonicalizeUrl(payload.jobUrl) : null;
+      const resp = await chrome.runtime.sendMessage({
+        type: "CO_GPT_OPEN",
+        payload: { ...payload, mode, jobKey },
+      });
 
-    // Re-evaluate upload_app_id from cache whenever selection changes (no API call)
-    root.__coOnSelectionChange = () => {
-      if (!els.upload_app_id) return;
-      const selectedIds = new Set(
-        (root.__coGetSelectedUserIds?.() || []).map(String),
-      );
-      let latestAppId = "";
-      let latestDate = "";
-      for (const [uid, cache] of CO_EXISTS_CACHE) {
-        if (!selectedIds.has(uid) || !cache.exists) continue;
-        const appId = cache.raw?.application?.id;
-        const createdAt =
-          cache.raw?.application?.created_at || cache.created_at || "";
-        if (!appId) continue;
-        if (!latestDate || createdAt > latestDate) {
-          latestDate = createdAt;
-          latestAppId = String(appId);
-        }
+      if (!resp?.ok) {
+        setStatus(`Failed to start GPT: ${resp?.error || "Unknown error"}`);
+        resetGptButton(mode);
+        retryMode = mode;
+      } else if (resp.jobId) {
+        activeGptJobs.set(resp.jobId, mode);
+        activeGptJobUrls.set(resp.jobId, payload.jobUrl);
+        refreshRefineConversation().catch(() => {});
       }
-      els.upload_app_id.value = latestAppId;
-    };
-
-    function setAuthStatus(msg) {
-      authStatusEl.textContent = msg;
-    }
-    function setStatus(msg) {
-      statusEl.textContent = msg;
-    }
-    function openCard() {
-      card.style.display = "block";
-    }
-    function closeCard() {
-      card.style.display = "none";
+      renderGptControls();
+      return !!resp?.ok;
     }
 
-    function showAuth(principal) {
-      authView.style.display = "block";
-      appView.style.display = "none";
-      authPill.style.display = principal ? "inline-block" : "none";
-      authPill.textContent = principal
-        ? `${principal.type}: ${principal.name || ""}`
-        : "";
-      setStatus("");
-    }
-    function showApp(principal) {
-      authView.style.display = "none";
-      appView.style.display = "block";
-      authPill.style.display = principal ? "inline-block" : "none";
-      authPill.textContent = principal
-        ? `${principal.type}: ${principal.name || ""}`
-        : "";
-      setAuthStatus("");
+    // Local repair failed: keep the job open and have background ask GPT,
+    // in the same conversation, for valid JSON.
+    function requestJsonRepair(mode, msg) {
+      const [btn] = GPT_BUTTONS[mode] || GPT_BUTTONS.resume;
+      if (msg.jobId) {
+        activeGptJobs.set(msg.jobId, mode);
+        activeGptJobUrls.set(msg.jobId, msg.jobUrl);
+      }
+      retryMode = null;
+      btn.disabled = true;
+      btn.textContent = "Waiting for GPT...";
+      renderGptControls();
+      setStatus("⚠️ GPT output wasn't valid JSON. Asking GPT to fix it...");
+      return { followUp: CO_JSON_REPAIR_PROMPT };
     }
 
-    btn.addEventListener("click", () => {
-      if (card.style.display === "none") {
-        btn.innerHTML = `<img class="co-launch-logo" src="${chrome.runtime.getURL(
-          "assets/logo.png",
-        )}" />`;
-        openCard();
-      } else {
-        btn.innerHTML = `<img class="co-launch-logo" src="${chrome.runtime.getURL(
-          "assets/closed-logo.png",
-        )}" />`;
-        closeCard();
+    // Called for every CO_GPT_RESULT before the mode-specific handling.
+    // Retry re-runs the original prompt, so it isn't offered when a
+    // refinement or one user's job of a multi-user run failed.
+    function finishGptJob(msg) {
+      const mode = msg.mode || "resume";
+      if (msg.jobId) {
+        activeGptJobs.delete(msg.jobId);
+        activeGptJobUrls.delete(msg.jobId);
       }
-    });
-    closeBtn.addEventListener("click", closeCard);
+      if (![...activeGptJobs.values()].includes(mode)) resetGptButton(mode);
+      retryMode = msg.error && !msg.refined && !msg.userId ? mode : null;
+      renderGptControls();
+    }
 
-    ["change", "blur"].forEach((ev) => {
-      els.backend.addEventListener(ev, async () => {
-        const backend = (els.backend.value || "").trim() || BACKEND_DEFAULT;
-        await chrome.storage.local.set({ backend });
-        const { authToken } = await chrome.storage.local.get(["authToken"]);
-        await pushAuthToBackground({ token: authToken || "", backend });
-      });
-      els.gpt_url.addEventListener(ev, async () => {
-        const gptUrl = (els.gpt_url.value || "").trim();
-        await chrome.storage.local.set({ gptUrl });
-      });
-    });
+    // MULTI-USER GPT RUNS
+    // With several users selected, GPT Gen / C Letter start one job per user
+    // (prompt built from that user's base resume) and each result is
+    // generated for that user only. The status area shows one line per user.
+    const userGptRuns = new Map(); // `${mode}:${uid}` -> run
+    const userResumeJson = new Map(); // uid -> resume JSON from this job's run
 
-    function handleEnterToLogin(e) {
-      if (e.key === "Enter") {
-        e.preventDefault();
-        e.stopPropagation();
-        els.login.click();
+    function gptUserName(uid) {
+      return CO_USER_MAP.get(String(uid))?.name || String(uid);
+    }
+
+    function findUserGptRun(jobId) {
+      if (!jobId) return null;
+      for (const run of userGptRuns.values()) {
+        if (run.jobId === jobId) return run;
       }
+      return null;
     }
-    els.email.addEventListener("keydown", handleEnterToLogin);
-    els.password.addEventListener("keydown", handleEnterToLogin);
 
-    async function saveAppSettings() {
-      await chrome.storage.local.set({
-        company: els.company.value.trim(),
-        position: els.position.value.trim(),
-        source_site: els.source_site.value.trim(),
-        resume_format: (els.resume_format?.value || "docx").trim(),
-        close_gpt_tab: !!els.close_gpt_tab?.checked,
-      });
+    function renderUserGptRuns() {
+      const runs = Array.from(userGptRuns.values());
+      if (!runs.length) return;
+      const left = runs.filter((run) => !run.done).length;
+      setStatus(
+        [
+          `GPT for ${runs.length} users${left ? ` (${left} running)` : ""}:`,
+          ...runs.map(
+            (run) =>
+              `• ${run.name} (${GPT_MODE_LABELS[run.mode]}): ${run.line}`,
+          ),
+        ].join("\n"),
+      );
     }
 
-    ["change", "blur"].forEach((ev) => {
-      els.company.addEventListener(ev, saveAppSettings);
-      els.position.addEventListener(ev, saveAppSettings);
-      els.source_site.addEventListener(ev, saveAppSettings);
-      els.resume_format?.addEventListener(ev, saveAppSettings);
-    });
-    els.close_gpt_tab?.addEventListener("change", saveAppSettings);
+    function setUserRunLine(run, line, done = false) {
+      run.line = String(line || "").replace(/\s+/g, " ").trim();
+      if (done) run.done = true;
+      renderUserGptRuns();
+    }
 
-    els.url.addEventListener("blur", () => {
-      refreshExistsInList(root, card, els).catch(() => {});
-    });
+    async function startUserGptJobs(mode, uids, payload) {
+      const [btn] = GPT_BUTTONS[mode] || GPT_BUTTONS.resume;
+      for (const [key, run] of userGptRuns) {
+        if (run.mode === mode || run.done) userGptRuns.delete(key);
+      }
+      retryMode = null;
+      btn.disabled = true;
+      btn.textContent = "Waiting for GPT...";
+      const jobKey = payload.jobUrl ? canonicalizeUrl(payload.jobUrl) : null;
+
+      const runs = uids.map((uid) => ({
+        uid: String(uid),
+        name: gptUserName(uid),
+        mode,
+        jobId: null,
+        line: "loading base resume...",
+        done: false,
+      }));
+      runs.forEach((run) => userGptRuns.set(`${mode}:${run.uid}`, run));
+      renderUserGptRuns();
+      const blocked = await blockRuleHits(uids, payload);
+      if (blocked.size && confirmDespiteBlock(blocked)) blocked.clear();
+
+      await Promise.all(
+        runs.map(async (run) => {
+          if (blocked.has(run.uid)) {
+            setUserRunLine(
+              run,
+              `⛔ shouldn't apply: ${blockRulesReason(blocked.get(run.uid))}`,
+              true,
+            );
+            return;
+          }
+          let baseResume;
+          try {
+            baseResume = await fetchBaseResume(run.uid);
+          } catch (e) {
+            setUserRunLine(run, `❌ ${e.message || e}`, true);
+            return;
+          }
+          const vars = promptVars({
+            candidate: run.name,
+            base_resume: baseResume,
+          });
+          // A cover letter builds on the resume GPT tailored for this user
+          // on this job, if there is one.
+          if (mode === "cover_letter") {
+            vars.resume_json = userResumeJson.get(run.uid) || baseResume;
+            run.resumeJson = vars.resume_json;
+          }
+          const resp = await chrome.runtime
+            .sendMessage({
+              type: "CO_GPT_OPEN",
+              payload: {
+                ...payload,
+                prompt: await renderModePrompt(mode, vars, { perUser: true }),
+                mode,
+                jobKey,
+                userId: run.uid,
+                userName: run.name,
+              },
+            })
+            .catch((e) => ({ ok: false, error: String(e?.message || e) }));
+          if (!resp?.ok) {
+            setUserRunLine(
+              run,
+              `❌ failed to start GPT: ${resp?.error || "Unknown error"}`,
+              true,
+            );
+            return;
+          }
+          run.jobId = resp.jobId;
+          activeGptJobs.set(resp.jobId, mode);
+          activeGptJobUrls.set(resp.jobId, payload.jobUrl);
+          renderGptControls();
+          setUserRunLine(run, "waiting for GPT...");
+        }),
+      );
 
-    // LOGIN
-    els.login.addEventListener("click", async () => {
-      const backend = (els.backend.value || "").trim() || BACKEND_DEFAULT;
-      const email = (els.email.value || "").trim();
-      const password = els.password.value || "";
+      if (![...activeGptJobs.values()].includes(mode)) resetGptButton(mode);
+      renderGptControls();
+    }
 
-      if (!email || !password) {
-        setAuthStatus("Email + password required.");
-        return;
+    // CO_GPT_RESULT for one user of a multi-user run. Same contract as
+    // handleGptResult: true once claimed, or { followUp }.
+    function handleUserGptResult(msg) {
+      const mode = msg.mode || "resume";
+      const run = findUserGptRun(msg.jobId);
+      if (!run) return false; // panel was reloaded; it stays in the inbox
+      const text = (msg.text || "").trim();
+      if (msg.error || !text) {
+        setUserRunLine(run, `❌ ${msg.error || "GPT returned nothing"}`, true);
+        return false;
+      }
+      if (msg.jobUrl && canonicalizeUrl(msg.jobUrl) !== currentJobKey) {
+        setUserRunLine(
+          run,
+          "finished after you left this job; it is in the GPT inbox.",
+          true,
+        );
+        return false;
       }
 
-      setAuthStatus("Logging in...");
-      await chrome.storage.local.set({ backend });
-      await pushAuthToBackground({ token: "", backend });
+      const company = (els.company.value || "").trim();
+      const position = (els.position.value || "").trim();
 
-      try {
-        const r = await apiCall("/v1/auth/login", {
-          method: "POST",
-          json: { email, password },
-        });
+      if (mode === "cover_letter") {
+        const safe = (v) => v.replace(/[<>:"/\\|?*]/g, "_");
+        setUserRunLine(run, "downloading cover letter...");
+        // Straight into the user's folder: with several users a Save As
+        // dialog per file would pile up.
+        downloadLocalFiles(
+          "cover_letter",
+          downloadFormats((els.resume_format?.value || "docx").trim()),
+          `CareerOS/${run.uid}/Cover_Letter_${safe(company)}_${safe(position)}`,
+          { text, sender: resumeContact(run.resumeJson), company, position },
+          { saveAs: false },
+        )
+          .then((resp) =>
+            setUserRunLine(
+              run,
+              resp?.ok
+                ? "✅ cover letter downloaded."
+                : `❌ download failed: ${resp?.error || "unknown error"}`,
+              true,
+            ),
+          )
+          .catch((e) => setUserRunLine(run, `❌ ${String(e)}`, true));
+        return true;
+      }
 
-        if (!r.ok) {
-          setAuthStatus(
-            `Login failed (${r.status}):\n${JSON.stringify(r.data, null, 2)}`,
+      const { data: parsed } = parseJsonWithRepair(text);
+      if (!parsed) {
+        if (msg.repairsLeft) {
+          const outcome = requestJsonRepair(mode, msg);
+          setUserRunLine(
+            run,
+            "output wasn't valid JSON; asking GPT to fix it...",
           );
-          return;
-        }
-
-        const data = r.data || {};
-        if (!data.token) {
-          setAuthStatus("Login succeeded but response missing token.");
-          return;
+          return outcome;
         }
+        setUserRunLine(
+          run,
+          "❌ could not parse GPT output as JSON (kept in the GPT inbox).",
+          true,
+        );
+        return false;
+      }
+      if (parsed.blocked) {
+        setUserRunLine(
+          run,
+          `⛔ shouldn't apply: ${parsed.block_reason || "No reason provided."}`,
+          true,
+        );
+        return true;
+      }
 
-        await setAuthState({
-          token: data.token,
-          principal: data.principal || null,
-          backend,
-        });
+      const resumeJsonText = JSON.stringify(parsed, null, 2);
+      userResumeJson.set(run.uid, resumeJsonText);
+      const problems = validateResumeJson(parsed);
+      if (problems.length) {
+        setUserRunLine(
+          run,
+          `⚠️ resume JSON has ${problems.length} schema problem(s); not generated. Load it from the GPT inbox to fix it.`,
+          true,
+        );
+        return false;
+      }
 
-        els.password.value = "";
-        showApp(data.principal || null);
+      setUserRunLine(run, "generating resume...");
+      let lastReport = "";
+      apply_and_generate({
+        selected: [run.uid],
+        jobUrl: (els.url.value || "").trim(),
+        company,
+        position,
+        jdText: (els.jd.value || "").trim(),
+        resumeJsonText,
+        wantCoverLetter: false,
+        sourceSite: (els.source_site.value || "").trim(),
+        resumeFormat: (els.resume_format?.value || "docx").trim(),
+        report: (line) => {
+          lastReport = line;
+          setUserRunLine(run, line);
+        },
+      }).then((result) =>
+        setUserRunLine(
+          run,
+          result?.ok ? "✅ resume generated." : `❌ ${lastReport}`,
+          true,
+        ),
+      );
+      return true;
+    }
 
-        await setupUserPicker(root);
+    els.gpt_cancel?.addEventListener("click", async () => {
+      const jobs = Array.from(activeGptJobs.entries());
+      const jobUrls = new Map(activeGptJobUrls);
+      activeGptJobs.clear();
+      activeGptJobUrls.clear();
+      await Promise.all(
+        jobs.map(([jobId]) =>
+          chrome.runtime
+            .sendMessage({ type: "CO_GPT_CANCEL", payload: { jobId } })
+            .catch(() => {}),
+        ),
+      );
+      setStatus("GPT cancelled.");
+      jobs.forEach(([jobId, mode]) => {
+        resetGptButton(mode);
+        restoreGptOutput(mode, jobUrls.get(jobId));
+        const run = findUserGptRun(jobId);
+        if (run) setUserRunLine(run, "cancelled.", true);
+        else retryMode = mode;
+      });
+      renderGptControls();
+    });
 
-        root.querySelector("#co_userpicker")?.addEventListener("click", () => {
-          clearTimeout(root.__coCheckTimer);
-          root.__coCheckTimer = setTimeout(
-            () => refreshExistsInList(root, card, els).catch(() => {}),
-            180,
-          );
-        });
-        root.querySelector("#co_user_search")?.addEventListener("input", () => {
-          clearTimeout(root.__coCheckTimer);
-          root.__coCheckTimer = setTimeout(
-            () => refreshExistsInList(root, card, els).catch(() => {}),
-            260,
-          );
-        });
+    els.gpt_retry?.addEventListener("click", () => {
+      const mode = retryMode;
+      if (!mode || !lastGptPayload[mode]) return;
+      startGptJob(mode, lastGptPayload[mode], "Retrying GPT...");
+    });
 
-        els.url.value = location.href;
+    // RESUME JSON CHECKS + STRUCTURED EDITOR
+    // The editor writes back into co_resume_json, which stays the source of
+    // truth for Generate, drafts and the cover letter prompt.
+    let resumeEditorWriting = false;
+    let resumeCheckTimer = null;
 
-        await refreshExistsInList(root, card, els);
+    function readResumeJson(field = els.resume_json) {
+      const text = (field.value || "").trim();
+      if (!text) return { empty: true, data: null };
+      return { empty: false, data: extractJsonFromText(text) };
+    }
 
-        setAuthStatus("✅ Logged in.");
-      } catch (e) {
-        setAuthStatus(`Login error:\n${String(e)}`);
+    // Lists schema problems under a Resume JSON box (the main one by
+    // default). Returns the problems, or null when the box is empty.
+    function renderResumeValidation(
+      box = els.resume_validation,
+      field = els.resume_json,
+    ) {
+      const { empty, data } = readResumeJson(field);
+      box.className = "co-status";
+      if (empty) {
+        box.textContent = "";
+        return null;
       }
-    });
+      const errors = data
+        ? validateResumeJson(data)
+        : [{ path: "", message: "is not valid JSON" }];
+      if (!errors.length) {
+        box.classList.add("co-field-ok");
+        box.textContent = "✓ Resume JSON matches the expected schema.";
+        return errors;
+      }
+      box.classList.add("co-field-error");
+      const shown = errors
+        .slice(0, 10)
+        .map((e) => `• ${e.path || "Resume JSON"} ${e.message}`);
+      if (errors.length > shown.length) {
+        shown.push(`…and ${errors.length - shown.length} more`);
+      }
+      box.textContent = [
+        `⚠️ ${errors.length} problem(s) in Resume JSON:`,
+        ...shown,
+      ].join("\n");
+      return errors;
+    }
 
-    // LOGOUT
-    els.logout.addEventListener("click", async () => {
-      setStatus("Logging out...");
-      try {
-        await apiCall("/v1/auth/logout", { method: "POST" });
-        await clearAuthState();
-        CO_EXISTS_CACHE.clear();
-        showAuth(null);
-        setStatus("");
-        setAuthStatus("✅ Logged out.");
-      } catch (e) {
-        await clearAuthState();
-        CO_EXISTS_CACHE.clear();
-        showAuth(null);
-        setAuthStatus(
-          `Logged out locally. (Error calling backend: ${String(e)})`,
+    function refreshResumeChecks() {
+      clearTimeout(resumeCheckTimer);
+      const errors = renderResumeValidation();
+      if (!resumeEditorWriting) renderResumeEditor();
+      renderResumePreview();
+      renderResumeReview();
+      renderKeywordCoverage();
+      return errors;
+    }
+
+    function writeResumeJson(data) {
+      resumeEditorWriting = true;
+      try {
+        els.resume_json.value = JSON.stringify(data, null, 2);
+        els.resume_json.dispatchEvent(new Event("input", { bubbles: true }));
+        renderResumeValidation();
+      } finally {
+        resumeEditorWriting = false;
+      }
+    }
+
+    function editorEl(tag, className, text) {
+      const el = document.createElement(tag);
+      if (className) el.className = className;
+      if (text != null) el.textContent = text;
+      return el;
+    }
+
+    function editorErrors(errors, prefix) {
+      const mine = errors.filter(
+        (e) =>
+          e.path === prefix ||
+          e.path.startsWith(`${prefix}.`) ||
+          e.path.startsWith(`${prefix}[`),
+      );
+      if (!mine.length) return null;
+      return editorEl(
+        "div",
+        "co-field-error",
+        mine.map((e) => `${e.path} ${e.message}`).join("\n"),
+      );
+    }
+
+    function splitSkills(value) {
+      return String(value || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    }
+
+    // Re-rendered on "change" (blur) so per-field errors refresh without
+    // stealing focus on every keystroke.
+    function renderResumeEditor() {
+      const editor = els.resume_editor;
+      if (editor.style.display === "none") return;
+      editor.innerHTML = "";
+
+      const { empty, data } = readResumeJson();
+      if (!data || typeof data !== "object" || Array.isArray(data)) {
+        editor.appendChild(
+          editorEl(
+            "div",
+            "co-muted",
+            empty
+              ? "No resume JSON yet. Run GPT Gen first."
+              : "Resume JSON can't be parsed. Fix it in the box above.",
+          ),
         );
-        setStatus("");
+        return;
       }
-    });
+      const errors = validateResumeJson(data);
+      const update = (fn) => {
+        fn();
+        writeResumeJson(data);
+      };
+      const rerender = () => renderResumeEditor();
+
+      // Summary
+      editor.appendChild(editorEl("label", "", "Summary"));
+      const summary = editorEl("textarea");
+      summary.value = typeof data.summary === "string" ? data.summary : "";
+      summary.addEventListener("input", () =>
+        update(() => (data.summary = summary.value)),
+      );
+      summary.addEventListener("change", rerender);
+      editor.appendChild(summary);
+      const summaryErr = editorErrors(errors, "summary");
+      if (summaryErr) editor.appendChild(summaryErr);
+
+      // Experience bullets
+      const experience = Array.isArray(data.experience) ? data.experience : [];
+      experience.forEach((exp, i) => {
+        if (!exp || typeof exp !== "object") return;
+        const block = editorEl("div", "co-resume-exp");
+        block.appendChild(
+          editorEl(
+            "div",
+            "co-resume-exp-title",
+            `${exp.title || "Untitled role"} — ${exp.company || "Unknown company"}`,
+          ),
+        );
+        if (!Array.isArray(exp.bullets)) exp.bullets = [];
+        exp.bullets.forEach((bullet, j) => {
+          const row = editorEl("div", "co-resume-bullet");
+          const input = editorEl("textarea");
+          input.value = typeof bullet === "string" ? bullet : "";
+          input.addEventListener("input", () =>
+            update(() => (exp.bullets[j] = input.value)),
+          );
+          input.addEventListener("change", rerender);
+          const remove = editorEl("button", "co-action secondary co-mini", "×");
+          remove.type = "button";
+          remove.title = "Remove bullet";
+          remove.addEventListener("click", () => {
+            update(() => exp.bullets.splice(j, 1));
+            rerender();
+          });
+          row.appendChild(input);
+          row.appendChild(remove);
+          block.appendChild(row);
+        });
+        const add = editorEl("button", "co-action secondary co-mini", "+ Bullet");
+        add.type = "button";
+        add.style.marginTop = "4px";
+        add.addEventListener("click", () => {
+          update(() => exp.bullets.push(""));
+          rerender();
+          const inputs = els.resume_editor.querySelectorAll(
+            ".co-resume-exp",
+          )[i]?.querySelectorAll("textarea");
+          inputs?.[inputs.length - 1]?.focus();
+        });
+        block.appendChild(add);
+        const expErr = editorErrors(errors, `experience[${i}]`);
+        if (expErr) block.appendChild(expErr);
+        editor.appendChild(block);
+      });
 
-    // UPLOAD TOGGLE
-    els.users_toggle?.addEventListener("click", () => {
-      const visible = els.users_expandable.style.display !== "none";
-      els.users_expandable.style.display = visible ? "none" : "block";
-      els.users_toggle.textContent = visible ? "▾ Users" : "▴ Users";
-    });
+      // Skills: a flat list, or one comma-separated line per category.
+      const skillsBlock = editorEl("div", "co-resume-exp");
+      skillsBlock.appendChild(editorEl("div", "co-resume-exp-title", "Skills"));
+      const skills = data.skills;
+      const grouped =
+        skills && typeof skills === "object" && !Array.isArray(skills);
+      const groups = grouped ? Object.keys(skills) : [null];
+      groups.forEach((group) => {
+        if (group) skillsBlock.appendChild(editorEl("label", "", group));
+        const input = editorEl("input");
+        const list = group ? skills[group] : skills;
+        input.value = Array.isArray(list) ? list.join(", ") : "";
+        input.placeholder = "Comma-separated skills";
+        input.addEventListener("input", () =>
+          update(() => {
+            if (group) data.skills[group] = splitSkills(input.value);
+            else data.skills = splitSkills(input.value);
+          }),
+        );
+        input.addEventListener("change", rerender);
+        skillsBlock.appendChild(input);
+      });
+      const skillsErr = editorErrors(errors, "skills");
+      if (skillsErr) skillsBlock.appendChild(skillsErr);
+      editor.appendChild(skillsBlock);
+
+      // Sections the editor doesn't cover still get their errors listed.
+      ["contact", "education"].forEach((key) => {
+        const err = editorErrors(errors, key);
+        if (err) editor.appendChild(err);
+      });
+    }
 
-    els.upload_toggle?.addEventListener("click", () => {
-      const visible = els.upload_section.style.display !== "none";
-      els.upload_section.style.display = visible ? "none" : "block";
-      els.upload_toggle.textContent = visible
-        ? "▾ Upload Tailored Resume"
-        : "▴ Upload Tailored Resume";
+    els.resume_editor_toggle?.addEventListener("click", () => {
+      const visible = els.resume_editor.style.display !== "none";
+      els.resume_editor.style.display = visible ? "none" : "block";
+      els.resume_editor_toggle.textContent = visible
+        ? "▾ Edit Resume"
+        : "▴ Edit Resume";
+      renderResumeEditor();
     });
 
-    // UPLOAD TAILORED RESUME
-    els.upload_btn?.addEventListener("click", async () => {
-      const appId = (els.upload_app_id?.value || "").trim();
-      const file = els.upload_file?.files?.[0];
+    els.resume_json?.addEventListener("input", () => {
+      if (resumeEditorWriting) return;
+      clearTimeout(resumeCheckTimer);
+      resumeCheckTimer = setTimeout(refreshResumeChecks, 400);
+    });
 
-      function setUploadStatus(msg, isErr = false) {
-        if (!els.upload_status) return;
-        els.upload_status.textContent = msg;
-        els.upload_status.className =
-          "co-status " + (isErr ? "co-upload-err" : "co-upload-ok");
-      }
+    // LOCAL RESUME (preview + offline DOCX / PDF export)
+    // The preview follows the layout of the DOCX that background renders
+    // locally (resumeToDocxBytes), so it doubles as a check of that output.
+    function resumeDates(item) {
+      const start = String(item?.start_date || "").trim();
+      const end = String(item?.end_date || "").trim();
+      return start ? `${start} – ${end || "Present"}` : end;
+    }
 
-      const selectedForUpload = root.__coGetSelectedUserIds?.() || [];
-      if (selectedForUpload.length > 1) {
-        setUploadStatus(
-          "Upload is not allowed for multiple users. Please select a single user.",
-          true,
+    function renderResumePreview() {
+      const box = els.resume_preview;
+      if (!box || box.style.display === "none") return;
+      box.innerHTML = "";
+      const { empty, data } = readResumeJson();
+      if (empty || !data || typeof data !== "object") {
+        box.appendChild(
+          editorEl(
+            "div",
+            "co-muted",
+            empty ? "Resume JSON is empty." : "Resume JSON is not valid JSON.",
+          ),
         );
         return;
       }
 
-      if (!appId) {
-        setUploadStatus("Application ID is required.", true);
-        return;
-      }
-      if (!file) {
-        setUploadStatus("Please select a file (.pdf, .doc, or .docx).", true);
-        return;
+      const contact = data.contact || {};
+      const heading = (text) =>
+        box.appendChild(editorEl("div", "co-rp-heading", text));
+      const entry = (main, dates) => {
+        const row = editorEl("div", "co-rp-entry");
+        const left = editorEl("span");
+        main.forEach(([text, bold]) =>
+          left.appendChild(editorEl(bold ? "b" : "span", "", text)),
+        );
+        row.appendChild(left);
+        if (dates) row.appendChild(editorEl("span", "co-rp-dates", dates));
+        box.appendChild(row);
+      };
+
+      box.appendChild(editorEl("div", "co-rp-name", contact.name || ""));
+      const contactLine = ["location", "phone", "email", "linkedin", "website"]
+        .map((k) => String(contact[k] || "").trim())
+        .filter(Boolean)
+        .join("  |  ");
+      if (contactLine) {
+        box.appendChild(editorEl("div", "co-rp-contact", contactLine));
       }
 
-      const ext = file.name.split(".").pop().toLowerCase();
-      if (!["pdf", "doc", "docx"].includes(ext)) {
-        setUploadStatus("Only .pdf, .doc, or .docx files are accepted.", true);
-        return;
+      if (String(data.summary || "").trim()) {
+        heading("Summary");
+        box.appendChild(editorEl("div", "", String(data.summary).trim()));
       }
 
-      setUploadStatus("Uploading...");
-      els.upload_btn.disabled = true;
-
-      try {
-        const { authToken, backend } = await chrome.storage.local.get([
-          "authToken",
-          "backend",
-        ]);
-        const backendBase = (backend || BACKEND_DEFAULT)
-          .trim()
-          .replace(/\/$/, "");
+      const experience = Array.isArray(data.experience) ? data.experience : [];
+      if (experience.length) heading("Experience");
+      experience.forEach((job) => {
+        const where = [job?.company, job?.location].filter(Boolean).join(", ");
+        entry(
+          [
+            [job?.title || "", true],
+            [where ? `, ${where}` : "", false],
+          ],
+          resumeDates(job),
+        );
+        const ul = editorEl("ul");
+        (Array.isArray(job?.bullets) ? job.bullets : [])
+          .filter((b) => String(b).trim())
+          .forEach((b) => ul.appendChild(editorEl("li", "", String(b))));
+        box.appendChild(ul);
+      });
 
-        const formData = new FormData();
-        formData.append("application_id", appId);
-        formData.append("file", file);
+      const skills = data.skills;
+      if (Array.isArray(skills) ? skills.length : skills) heading("Skills");
+      if (Array.isArray(skills)) {
+        box.appendChild(editorEl("div", "", skills.join(", ")));
+      } else if (skills && typeof skills === "object") {
+        Object.entries(skills).forEach(([category, list]) => {
+          const line = editorEl("div");
+          line.appendChild(editorEl("b", "", `${category}: `));
+          line.append([].concat(list || []).join(", "));
+          box.appendChild(line);
+        });
+      }
 
-        const res = await fetch(
-          `${backendBase}/v1/ingest/upload-tailored-resume`,
-          {
-            method: "POST",
-            headers: { "X-Auth-Token": authToken || "" },
-            body: formData,
-          },
+      const education = Array.isArray(data.education) ? data.education : [];
+      if (education.length) heading("Education");
+      education.forEach((ed) => {
+        const degree = [ed?.degree, ed?.field].filter(Boolean).join(", ");
+        entry(
+          [
+            [ed?.school || "", true],
+            [degree ? ` — ${degree}` : "", false],
+          ],
+          resumeDates(ed),
         );
+      });
+    }
 
-        const ct = (res.headers.get("content-type") || "").toLowerCase();
-        const data = ct.includes("application/json")
-          ? await res.json()
-          : await res.text();
+    els.resume_preview_btn?.addEventListener("click", () => {
+      const visible = els.resume_preview.style.display !== "none";
+      els.resume_preview.style.display = visible ? "none" : "block";
+      els.resume_preview_btn.textContent = visible ? "Preview" : "Hide Preview";
+      renderResumePreview();
+    });
 
-        if (res.ok) {
-          setUploadStatus("✅ Resume uploaded successfully.");
-          els.upload_file.value = "";
-        } else {
-          const detail =
-            typeof data === "object"
-              ? JSON.stringify(data, null, 2)
-              : String(data);
-          setUploadStatus(`Upload failed (${res.status}):\n${detail}`, true);
+    els.local_export?.addEventListener("click", async () => {
+      const { empty, data } = readResumeJson();
+      const coverLetter = (els.cover_letter?.value || "").trim();
+      const isResume = data && typeof data === "object" && !data.blocked;
+      if (!isResume && !coverLetter) {
+        setStatus(
+          empty
+            ? "Resume JSON is empty. Run GPT Gen or paste it first."
+            : "Resume JSON is not a resume (invalid JSON or a blocked verdict).",
+        );
+        return;
+      }
+      const problems = isResume ? refreshResumeChecks() : null;
+      if (
+        problems?.length &&
+        !window.confirm(
+          `Resume JSON has ${problems.length} schema problem(s) (listed under the box). Download anyway?`,
+        )
+      ) {
+        return;
+      }
+
+      const safe = (v) => String(v || "").replace(/[<>:"/\\|?*]/g, "_").trim();
+      const company = safe(els.company.value) || "Company";
+      const contact = isResume
+        ? data.contact
+        : resumeContact(els.resume_json.value);
+      const name = safe(contact?.name) || "Resume";
+      const formats = downloadFormats(
+        (els.resume_format?.value || "docx").trim(),
+      );
+      const done = [];
+      els.local_export.disabled = true;
+      setStatus(`Rendering ${formats.join(" + ").toUpperCase()} locally...`);
+      try {
+        if (isResume) {
+          const resp = await downloadLocalFiles(
+            "resume",
+            formats,
+            `CareerOS/local/${name} - ${company}`,
+            { resume: data },
+          );
+          if (!resp.ok) throw new Error(resp.error);
+          done.push("resume");
+        }
+        if (coverLetter) {
+          const resp = await downloadLocalFiles(
+            "cover_letter",
+            formats,
+            `CareerOS/local/${name} - ${company} - Cover Letter`,
+            {
+              text: coverLetter,
+              sender: contact,
+              company: (els.company.value || "").trim(),
+              position: (els.position.value || "").trim(),
+            },
+          );
+          if (!resp.ok) throw new Error(resp.error);
+          done.push("cover letter");
         }
+        setStatus(`✅ Rendered locally and downloaded: ${done.join(", ")}.`);
       } catch (e) {
-        setUploadStatus(`Upload error:\n${String(e)}`, true);
+        const saved = done.length ? ` (downloaded: ${done.join(", ")})` : "";
+        setStatus(`Local export failed${saved}: ${String(e?.message || e)}`);
       } finally {
-        els.upload_btn.disabled = false;
+        els.local_export.disabled = false;
       }
     });
 
-    const apply_and_generate = async ({
-      selected,
-      jobUrl,
-      company,
-      position,
-      jdText,
-      resumeJsonText,
-      sourceSite,
-      resumeFormat,
-      wantCoverLetter,
-      haveToGenerate = true,
-    }) => {
-      if (
-        !selected.length ||
-        !jobUrl ||
-        !company ||
-        !position ||
-        jdText.length < 50
-      ) {
-        setStatus("Missing fields. JD must be at least ~50 chars.");
-        return { ok: false };
+    // KEYWORD COVERAGE (JD terms vs Resume JSON, see analyzeKeywordCoverage)
+    // Shown under the Resume JSON so gaps are visible before Generate; the
+    // missing terms can be handed to Refine with GPT as a follow-up.
+    let keywordTimer = null;
+
+    function renderKeywordCoverage() {
+      clearTimeout(keywordTimer);
+      const box = els.keyword_coverage;
+      if (!box) return null;
+      const { data } = readResumeJson();
+      const coverage =
+        data && typeof data === "object" && !data.blocked
+          ? analyzeKeywordCoverage(els.jd.value, data)
+          : null;
+      box.innerHTML = "";
+      box.style.display = coverage ? "block" : "none";
+      if (!coverage) return null;
+
+      const count = (level) => {
+        const terms = coverage.terms.filter((t) => t.level === level);
+        return `${terms.filter((t) => t.covered).length}/${terms.length}`;
+      };
+      const head = editorEl(
+        "div",
+        "co-keyword-score",
+        `Keyword match: ${coverage.score}% · required ${count(
+          "required",
+        )} · nice-to-have ${count("nice")}`,
+      );
+      head.classList.add(
+        coverage.score >= 80
+          ? "co-field-ok"
+          : coverage.score >= 50
+            ? "co-keyword-fair"
+            : "co-field-error",
+      );
+      box.appendChild(head);
+
+      const { required, nice } = coverage.missing;
+      if (required.length) {
+        box.appendChild(
+          editorEl("div", "", `Missing required: ${required.join(", ")}`),
+        );
       }
+      if (nice.length) {
+        const text = `Missing nice-to-have: ${nice.join(", ")}`;
+        box.appendChild(editorEl("div", "co-muted", text));
+      }
+      if (required.length || nice.length) {
+        const btn = editorEl(
+          "button",
+          "co-action secondary",
+          "Ask GPT to add missing",
+        );
+        btn.type = "button";
+        btn.title =
+          "Put the missing terms into a Refine with GPT instruction for this job's conversation";
+        btn.addEventListener("click", () => refineMissingKeywords(coverage));
+        box.appendChild(btn);
+      }
+      return coverage;
+    }
 
-      setStatus("Preparing JD keys (cache-aware)...");
-      await saveAppSettings();
+    function refineMissingKeywords(coverage) {
+      const { required, nice } = coverage.missing;
+      els.refine_mode.value = "resume";
+      els.refine_prompt.value = [
+        "These keywords from the job description are missing from the resume:",
+        required.length ? `Required: ${required.join(", ")}` : "",
+        nice.length ? `Nice-to-have: ${nice.join(", ")}` : "",
+        "Work each one into the experience bullets and/or skills where it " +
+          "truthfully fits my background. Do not invent experience; leave " +
+          "out any that don't fit. Return the full updated resume JSON.",
+      ]
+        .filter(Boolean)
+        .join("\n");
+      if (els.refine_section.style.display === "none") {
+        els.refine_toggle.click();
+      } else {
+        refreshRefineConversation().catch(() => {});
+      }
+      els.refine_prompt.focus();
+    }
 
-      const mime =
-        "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+    els.jd?.addEventListener("input", () => {
+      clearTimeout(keywordTimer);
+      keywordTimer = setTimeout(renderKeywordCoverage, 400);
+    });
 
-      try {
-        let okCount = 0;
-        const failures = [];
+    // RESUME REVIEW (diff against the base resume)
+    // Shows what GPT changed relative to the first selected user's base
+    // resume (see diffResumes). Each change can be accepted or rejected;
+    // Apply writes the result back into co_resume_json.
+    let reviewBase = null; // { uid, resume }
+    let reviewDiff = null;
 
-        for (const uid of selected) {
-          const name = CO_USER_MAP.get(String(uid))?.name || String(uid);
-          setStatus(
-            `${haveToGenerate ? "Generating" : "Saving"} for ${name}... (${okCount}/${selected.length})`,
+    function reviewMessage(text) {
+      els.resume_review.innerHTML = "";
+      els.resume_review.appendChild(editorEl("div", "co-muted", text));
+    }
+
+    async function openResumeReview() {
+      const uid = (root.__coGetSelectedUserIds?.() || []).map(String)[0];
+      els.resume_review.style.display = "block";
+      els.resume_review_btn.textContent = "Hide Review";
+      if (!uid) {
+        reviewMessage("Select a user to compare with their base resume.");
+        return;
+      }
+      if (reviewBase?.uid !== uid) {
+        reviewBase = null;
+        reviewDiff = null;
+        reviewMessage(`Loading ${gptUserName(uid)}'s base resume...`);
+        let base;
+        try {
+          base = await loadBaseResume(uid);
+        } catch (e) {
+          reviewMessage(`Could not load the base resume: ${String(e)}`);
+          return;
+        }
+        const parsed = base ? parseJsonWithRepair(base.text).data : null;
+        if (!parsed) {
+          reviewMessage(
+            `${gptUserName(uid)} has no base resume on file. Import one under Base Resume.`,
           );
+          return;
+        }
+        reviewBase = { uid, resume: parsed };
+      }
+      renderResumeReview();
+    }
 
-          const r = await apiCall("/v1/ingest/apply-and-generate", {
-            method: "POST",
-            json: {
-              user_id: uid,
-              url: jobUrl,
-              company,
-              position,
-              source_site: sourceSite,
-              jd_text: jdText,
-              resume_json_text: resumeJsonText || "",
-              include_cover_letter: wantCoverLetter,
-              have_to_generate: haveToGenerate,
-            },
+    // Re-diffs the current Resume JSON; called whenever it changes.
+    function renderResumeReview() {
+      if (els.resume_review?.style.display === "none" || !reviewBase) return;
+      const { data } = readResumeJson();
+      if (!data || typeof data !== "object" || data.blocked) {
+        reviewDiff = null;
+        reviewMessage("Resume JSON is empty or not a resume.");
+        return;
+      }
+      reviewDiff = carryResumeDiffChoices(
+        reviewDiff,
+        diffResumes(reviewBase.resume, data),
+      );
+      drawResumeReview();
+    }
+
+    function reviewRow(item, text) {
+      const row = editorEl("label", `co-diff-row co-diff-${item.status}`);
+      if (item.status !== "same") {
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = item.accepted;
+        box.title =
+          item.status === "removed"
+            ? "Removed by GPT. Untick to keep it."
+            : "Added by GPT. Untick to leave it out.";
+        box.addEventListener("change", () => {
+          item.accepted = box.checked;
+          row.classList.toggle("co-diff-rejected", !item.accepted);
+        });
+        row.appendChild(box);
+        row.classList.toggle("co-diff-rejected", !item.accepted);
+      }
+      row.appendChild(editorEl("span", "", text));
+      return row;
+    }
+
+    function drawResumeReview() {
+      const box = els.resume_review;
+      const diff = reviewDiff;
+      box.innerHTML = "";
+      const changes = resumeDiffChanges(diff);
+      const count = (status) =>
+        changes.filter((c) => c.status === status).length;
+      const counts = [`${count("added")} added`, `${count("removed")} removed`];
+      if (diff.summary.status === "changed") counts.push("summary rewritten");
+      const against = `${gptUserName(reviewBase.uid)}'s base resume`;
+      box.appendChild(
+        editorEl(
+          "div",
+          "co-muted",
+          changes.length
+            ? `Compared with ${against}: ${counts.join(", ")}. Untick a change to undo it.`
+            : `No changes compared with ${against}.`,
+        ),
+      );
+
+      const setAll = (accepted) => {
+        changes.forEach((c) => (c.accepted = accepted));
+        drawResumeReview();
+      };
+      const toolbar = editorEl("div", "co-row");
+      toolbar.style.cssText = "display:flex; gap:8px;";
+      [
+        ["Accept all", () => setAll(true)],
+        ["Reject all", () => setAll(false)],
+      ].forEach(([label, onClick]) => {
+        const btn = editorEl("button", "co-action secondary", label);
+        btn.type = "button";
+        btn.addEventListener("click", onClick);
+        toolbar.appendChild(btn);
+      });
+      if (changes.length) box.appendChild(toolbar);
+
+      const heading = (text) =>
+        box.appendChild(editorEl("div", "co-diff-heading", text));
+
+      if (diff.summary.status === "changed") {
+        heading("Summary");
+        const s = diff.summary;
+        // Both rows share one choice: GPT's summary or the base one. Either
+        // side may be empty (a summary added or dropped).
+        [
+          s.base && reviewRow({ ...s, status: "removed" }, s.base),
+          s.tailored && reviewRow({ ...s, status: "added" }, s.tailored),
+        ]
+          .filter(Boolean)
+          .forEach((row) => {
+            const input = row.querySelector("input");
+            input.checked = s.accepted;
+            input.addEventListener("change", () => {
+              s.accepted = input.checked;
+              drawResumeReview();
+            });
+            box.appendChild(row);
           });
+      }
 
-          if (!r.ok) {
-            failures.push({ uid, status: r.status });
-            continue;
-          }
+      if (diff.jobs.length) heading("Experience");
+      diff.jobs.forEach((j) => {
+        const title = [j.job?.title, j.job?.company].filter(Boolean);
+        const label = title.join(", ") || "(untitled role)";
+        box.appendChild(
+          j.status === "same"
+            ? editorEl("div", "co-diff-role", label)
+            : reviewRow(j, `${label} (whole role)`),
+        );
+        j.bullets.forEach((b) =>
+          box.appendChild(reviewRow(b, `• ${b.text}`)),
+        );
+      });
 
-          if (!haveToGenerate) {
-            // Auto-fill upload section with application_id from save response
-            const savedData = r.data || {};
-            const savedAppId =
-              savedData.application_id || savedData.applicationId || "";
-            if (savedAppId && els.upload_app_id && !els.upload_app_id.value) {
-              els.upload_app_id.value = savedAppId;
-            }
-            okCount++;
-            continue;
-          }
-          const data = r.data || {};
-          const backendBase = (els.backend?.value || "" || BACKEND_DEFAULT)
-            .trim()
-            .replace(/\/$/, "");
-          const appId = data.application_id || data.applicationId || "";
-          const resumeFolder = `CareerOS/${uid}/${appId}`;
+      if (diff.skills.length) heading("Skills");
+      diff.skills.forEach((g) => {
+        if (g.category != null) {
+          box.appendChild(editorEl("div", "co-diff-role", g.category));
+        }
+        const chips = editorEl("div", "co-diff-skills");
+        g.items.forEach((item) =>
+          chips.appendChild(reviewRow(item, item.text)),
+        );
+        box.appendChild(chips);
+      });
 
-          // Auto-fill upload section with the latest application_id
-          if (appId && els.upload_app_id && !els.upload_app_id.value) {
-            els.upload_app_id.value = appId;
+      if (!changes.length) return;
+      const actions = editorEl("div", "co-row");
+      actions.style.cssText = "display:flex; gap:8px; margin-top:8px;";
+      [
+        ["Apply", false],
+        ["Apply & Generate", true],
+      ].forEach(([label, generate]) => {
+        const btn = editorEl("button", "co-action", label);
+        btn.type = "button";
+        btn.addEventListener("click", () => applyResumeReview(generate));
+        actions.appendChild(btn);
+      });
+      box.appendChild(actions);
+    }
+
+    function applyResumeReview(generate) {
+      // Edits from the last 400ms haven't been re-diffed yet.
+      clearTimeout(resumeCheckTimer);
+      renderResumeReview();
+      const { data } = readResumeJson();
+      if (!reviewDiff || !data || typeof data !== "object") return;
+      const rejected = resumeDiffChanges(reviewDiff).filter((c) => !c.accepted);
+      writeResumeJson(applyResumeDiff(data, reviewDiff));
+      scheduleDraftSave();
+      refreshResumeChecks();
+      setStatus(
+        rejected.length
+          ? `Undid ${rejected.length} change(s) in the Resume JSON.`
+          : "Kept all of GPT's changes.",
+      );
+      if (generate) els.generate.click();
+    }
+
+    els.resume_review_btn?.addEventListener("click", () => {
+      if (els.resume_review.style.display !== "none") {
+        els.resume_review.style.display = "none";
+        els.resume_review_btn.textContent = "Review";
+        return;
+      }
+      openResumeReview().catch(() => {});
+    });
+
+    // BASE RESUME (import from DOCX / PDF)
+    // Background parses the file into Resume JSON; the user corrects it here
+    // and saves it as the selected user's base resume.
+    function setBaseStatus(msg, isErr = false) {
+      els.base_status.textContent = msg;
+      els.base_status.className =
+        "co-status " + (isErr ? "co-upload-err" : "co-upload-ok");
+    }
+
+    function renderBaseValidation() {
+      const errors = renderResumeValidation(
+        els.base_validation,
+        els.base_json,
+      );
+      els.base_save.disabled = !errors || !!errors.length;
+      return errors;
+    }
+
+    function formatUpdatedAt(value) {
+      const d = new Date(value);
+      return value && !Number.isNaN(d.getTime()) ? d.toLocaleString() : "";
+    }
+
+    async function refreshBaseResumes() {
+      const ids = (root.__coGetSelectedUserIds?.() || []).map(String);
+      const keep = els.base_user.value;
+      els.base_user.innerHTML = "";
+      ids.forEach((uid) => {
+        const opt = document.createElement("option");
+        opt.value = uid;
+        opt.textContent = `Save for ${gptUserName(uid)}`;
+        els.base_user.appendChild(opt);
+      });
+      if (ids.includes(keep)) els.base_user.value = keep;
+
+      els.base_list.innerHTML = "";
+      if (!ids.length) {
+        els.base_list.appendChild(
+          editorEl(
+            "div",
+            "co-muted",
+            "Select a user to see their base resume.",
+          ),
+        );
+        return;
+      }
+      const rows = ids.map((uid) => {
+        const row = editorEl("div", "co-base-item");
+        const label = editorEl("span", "", `${gptUserName(uid)}: loading...`);
+        row.appendChild(label);
+        els.base_list.appendChild(row);
+        return { uid, row, label };
+      });
+      await Promise.all(
+        rows.map(async ({ uid, row, label }) => {
+          let base;
+          try {
+            base = await loadBaseResume(uid);
+          } catch (e) {
+            const error = String(e?.message || e);
+            label.textContent = `${gptUserName(uid)}: ${error}`;
+            return;
           }
-
-          async function downloadHttpUrl(url, filename) {
-            const resp = await chrome.runtime.sendMessage({
-              type: "DOWNLOAD_BLOB_URL",
-              payload: { url, filename, saveAs: true },
-            });
-            return !!resp?.ok;
+          if (!base) {
+            label.textContent = `${gptUserName(uid)}: no base resume yet`;
+            return;
           }
+          const updated = formatUpdatedAt(base.updatedAt);
+          label.textContent = `${gptUserName(uid)}: ${
+            updated ? `updated ${updated}` : "on file"
+          }`;
+          const view = editorEl("button", "co-action secondary", "View");
+          view.type = "button";
+          view.title = "Load this base resume into the box below";
+          view.addEventListener("click", () => {
+            els.base_json.value = base.text;
+            els.base_user.value = uid;
+            renderBaseValidation();
+            setBaseStatus(`Loaded ${gptUserName(uid)}'s current base resume.`);
+          });
+          row.appendChild(view);
+        }),
+      );
+    }
 
-          let downloaded = false;
+    els.base_toggle?.addEventListener("click", () => {
+      const visible = els.base_section.style.display !== "none";
+      els.base_section.style.display = visible ? "none" : "block";
+      els.base_toggle.textContent = visible
+        ? "▾ Base Resume"
+        : "▴ Base Resume";
+      if (!visible) {
+        renderBaseValidation();
+        refreshBaseResumes().catch(() => {});
+      }
+    });
 
-          const docxRel =
-            data.resume_docx_download_url ||
-            (data.resume_docx_file_id
-              ? `/v1/files/${data.resume_docx_file_id}/download`
-              : null);
+    els.base_json?.addEventListener("input", renderBaseValidation);
 
-          const pdfRel =
-            data.resume_pdf_download_url ||
-            (data.resume_pdf_file_id
-              ? `/v1/files/${data.resume_pdf_file_id}/download`
-              : null);
+    els.base_file?.addEventListener("change", async () => {
+      const file = els.base_file.files?.[0];
+      if (!file) return;
+      setBaseStatus(`Reading ${file.name}...`);
+      try {
+        const resp = await chrome.runtime.sendMessage({
+          type: "CO_PARSE_RESUME_FILE",
+          payload: { b64: await fileToB64(file), filename: file.name },
+        });
+        if (!resp?.ok) throw new Error(resp?.error || "Unknown error");
+        els.base_json.value = JSON.stringify(resp.resume, null, 2);
+        renderBaseValidation();
+        setBaseStatus(
+          [
+            `Parsed ${file.name}. Check every section against the original before saving.`,
+            ...(resp.warnings || []).map((w) => `• ${w}`),
+          ].join("\n"),
+          !!resp.warnings?.length,
+        );
+      } catch (e) {
+        setBaseStatus(`Import failed: ${String(e?.message || e)}`, true);
+      } finally {
+        els.base_file.value = "";
+      }
+    });
 
-          const docxUrlAbs = docxRel
-            ? docxRel.startsWith("http")
-              ? docxRel
-              : backendBase + docxRel
-            : null;
+    els.base_save?.addEventListener("click", async () => {
+      const uid = els.base_user.value;
+      const { data } = readResumeJson(els.base_json);
+      if (!uid) {
+        setBaseStatus("Select a user first.", true);
+        return;
+      }
+      if (!data || renderBaseValidation()?.length) {
+        setBaseStatus("Fix the problems listed above before saving.", true);
+        return;
+      }
+      if (
+        !window.confirm(
+          `Replace ${gptUserName(uid)}'s base resume with this Resume JSON?`,
+        )
+      ) {
+        return;
+      }
+      els.base_save.disabled = true;
+      setBaseStatus("Saving...");
+      try {
+        await saveBaseResume(uid, data);
+        if (reviewBase?.uid === uid) reviewBase = { uid, resume: data };
+        setBaseStatus(`✅ Saved as ${gptUserName(uid)}'s base resume.`);
+      } catch (e) {
+        setBaseStatus(`Save failed: ${String(e?.message || e)}`, true);
+        return;
+      } finally {
+        renderBaseValidation();
+      }
+      // The list shows its own errors per user.
+      refreshBaseResumes().catch(() => {});
+    });
 
-          const pdfUrlAbs = pdfRel
-            ? pdfRel.startsWith("http")
-              ? pdfRel
-              : backendBase + pdfRel
-            : null;
+    // BLOCK RULES (per-user screening before GPT, see evaluateBlockRules)
+    // Stored locally under CO_BLOCK_RULES_KEY. GPT Gen / C Letter consult
+    // them first; the form below shows how the current JD fares.
+    async function loadBlockRules() {
+      const stored = await chrome.storage.local.get([CO_BLOCK_RULES_KEY]);
+      const all = stored[CO_BLOCK_RULES_KEY];
+      return all && typeof all === "object" ? all : {};
+    }
 
-          if (docxUrlAbs || pdfUrlAbs) {
-            if (resumeFormat === "pdf") {
-              if (pdfUrlAbs) {
-                downloaded = await downloadHttpUrl(
-                  pdfUrlAbs,
-                  `${resumeFolder}/resume.pdf`,
-                );
-              } else if (docxUrlAbs) {
-                downloaded = await downloadHttpUrl(
-                  docxUrlAbs,
-                  `${resumeFolder}/resume.docx`,
-                );
-              }
-            } else if (resumeFormat === "both") {
-              let ok1 = false;
-              let ok2 = false;
-              if (docxUrlAbs)
-                ok1 = await downloadHttpUrl(
-                  docxUrlAbs,
-                  `${resumeFolder}/resume.docx`,
-                );
-              if (pdfUrlAbs)
-                ok2 = await downloadHttpUrl(
-                  pdfUrlAbs,
-                  `${resumeFolder}/resume.pdf`,
-                );
-              downloaded = ok1 || ok2;
-            } else {
-              if (docxUrlAbs) {
-                downloaded = await downloadHttpUrl(
-                  docxUrlAbs,
-                  `${resumeFolder}/resume.docx`,
-                );
-              } else if (pdfUrlAbs) {
-                downloaded = await downloadHttpUrl(
-                  pdfUrlAbs,
-                  `${resumeFolder}/resume.pdf`,
-                );
-              }
-            }
+    // uid -> hits, for each given user whose rules the job breaks.
+    async function blockRuleHits(uids, job) {
+      const all = await loadBlockRules().catch(() => ({}));
+      const out = new Map();
+      uids.map(String).forEach((uid) => {
+        const hits = evaluateBlockRules(all[uid], job);
+        if (hits.length) out.set(uid, hits);
+      });
+      return out;
+    }
 
-            if (!downloaded) {
-              failures.push({ uid, status: "download_failed" });
-              continue;
-            }
+    // Lets the user overrule the rules (they're pattern matches on the JD
+    // and can misread it), like the schema gate before Generate.
+    function confirmDespiteBlock(blocked) {
+      return window.confirm(
+        [
+          "This job breaks block rules:",
+          ...[...blocked].map(
+            ([uid, hits]) =>
+              `• ${gptUserName(uid)}: ${blockRulesReason(hits)}`,
+          ),
+          "",
+          "Run GPT anyway?",
+        ].join("\n"),
+      );
+    }
 
-            // ✅ Cover letter as DOCX (Option A) using background generator
-            if (wantCoverLetter && data.cover_letter) {
-              const clText = String(data.cover_letter || "").trim();
-              console.log("Cover letter text:", clText);
-              if (clText) {
-                const companySafe = (company || "Company").replace(
-                  /[<>:"/\\|?*]/g,
-                  "_",
-                );
-                const positionSafe = (position || "Role").replace(
-                  /[<>:"/\\|?*]/g,
-                  "_",
-                );
-                const clName = `${resumeFolder}/Cover_Letter.docx`;
+    // Single-user GPT calls: shows the verdict and returns true if blocked
+    // (and not overruled).
+    async function stopIfBlocked(uid, job) {
+      if (uid == null) return false;
+      const blocked = await blockRuleHits([uid], job);
+      const hits = blocked.get(String(uid));
+      if (!hits || confirmDespiteBlock(blocked)) return false;
+      setStatus(
+        `⛔ You shouldn't apply to this job because of: ${blockRulesReason(
+          hits,
+        )}`,
+      );
+      return true;
+    }
 
-                const resp = await chrome.runtime.sendMessage({
-                  type: "CO_DOWNLOAD_COVER_LETTER_DOCX",
-                  payload: { text: clText, filename: clName, saveAs: true },
-                });
+    function setRulesStatus(msg, isErr = false) {
+      els.rules_status.textContent = msg;
+      els.rules_status.className =
+        "co-status " + (isErr ? "co-upload-err" : "co-upload-ok");
+    }
 
-                // optional fallback to txt if docx download fails
-                if (!resp?.ok) {
-                  const clBlob = new Blob([clText], { type: "text/plain" });
-                  const clUrl = URL.createObjectURL(clBlob);
-                  await downloadHttpUrl(
-                    clUrl,
-                    `${resumeFolder}/cover_letter.txt`,
-                  );
-                  setTimeout(() => URL.revokeObjectURL(clUrl), 30_000);
-                }
-              }
-            }
+    function readRulesForm() {
+      return normalizeBlockRules({
+        excluded_companies: els.rules_companies.value.split("\n"),
+        no_clearance: els.rules_clearance.checked,
+        no_onsite_only: els.rules_onsite.checked,
+        needs_sponsorship: els.rules_sponsorship.checked,
+        max_years: els.rules_max_years.value,
+        min_salary: els.rules_min_salary.value,
+      });
+    }
 
-            // Save resume info for "Fill Upload Field"
-            const _fillUrl =
-              resumeFormat === "pdf" && pdfUrlAbs
-                ? pdfUrlAbs
-                : docxUrlAbs || pdfUrlAbs;
-            const _fillMime =
-              _fillUrl === pdfUrlAbs && pdfUrlAbs
-                ? "application/pdf"
-                : "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
-            const _fillExt = _fillMime === "application/pdf" ? "pdf" : "docx";
-            await saveResumeEntry({
-              label: `${position} @ ${company}`,
-              url: _fillUrl,
-              mime: _fillMime,
-              filename: `resume.${_fillExt}`,
-            });
+    function writeRulesForm(rules) {
+      const r = normalizeBlockRules(rules);
+      els.rules_companies.value = r.excluded_companies.join("\n");
+      els.rules_clearance.checked = r.no_clearance;
+      els.rules_onsite.checked = r.no_onsite_only;
+      els.rules_sponsorship.checked = r.needs_sponsorship;
+      els.rules_max_years.value = r.max_years ?? "";
+      els.rules_min_salary.value = r.min_salary ?? "";
+      renderRulesCheck();
+    }
 
-            okCount++;
-            continue;
-          }
+    function renderRulesCheck() {
+      const rules = readRulesForm();
+      const jd = (els.jd.value || "").trim();
+      els.rules_check.className = "co-status";
+      if (!hasBlockRules(rules) || !jd) {
+        els.rules_check.textContent = "";
+        return;
+      }
+      const hits = evaluateBlockRules(rules, {
+        company: (els.company.value || "").trim(),
+        jd,
+      });
+      els.rules_check.classList.add(
+        hits.length ? "co-field-error" : "co-field-ok",
+      );
+      els.rules_check.textContent = hits.length
+        ? ["⛔ This job breaks:", ...hits.map((h) => `• ${h.reason}`)].join(
+            "\n",
+          )
+        : "✓ This job passes these rules.";
+    }
 
-          if (data.resume_docx_base64) {
-            const docxUrl = b64ToBlobUrl(data.resume_docx_base64, mime);
-            const filename = `${resumeFolder}/resume.docx`;
+    async function refreshBlockRules() {
+      const ids = (root.__coGetSelectedUserIds?.() || []).map(String);
+      const keep = els.rules_user.value;
+      els.rules_user.innerHTML = "";
+      ids.forEach((uid) => {
+        const opt = document.createElement("option");
+        opt.value = uid;
+        opt.textContent = `Rules for ${gptUserName(uid)}`;
+        els.rules_user.appendChild(opt);
+      });
+      if (ids.includes(keep)) els.rules_user.value = keep;
+      els.rules_save.disabled = !ids.length;
+      if (!ids.length) {
+        setRulesStatus("Select a user to edit their block rules.");
+        writeRulesForm(null);
+        return;
+      }
+      setRulesStatus("");
+      const all = await loadBlockRules();
+      writeRulesForm(all[els.rules_user.value]);
+    }
 
-            const ok = await downloadHttpUrl(docxUrl, filename);
-            if (!ok) {
-              failures.push({ uid, status: "download_failed" });
-              continue;
-            }
+    els.rules_toggle?.addEventListener("click", () => {
+      const visible = els.rules_section.style.display !== "none";
+      els.rules_section.style.display = visible ? "none" : "block";
+      els.rules_toggle.textContent = visible
+        ? "▾ Block Rules"
+        : "▴ Block Rules";
+      if (!visible) refreshBlockRules().catch(() => {});
+    });
 
-            // Save resume info for "Fill Upload Field" (base64 path — store b64 directly since blob URLs expire)
-            await saveResumeEntry({
-              label: `${position} @ ${company}`,
-              b64: data.resume_docx_base64,
-              mime,
-              filename: "resume.docx",
-            });
+    els.rules_user?.addEventListener("change", () => {
+      loadBlockRules()
+        .then((all) => writeRulesForm(all[els.rules_user.value]))
+        .catch(() => {});
+    });
 
-            okCount++;
-            continue;
-          }
+    [
+      els.rules_companies,
+      els.rules_clearance,
+      els.rules_onsite,
+      els.rules_sponsorship,
+      els.rules_max_years,
+      els.rules_min_salary,
+      els.company,
+      els.jd,
+    ]
+      .filter(Boolean)
+      .forEach((el) => el.addEventListener("input", renderRulesCheck));
+
+    els.rules_save?.addEventListener("click", async () => {
+      const uid = els.rules_user.value;
+      if (!uid) {
+        setRulesStatus("Select a user first.", true);
+        return;
+      }
+      const all = await loadBlockRules();
+      const rules = readRulesForm();
+      if (hasBlockRules(rules)) all[uid] = rules;
+      else delete all[uid];
+      await chrome.storage.local.set({ [CO_BLOCK_RULES_KEY]: all });
+      setRulesStatus(`✅ Saved ${gptUserName(uid)}'s block rules.`);
+    });
 
-          failures.push({ uid, status: "missing_files" });
-        }
+    // PROMPT TEMPLATES
+    // Values available to templates, read from the panel at send time.
+    function promptVars(extra = {}) {
+      return {
+        company: (els.company.value || "").trim(),
+        position: (els.position.value || "").trim(),
+        jd: (els.jd.value || "").trim(),
+        resume_json: (els.resume_json.value || "").trim(),
+        note: (els.important_note?.value || "").trim() || CO_DEFAULT_NOTE,
+        questions: "",
+        candidate: "",
+        base_resume: "",
+        ...extra,
+      };
+    }
 
-        if (failures.length) {
-          setStatus(
-            `✅ Done. ${haveToGenerate ? "Generated" : "Saved"} for ${okCount}/${selected.length} users.\nFailed: ${failures.length}`,
-          );
-        } else {
-          setStatus(
-            `✅ Done. ${haveToGenerate ? "Generated" : "Saved"} for ${okCount}/${selected.length} users.`,
-          );
-        }
+    // perUser: the prompt is for one of several selected users, so it must
+    // carry that user's base resume (see withCandidateBlock).
+    async function renderModePrompt(mode, vars, { perUser = false } = {}) {
+      const { templates, selection } = await loadPromptTemplates();
+      const template = selectedPromptTemplate(templates, selection, mode);
+      const body = perUser
+        ? withCandidateBlock(template?.body)
+        : template?.body;
+      return renderPromptTemplate(body, vars);
+    }
 
-        await refreshExistsInList(root, card, els);
-        return { ok: failures.length === 0 };
-      } catch (e) {
-        setStatus(`Request failed:\n${String(e)}`);
-        return { ok: false };
+    let promptState = { templates: [], selection: {} };
+
+    function setPromptStatus(msg) {
+      els.prompt_status.textContent = msg || "";
+    }
+
+    function currentPromptTemplate() {
+      return promptState.templates.find(
+        (t) => t.id === els.prompt_template.value,
+      );
+    }
+
+    function renderPromptPreview() {
+      if (els.prompts_section.style.display === "none") return;
+      const extra = {};
+      if (els.prompt_mode.value === "screening") {
+        extra.questions = formatScreeningQuestions(
+          findScreeningQuestions(applicationFormScope()),
+        );
       }
-    };
-    // GENERATE
-    els.generate.addEventListener("click", async () => {
-      const selected = root.__coGetSelectedUserIds?.() || [];
-      const jobUrl = (els.url.value || "").trim();
-      const company = (els.company.value || "").trim();
-      const position = (els.position.value || "").trim();
-      const jdText = (els.jd.value || "").trim();
-      const resumeJsonText = (els.resume_json?.value || "").trim();
-      const sourceSite = (els.source_site.value || "").trim();
-      const resumeFormat = (els.resume_format?.value || "docx").trim();
+      els.prompt_preview.value = renderPromptTemplate(
+        els.prompt_body.value,
+        promptVars(extra),
+      );
+    }
 
-      await apply_and_generate({
-        selected,
-        jobUrl,
-        company,
-        position,
-        jdText,
-        resumeJsonText,
-        wantCoverLetter: false,
-        sourceSite,
-        resumeFormat,
-      });
+    async function renderPromptEditor() {
+      promptState = await loadPromptTemplates();
+      const mode = els.prompt_mode.value;
+      const selected = selectedPromptTemplate(
+        promptState.templates,
+        promptState.selection,
+        mode,
+      );
+      els.prompt_template.innerHTML = "";
+      promptState.templates
+        .filter((t) => t.mode === mode)
+        .forEach((t) => {
+          const opt = document.createElement("option");
+          opt.value = t.id;
+          const tag = { builtin: " (built-in)", backend: " (synced)" };
+          opt.textContent = t.name + (tag[t.source] || "");
+          els.prompt_template.appendChild(opt);
+        });
+      els.prompt_template.value = selected?.id || "";
+      els.prompt_name.value = selected?.name || "";
+      els.prompt_body.value = selected?.body || "";
+      els.prompt_delete.disabled = selected?.source !== "local";
+      renderPromptPreview();
+    }
+
+    els.prompts_toggle?.addEventListener("click", () => {
+      const visible = els.prompts_section.style.display !== "none";
+      els.prompts_section.style.display = visible ? "none" : "block";
+      els.prompts_toggle.textContent = visible ? "▾ Prompts" : "▴ Prompts";
+      if (!visible) renderPromptEditor();
     });
 
-    els.save.addEventListener("click", async () => {
-      const company = (els.company.value || "").trim();
-      const position = (els.position.value || "").trim();
-      const sourceSite = (els.source_site.value || "").trim();
-      const jobUrl = (els.url.value || "").trim();
-      const jdText = (els.jd.value || "").trim();
-      const resumeJsonText = (els.resume_json?.value || "").trim();
-      const resumeFormat = (els.resume_format?.value || "docx").trim();
+    els.prompt_mode?.addEventListener("change", () => {
+      setPromptStatus("");
+      renderPromptEditor();
+    });
 
-      await apply_and_generate({
-        selected: root.__coGetSelectedUserIds?.() || [],
-        jobUrl,
-        company,
-        position,
-        jdText,
-        resumeJsonText,
-        wantCoverLetter: false,
-        sourceSite,
-        resumeFormat,
-        haveToGenerate: false,
+    els.prompt_template?.addEventListener("change", async () => {
+      const selection = {
+        ...promptState.selection,
+        [els.prompt_mode.value]: els.prompt_template.value,
+      };
+      await chrome.storage.local.set({ [CO_PROMPT_SELECTION_KEY]: selection });
+      setPromptStatus("");
+      renderPromptEditor();
+    });
+
+    els.prompt_body?.addEventListener("input", renderPromptPreview);
+    [els.company, els.position, els.jd, els.resume_json, els.important_note]
+      .filter(Boolean)
+      .forEach((el) => el.addEventListener("input", renderPromptPreview));
+
+    // Built-in and synced templates are read-only; saving one of them
+    // creates a local copy and selects it.
+    els.prompt_save?.addEventListener("click", async () => {
+      const mode = els.prompt_mode.value;
+      const body = els.prompt_body.value;
+      if (!body.trim()) {
+        setPromptStatus("Template is empty.");
+        return;
+      }
+      const current = currentPromptTemplate();
+      let name =
+        (els.prompt_name.value || "").trim() ||
+        `Custom ${CO_PROMPT_MODES[mode].toLowerCase()}`;
+      if (current && current.source !== "local" && name === current.name) {
+        name = `${name} (copy)`;
+      }
+      let templates = promptState.templates;
+      let id = current?.id;
+      if (current?.source === "local") {
+        templates = templates.map((t) =>
+          t.id === id ? { ...t, name, body } : t,
+        );
+      } else {
+        id = `local:${Date.now().toString(36)}`;
+        templates = [...templates, { id, name, mode, body, source: "local" }];
+      }
+      await savePromptTemplates(templates);
+      await chrome.storage.local.set({
+        [CO_PROMPT_SELECTION_KEY]: { ...promptState.selection, [mode]: id },
       });
+      setPromptStatus(
+        current?.source === "local"
+          ? "Template saved."
+          : "Saved as a new template.",
+      );
+      renderPromptEditor();
+    });
+
+    els.prompt_delete?.addEventListener("click", async () => {
+      const current = currentPromptTemplate();
+      if (current?.source !== "local") return;
+      await savePromptTemplates(
+        promptState.templates.filter((t) => t.id !== current.id),
+      );
+      setPromptStatus(`Deleted "${current.name}".`);
+      renderPromptEditor();
+    });
+
+    els.prompt_sync?.addEventListener("click", async () => {
+      setPromptStatus("Syncing templates...");
+      try {
+        const count = await syncPromptTemplates();
+        setPromptStatus(`Synced ${count} template(s) from the backend.`);
+      } catch (e) {
+        setPromptStatus(`Sync failed: ${String(e?.message || e)}`);
+      }
+      renderPromptEditor();
     });
 
     // GPT GEN
@@ -1424,45 +5845,38 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
       const company = (els.company.value || "").trim();
       const position = (els.position.value || "").trim();
       const jd = (els.jd.value || "").trim();
-      const note = (els.important_note?.value || "").trim();
-      const jdWithNote =
-        jd +
-        (note
-          ? `\nIMPORTANT:${note}`
-          : "\nIMPORTANT:All required and nice-to-have skills should be reflected in the resume experience and skills sections.");
 
       const selectedForGpt = root.__coGetSelectedUserIds?.() || [];
-      if (selectedForGpt.length > 1) {
-        setStatus(
-          "GPT Gen is not allowed for multiple users. Please select a single user.",
-        );
-        return;
-      }
 
       if (!company || !position) {
         setStatus("Company and Position are required for GPT Gen.");
         return;
       }
 
-      setStatus("Opening ChatGPT... waiting for GPT response.");
-      els.gpt_gen.disabled = true;
-      els.gpt_gen.textContent = "Waiting for GPT...";
+      if (selectedForGpt.length > 1) {
+        await startUserGptJobs("resume", selectedForGpt, {
+          company,
+          position,
+          jd,
+          gptUrl: (els.gpt_url.value || "").trim(),
+          jobUrl: (els.url.value || "").trim(),
+        });
+        return;
+      }
+      if (await stopIfBlocked(selectedForGpt[0], { company, jd })) return;
 
-      const resp = await chrome.runtime.sendMessage({
-        type: "CO_GPT_OPEN",
-        payload: {
+      await startGptJob(
+        "resume",
+        {
           company,
           position,
-          jd: jdWithNote,
+          jd,
           gptUrl: (els.gpt_url.value || "").trim(),
+          prompt: await renderModePrompt("resume", promptVars()),
+          jobUrl: (els.url.value || "").trim(),
         },
-      });
-
-      if (!resp?.ok) {
-        setStatus(`Failed to open ChatGPT: ${resp?.error || "Unknown error"}`);
-        els.gpt_gen.disabled = false;
-        els.gpt_gen.textContent = "GPT Gen";
-      }
+        "Starting GPT... waiting for GPT response.",
+      );
     });
 
     // Helper: save a resume entry to storage (keyed by label, max 20 entries)
@@ -1503,17 +5917,28 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
 
     // Helper: inject a resume File into the page's file input
     async function injectResumeToPage(info) {
+      const adapter = getAtsAdapter();
       const fileInputs = Array.from(
         document.querySelectorAll('input[type="file"]'),
-      );
+      ).filter((el) => !isInsidePanel(el));
       const target =
+        atsQuery(adapter, "resumeInput") ||
         fileInputs.find((el) => {
           const accept = (el.accept || "").toLowerCase();
           return !accept || /pdf|doc|docx|word|application/.test(accept);
-        }) || fileInputs[0];
+        }) ||
+        fileInputs[0];
 
       if (!target) {
-        setStatus("No file upload field found on this page.");
+        const applyBtn = atsQuery(adapter, "apply");
+        if (applyBtn) {
+          applyBtn.scrollIntoView({ block: "center", behavior: "smooth" });
+          setStatus(
+            "No file upload field yet. Open the application form (Apply) first.",
+          );
+        } else {
+          setStatus("No file upload field found on this page.");
+        }
         return false;
       }
 
@@ -1616,61 +6041,304 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
       els.resume_picker.style.display = "none";
     });
 
+    // FILL FORM (profile autofill)
+    // user_id -> normalized profile; cleared on a new job page or user
+    // selection so backend profile edits show up without a reload.
+    const profileCache = new Map();
+
+    async function loadProfile(uid) {
+      if (profileCache.has(uid)) return profileCache.get(uid);
+      const r = await apiCall(`/v1/users/${encodeURIComponent(uid)}/profile`);
+      if (!r.ok) throw new Error(`Profile request failed (${r.status})`);
+      const profile = normalizeProfile(r.data);
+      profileCache.set(uid, profile);
+      return profile;
+    }
+
+    function applicationFormScope() {
+      const adapter = getAtsAdapter();
+      const form = atsQuery(adapter, "form");
+      if (form) return form;
+      const docs = atsDocuments(adapter);
+      return docs[docs.length - 1].body || document.body;
+    }
+
+    els.fill_form?.addEventListener("click", async () => {
+      const selected = root.__coGetSelectedUserIds?.() || [];
+      if (selected.length > 1) {
+        setStatus(
+          "Fill Form is not allowed for multiple users. Please select a single user.",
+        );
+        return;
+      }
+      if (!selected.length) {
+        setStatus("Select a user to fill the form with.");
+        return;
+      }
+
+      els.fill_form.disabled = true;
+      els.fill_form.textContent = "Filling...";
+      try {
+        const profile = await loadProfile(String(selected[0]));
+        const { filled, skipped } = autofillApplicationForm(
+          profile,
+          applicationFormScope(),
+        );
+        const lines = [
+          filled.length
+            ? `✅ Filled ${filled.length} field(s): ${filled.join(", ")}`
+            : "No form fields filled.",
+        ];
+        if (skipped.length) {
+          lines.push(
+            `Skipped: ${skipped
+              .map((x) => `${x.label} (${x.reason})`)
+              .join(", ")}`,
+          );
+        }
+        setStatus(lines.join("\n"));
+      } catch (e) {
+        setStatus(`Fill Form failed: ${e.message || String(e)}`);
+      } finally {
+        els.fill_form.disabled = false;
+        els.fill_form.textContent = "Fill Form";
+      }
+    });
+
+    // ANSWER SCREENING QUESTIONS
+    // Questions sent in the last screening job; answers are matched back by
+    // question text because the form may have re-rendered meanwhile.
+    let pendingQuestions = [];
+
+    els.gpt_answer?.addEventListener("click", async () => {
+      const company = (els.company.value || "").trim();
+      const position = (els.position.value || "").trim();
+      const jd = (els.jd.value || "").trim();
+      const resumeJson = (els.resume_json.value || "").trim();
+
+      if (!company || !position) {
+        setStatus("Company and Position are required to answer questions.");
+        return;
+      }
+      if (!resumeJson) {
+        setStatus(
+          "Resume JSON is required to answer questions. Run GPT Gen first.",
+        );
+        return;
+      }
+
+      const questions = findScreeningQuestions(applicationFormScope()).filter(
+        (q) => !String(q.el.value || "").trim(),
+      );
+      if (!questions.length) {
+        setStatus("No unanswered free-text questions found on this page.");
+        return;
+      }
+      pendingQuestions = questions.map(({ id, question }) => ({
+        id,
+        question,
+      }));
+
+      await startGptJob(
+        "screening",
+        {
+          company,
+          position,
+          jd,
+          gptUrl: (els.gpt_url.value || "").trim(),
+          prompt: await renderModePrompt(
+            "screening",
+            promptVars({ questions: formatScreeningQuestions(questions) }),
+          ),
+          jobUrl: (els.url.value || "").trim(),
+        },
+        `Starting GPT... drafting answers for ${questions.length} question(s).`,
+      );
+    });
+
+    function applyScreeningAnswers(text) {
+      const answers = parseScreeningAnswers(text);
+      if (!answers.size) {
+        setStatus(
+          "⚠️ Could not parse GPT answers as JSON. Nothing was written to the form.",
+        );
+        return false;
+      }
+      const current = findScreeningQuestions(applicationFormScope());
+      let filled = 0;
+      const missing = [];
+      pendingQuestions.forEach(({ id, question }) => {
+        const answer = answers.get(id);
+        if (!answer) return;
+        const target = current.find((q) => q.question === question);
+        if (!target) {
+          missing.push(question);
+          return;
+        }
+        setNativeValue(target.el, answer);
+        // Outline the drafted answers so they get reviewed before submit.
+        target.el.style.outline = "2px solid #6d28d9";
+        filled++;
+      });
+      const lines = [
+        `✍️ Drafted ${filled} answer(s). Review them on the form before submitting.`,
+      ];
+      if (missing.length) {
+        lines.push(`Question no longer on the page: ${missing.join(" | ")}`);
+      }
+      setStatus(lines.join("\n"));
+      return filled > 0;
+    }
+
     // COVER LETTER
     els.gpt_cover_letter?.addEventListener("click", async () => {
       const company = (els.company.value || "").trim();
       const position = (els.position.value || "").trim();
       const jd = (els.jd.value || "").trim();
       const resumeJson = (els.resume_json.value || "").trim();
+      const selectedForGpt = root.__coGetSelectedUserIds?.() || [];
 
       if (!company || !position) {
         setStatus("Company and Position are required for Cover Letter.");
         return;
       }
+      if (selectedForGpt.length > 1) {
+        await startUserGptJobs("cover_letter", selectedForGpt, {
+          company,
+          position,
+          jd,
+          gptUrl: (els.gpt_url.value || "").trim(),
+          jobUrl: (els.url.value || "").trim(),
+        });
+        return;
+      }
       if (!resumeJson) {
         setStatus(
           "Resume JSON is required for Cover Letter. Run GPT Gen first.",
         );
         return;
       }
+      if (await stopIfBlocked(selectedForGpt[0], { company, jd })) return;
 
-      const coverLetterPrompt =
-        `Write a cover letter for the position of ${position} in ${company}, which begins with a powerful idea instead of 'I'm applying for...'\n` +
-        `It connects my specific experience to the company's exact needs and builds trust. Keep the text below 200 words. My experience:${resumeJson}. Job description:${jd}`;
-
-      setStatus("Opening ChatGPT... waiting for cover letter response.");
-      els.gpt_cover_letter.disabled = true;
-      els.gpt_cover_letter.textContent = "Waiting for GPT...";
-
-      const gptUrl = (els.gpt_url.value || "").trim();
-      const resp = await chrome.runtime.sendMessage({
-        type: "CO_GPT_OPEN",
-        payload: {
+      await startGptJob(
+        "cover_letter",
+        {
           company,
           position,
           jd,
-          gptUrl,
-          prompt: coverLetterPrompt,
-          mode: "cover_letter",
+          gptUrl: (els.gpt_url.value || "").trim(),
+          prompt: await renderModePrompt("cover_letter", promptVars()),
+          jobUrl: (els.url.value || "").trim(),
         },
-      });
+        "Starting GPT... waiting for cover letter response.",
+      );
+    });
 
-      if (!resp?.ok) {
-        setStatus(`Failed to open ChatGPT: ${resp?.error || "Unknown error"}`);
-        els.gpt_cover_letter.disabled = false;
-        els.gpt_cover_letter.textContent = "C Letter";
+    // STREAMING PROGRESS
+    // Partial text goes straight into the mode's output textarea; the value
+    // it replaced is kept so an error result can put it back.
+    const GPT_OUTPUT_FIELDS = {
+      resume: "resume_json",
+      cover_letter: "cover_letter",
+    };
+    // `${jobKey} ${mode}` -> textarea value before streaming
+    const gptPreviousOutput = {};
+
+    function gptOutputKey(mode, jobUrl) {
+      return `${jobUrl ? canonicalizeUrl(jobUrl) : currentJobKey} ${mode}`;
+    }
+
+    function renderGptProgress(msg) {
+      const mode = msg.mode || "resume";
+      if (msg.jobUrl && canonicalizeUrl(msg.jobUrl) !== currentJobKey) return;
+      const text = String(msg.text || "");
+      const field = els[GPT_OUTPUT_FIELDS[mode]];
+      if (field) {
+        const key = gptOutputKey(mode, msg.jobUrl);
+        if (!(key in gptPreviousOutput)) gptPreviousOutput[key] = field.value;
+        field.value = text;
+        field.scrollTop = field.scrollHeight;
       }
-    });
+      const secs = msg.startedAt
+        ? Math.max(0, Math.round((Date.now() - msg.startedAt) / 1000))
+        : null;
+      const stats = [
+        secs != null ? `${secs}s` : "",
+        `${text.length.toLocaleString()} chars`,
+        `~${Math.ceil(text.length / 4).toLocaleString()} tokens`,
+      ].filter(Boolean);
+      setStatus(
+        `GPT is writing (${mode.replace("_", " ")})... ${stats.join(" • ")}`,
+      );
+    }
 
-    // Listener for GPT response relayed from background.js
-    const _coGptMessageListener = (msg) => {
-      if (!msg || msg.type !== "CO_GPT_RESULT") return false;
+    // Undo streamed partial text when the job fails. Only the job on
+    // screen streamed into the fields, so a result for another page leaves
+    // them alone.
+    function restoreGptOutput(mode, jobUrl) {
+      const field = els[GPT_OUTPUT_FIELDS[mode]];
+      const key = gptOutputKey(mode, jobUrl);
+      if (field && key === gptOutputKey(mode) && key in gptPreviousOutput) {
+        field.value = gptPreviousOutput[key];
+      }
+      delete gptPreviousOutput[key];
+    }
 
+    // Applies a CO_GPT_RESULT to the panel. Returns true once the text is
+    // somewhere durable (fields/draft), which lets background mark the
+    // inbox copy as claimed, or { followUp } to continue the conversation.
+    function handleGptResult(msg) {
       const mode = msg.mode || "resume";
+      finishGptJob(msg);
+      if (msg.userId) return handleUserGptResult(msg);
+      if (msg.error || !String(msg.text || "").trim()) {
+        restoreGptOutput(mode, msg.jobUrl);
+      } else {
+        delete gptPreviousOutput[gptOutputKey(mode, msg.jobUrl)];
+      }
+
+      if (msg.jobUrl && canonicalizeUrl(msg.jobUrl) !== currentJobKey) {
+        const text = (msg.text || "").trim();
+        if (msg.error || !text) {
+          setStatus(
+            `GPT error (previous job): ${msg.error || "empty response"}`,
+          );
+          return false;
+        }
+        if (mode === "screening") {
+          setStatus(
+            "GPT answers arrived after you left that job's form; they were not applied.",
+          );
+          return false;
+        }
+        if (mode === "cover_letter") {
+          stashResultInDraft(msg.jobUrl, "cover_letter", text);
+        } else {
+          const parsed = parseJsonWithRepair(text).data;
+          stashResultInDraft(
+            msg.jobUrl,
+            "resume_json",
+            parsed ? JSON.stringify(parsed, null, 2) : text,
+          );
+        }
+        setStatus(
+          `GPT result for ${msg.jobUrl} was saved to that job. Go back to it to review and generate.`,
+        );
+        return true;
+      }
+
+      if (mode === "screening") {
+        if (msg.error) {
+          setStatus(`GPT error: ${msg.error}`);
+          return false;
+        }
+        if (!parseScreeningAnswers(msg.text || "").size && msg.repairsLeft) {
+          return requestJsonRepair(mode, msg);
+        }
+        return applyScreeningAnswers(msg.text || "");
+      }
 
       if (mode === "cover_letter") {
-        els.gpt_cover_letter.disabled = false;
-        els.gpt_cover_letter.textContent = "C Letter";
         if (msg.error) {
           setStatus(`GPT error: ${msg.error}`);
           return false;
@@ -1681,13 +6349,15 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
           return false;
         }
         els.cover_letter.value = text;
-        setStatus("Cover letter generated.");
-        return false;
+        scheduleDraftSave();
+        setStatus(
+          msg.refined
+            ? "Revised cover letter received."
+            : "Cover letter generated.",
+        );
+        return true;
       }
 
-      els.gpt_gen.disabled = false;
-      els.gpt_gen.textContent = "GPT Gen";
-
       if (msg.error) {
         setStatus(`GPT error: ${msg.error}`);
         return false;
@@ -1700,25 +6370,55 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
       }
 
       // Extract a valid JSON block from the raw GPT output, which may contain
-      // extra prose, markdown fences, or trailing commentary.
-      const parsed = extractJsonFromText(text);
+      // extra prose, markdown fences, or trailing commentary; fall back to
+      // local repairs, then to asking GPT itself.
+      const { data: parsed, repaired } = parseJsonWithRepair(text);
       const cleanJson = parsed ? JSON.stringify(parsed, null, 2) : text;
       els.resume_json.value = cleanJson;
+      scheduleDraftSave();
+      const problems = refreshResumeChecks();
 
       if (!parsed) {
+        if (msg.repairsLeft) return requestJsonRepair(mode, msg);
         setStatus(
           "⚠️ Could not parse GPT output as JSON. Review the textarea and retry.",
         );
-        return false;
+        return true;
       }
 
       if (parsed?.blocked) {
         const reason = parsed.block_reason || "No reason provided.";
         setStatus(`⛔ You shouldn't apply to this job because of: ${reason}`);
-        return false;
+        return true;
+      }
+
+      if (problems?.length) {
+        setStatus(
+          `⚠️ GPT's resume JSON has ${problems.length} schema problem(s). Fix them (see "Edit Resume"), then click Generate.`,
+        );
+        return true;
+      }
+
+      if (msg.refined) {
+        setStatus(
+          "Revised resume JSON received. Review it, then click Generate.",
+        );
+        return true;
+      }
+
+      if (els.review_first?.checked) {
+        setStatus(
+          "GPT response received. Review the changes against the base resume, then Generate.",
+        );
+        openResumeReview().catch(() => {});
+        return true;
       }
 
-      setStatus("GPT response received. Generating resume...");
+      setStatus(
+        repaired
+          ? "GPT response received (malformed JSON was repaired). Generating resume..."
+          : "GPT response received. Generating resume...",
+      );
 
       const selected = root.__coGetSelectedUserIds?.() || [];
       const jobUrl = (els.url.value || "").trim();
@@ -1742,11 +6442,339 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
         if (!result?.ok) {
           const current = (statusEl.textContent || "").trim();
           setStatus(
-            `${current}\n💡 Resume JSON is saved in the textarea — click Generate to retry without re-running GPT.`,
+            `${current}\n💡 Resume JSON is saved in the textarea — click Generate to retry without re-running GPT, or Local Export to render it without the backend.`,
           );
         }
       });
 
+      return true;
+    }
+
+    // GPT INBOX
+    // Background files every GPT result in an inbox (see gptInbox in
+    // background.js). Unclaimed results for this job are picked up when the
+    // panel lands on it; the list below is for manual recovery.
+    const GPT_MODE_LABELS = {
+      resume: "Resume JSON",
+      cover_letter: "Cover letter",
+      screening: "Answers",
+    };
+
+    function inboxText(item) {
+      if (item.mode !== "resume") return item.text;
+      const parsed = parseJsonWithRepair(item.text).data;
+      return parsed ? JSON.stringify(parsed, null, 2) : item.text;
+    }
+
+    function claimInboxItem(item) {
+      return chrome.runtime
+        .sendMessage({
+          type: "CO_GPT_INBOX_CLAIM",
+          payload: { id: item.id, jobId: item.jobId },
+        })
+        .catch(() => {});
+    }
+
+    async function pickUpInboxResults() {
+      const jobKey = currentJobKey;
+      const resp = await chrome.runtime
+        .sendMessage({
+          type: "CO_GPT_INBOX_LIST",
+          payload: { jobKey, unclaimedOnly: true },
+        })
+        .catch(() => null);
+      if (jobKey !== currentJobKey) return;
+
+      const recovered = [];
+      for (const item of resp?.items || []) {
+        // Screening answers need the live question list, and multi-user
+        // results belong to one user; leave those in the inbox for manual
+        // recovery.
+        const field = els[GPT_OUTPUT_FIELDS[item.mode]];
+        if (!field || item.userId) continue;
+        field.value = inboxText(item);
+        recovered.push(GPT_MODE_LABELS[item.mode]);
+        await claimInboxItem(item);
+      }
+      if (recovered.length) {
+        scheduleDraftSave();
+        refreshResumeChecks();
+        setStatus(
+          `📥 Recovered from the GPT inbox: ${recovered.join(", ")}. Review it, then Generate.`,
+        );
+      }
+      renderInbox();
+    }
+
+    async function renderInbox() {
+      const resp = await chrome.runtime
+        .sendMessage({ type: "CO_GPT_INBOX_LIST", payload: {} })
+        .catch(() => null);
+      const items = resp?.items || [];
+      const unclaimed = items.filter((item) => !item.claimed).length;
+      const open = els.inbox_section.style.display !== "none";
+      els.inbox_toggle.textContent = `${open ? "▴" : "▾"} GPT Inbox${
+        unclaimed ? ` (${unclaimed} new)` : ""
+      }`;
+      if (!open) return;
+
+      els.inbox_list.innerHTML = "";
+      if (!items.length) {
+        const empty = document.createElement("div");
+        empty.className = "co-muted";
+        empty.textContent = "No GPT results yet.";
+        els.inbox_list.appendChild(empty);
+        return;
+      }
+
+      items.forEach((item) => {
+        const row = document.createElement("div");
+        row.className = "co-inbox-item";
+
+        const label = document.createElement("div");
+        label.className = "co-inbox-label";
+        if (!item.claimed) label.classList.add("co-inbox-new");
+        const job =
+          [item.company, item.position].filter(Boolean).join(" – ") ||
+          item.jobUrl ||
+          "Unknown job";
+        const who = item.userId ? ` · ${item.userName || item.userId}` : "";
+        label.textContent = `${GPT_MODE_LABELS[item.mode] || item.mode}${who} · ${job} · ${new Date(item.createdAt).toLocaleString()}`;
+        label.title = item.jobUrl || "";
+        row.appendChild(label);
+
+        const field = els[GPT_OUTPUT_FIELDS[item.mode]];
+        if (field) {
+          const loadBtn = document.createElement("button");
+          loadBtn.type = "button";
+          loadBtn.className = "co-action";
+          loadBtn.textContent = "Load";
+          loadBtn.title = "Put this result into the panel";
+          loadBtn.addEventListener("click", async () => {
+            field.value = inboxText(item);
+            scheduleDraftSave();
+            refreshResumeChecks();
+            await claimInboxItem(item);
+            setStatus(`Loaded ${GPT_MODE_LABELS[item.mode]} from the inbox.`);
+            renderInbox();
+          });
+          row.appendChild(loadBtn);
+        }
+
+        const copyBtn = document.createElement("button");
+        copyBtn.type = "button";
+        copyBtn.className = "co-action secondary";
+        copyBtn.textContent = "Copy";
+        copyBtn.addEventListener("click", async () => {
+          try {
+            await navigator.clipboard.writeText(inboxText(item));
+            await claimInboxItem(item);
+            setStatus("Copied to clipboard.");
+            renderInbox();
+          } catch (e) {
+            setStatus(`Copy failed: ${String(e?.message || e)}`);
+          }
+        });
+        row.appendChild(copyBtn);
+
+        const removeBtn = document.createElement("button");
+        removeBtn.type = "button";
+        removeBtn.className = "co-action secondary";
+        removeBtn.textContent = "×";
+        removeBtn.title = "Remove";
+        removeBtn.addEventListener("click", async () => {
+          await chrome.runtime
+            .sendMessage({
+              type: "CO_GPT_INBOX_DELETE",
+              payload: { id: item.id },
+            })
+            .catch(() => {});
+          renderInbox();
+        });
+        row.appendChild(removeBtn);
+
+        els.inbox_list.appendChild(row);
+      });
+    }
+
+    els.inbox_toggle?.addEventListener("click", () => {
+      const visible = els.inbox_section.style.display !== "none";
+      els.inbox_section.style.display = visible ? "none" : "block";
+      renderInbox();
+    });
+
+    // GPT REFINE (multi-turn)
+    // Follow-up instructions go to the conversation of this job's latest
+    // resume / cover letter GPT run. Background keeps its transcript for a
+    // couple of hours; each GPT answer can be put back into the panel.
+    let refineConversation = null;
+
+    function refineMode() {
+      return els.refine_mode?.value || "resume";
+    }
+
+    async function refreshRefineConversation() {
+      const jobKey = currentJobKey;
+      const mode = refineMode();
+      const resp = await chrome.runtime
+        .sendMessage({
+          type: "CO_GPT_CONVERSATION",
+          payload: { jobKey, mode },
+        })
+        .catch(() => null);
+      if (jobKey !== currentJobKey || mode !== refineMode()) return;
+      refineConversation = resp?.conversation || null;
+      renderRefineHistory();
+    }
+
+    function refineTurnLabel(turn, index, version) {
+      if (turn.role === "assistant") return `GPT v${version}`;
+      if (index === 0) return "Prompt";
+      return turn.kind === "repair" ? "Fix JSON" : "You";
+    }
+
+    function renderRefineHistory() {
+      const conv = refineConversation;
+      const transcript = conv?.transcript || [];
+      const versions = transcript.filter((t) => t.role === "assistant").length;
+      const open = els.refine_section.style.display !== "none";
+      els.refine_toggle.textContent = `${open ? "▴" : "▾"} Refine with GPT${
+        versions ? ` (${versions} version${versions === 1 ? "" : "s"})` : ""
+      }`;
+      els.refine_send.disabled = conv?.state !== "done";
+
+      els.refine_history.innerHTML = "";
+      if (!conv) {
+        const empty = document.createElement("div");
+        empty.className = "co-muted";
+        empty.textContent =
+          "No GPT conversation for this job yet (or it expired). Run GPT first.";
+        els.refine_history.appendChild(empty);
+        return;
+      }
+
+      let version = 0;
+      transcript.forEach((turn, i) => {
+        if (turn.role === "assistant") version++;
+        const row = document.createElement("div");
+        row.className = `co-refine-turn co-refine-${turn.role}`;
+
+        const role = document.createElement("div");
+        role.className = "co-refine-role";
+        role.textContent = refineTurnLabel(turn, i, version);
+        row.appendChild(role);
+
+        const text = document.createElement("div");
+        text.className = "co-refine-text";
+        // The first prompt is the whole template; keep it to one line.
+        text.textContent =
+          i === 0 ? turn.text.split("\n")[0].slice(0, 120) : turn.text;
+        text.title = turn.text;
+        row.appendChild(text);
+
+        const field = els[GPT_OUTPUT_FIELDS[refineMode()]];
+        if (turn.role === "assistant" && field) {
+          const n = version;
+          const useBtn = document.createElement("button");
+          useBtn.type = "button";
+          useBtn.className = "co-action secondary";
+          useBtn.textContent = "Use";
+          useBtn.title = "Put this version into the panel";
+          useBtn.addEventListener("click", () => {
+            field.value = inboxText({ mode: refineMode(), text: turn.text });
+            scheduleDraftSave();
+            refreshResumeChecks();
+            setStatus(`Restored GPT version ${n}. Review it, then Generate.`);
+          });
+          row.appendChild(useBtn);
+        }
+        els.refine_history.appendChild(row);
+      });
+
+      if (conv.state !== "done" && conv.state !== "failed") {
+        const busy = document.createElement("div");
+        busy.className = "co-muted";
+        busy.textContent = "GPT is working on this conversation...";
+        els.refine_history.appendChild(busy);
+      }
+    }
+
+    els.refine_toggle?.addEventListener("click", () => {
+      const visible = els.refine_section.style.display !== "none";
+      els.refine_section.style.display = visible ? "none" : "block";
+      refreshRefineConversation().catch(() => {});
+    });
+
+    els.refine_mode?.addEventListener("change", () => {
+      refreshRefineConversation().catch(() => {});
+    });
+
+    els.refine_send?.addEventListener("click", async () => {
+      const prompt = (els.refine_prompt.value || "").trim();
+      const conv = refineConversation;
+      const mode = refineMode();
+      if (!prompt) {
+        setStatus("Type what GPT should change first.");
+        return;
+      }
+      if (conv?.state !== "done") {
+        setStatus("Nothing to refine yet: wait for GPT to finish, or run it.");
+        return;
+      }
+
+      els.refine_send.disabled = true;
+      const resp = await chrome.runtime
+        .sendMessage({
+          type: "CO_GPT_REFINE",
+          payload: { jobId: conv.jobId, prompt, jobUrl: location.href },
+        })
+        .catch((e) => ({ ok: false, error: String(e?.message || e) }));
+      if (!resp?.ok) {
+        setStatus(`Refine failed: ${resp?.error || "Unknown error"}`);
+        refreshRefineConversation().catch(() => {});
+        return;
+      }
+
+      const [btn] = GPT_BUTTONS[mode];
+      activeGptJobs.set(conv.jobId, mode);
+      activeGptJobUrls.set(conv.jobId, location.href);
+      retryMode = null;
+      btn.disabled = true;
+      btn.textContent = "Waiting for GPT...";
+      renderGptControls();
+      els.refine_prompt.value = "";
+      setStatus("Sent to GPT. Waiting for the revised version...");
+      refreshRefineConversation().catch(() => {});
+    });
+
+    // Listener for GPT progress / results relayed from background.js
+    const _coGptMessageListener = (msg, _sender, sendResponse) => {
+      if (msg?.type === "CO_GPT_PROGRESS") {
+        // Late chunks from a job the user already cancelled.
+        if (msg.jobId && !activeGptJobs.has(msg.jobId)) return false;
+        const run = msg.userId ? findUserGptRun(msg.jobId) : null;
+        if (run) {
+          const chars = String(msg.text || "").length.toLocaleString();
+          setUserRunLine(run, `GPT is writing... ${chars} chars`);
+        } else {
+          renderGptProgress(msg);
+        }
+        return false;
+      }
+      if (msg?.type === "CO_GPT_RETRYING") {
+        const secs = Math.round((msg.delayMs || 0) / 1000);
+        setStatus(
+          `GPT failed (${msg.error || "unknown error"}). Retrying in ${secs}s (attempt ${msg.attempt}/${msg.maxAttempts})...`,
+        );
+        return false;
+      }
+      if (!msg || msg.type !== "CO_GPT_RESULT") return false;
+
+      const outcome = handleGptResult(msg);
+      if (outcome?.followUp) sendResponse({ followUp: outcome.followUp });
+      else if (outcome) sendResponse({ claimed: true });
+      renderInbox();
+      refreshRefineConversation().catch(() => {});
       return false;
     };
 
@@ -1760,25 +6788,52 @@ async function updateExistsForSelected(root, cardEl, jobUrl) {
       const data = await chrome.storage.local.get([
         "backend",
         "gptUrl",
+        "gptProvider",
+        "llmEndpoint",
+        "llmModel",
+        "llmApiKey",
+        "llmSystemPrompt",
         "authToken",
         "principal",
-        "company",
-        "position",
-        "source_site",
         "resume_format",
         "close_gpt_tab",
+        "review_before_generate",
+        "cover_letter_font",
+        "cover_letter_size",
+        "cover_letter_margin",
       ]);
 
       els.backend.value = data.backend || BACKEND_DEFAULT;
       els.gpt_url.value = data.gptUrl || "";
-      els.company.value = data.company || "";
-      els.position.value = data.position || "";
-      els.source_site.value = data.source_site || "";
+      els.gpt_provider.value = data.gptProvider || "chatgpt_tab";
+      els.llm_endpoint.value = data.llmEndpoint || "";
+      els.llm_model.value = data.llmModel || "";
+      els.llm_api_key.value = data.llmApiKey || "";
+      els.llm_system_prompt.value = data.llmSystemPrompt || "";
+      renderProviderSettings();
       if (els.resume_format)
         els.resume_format.value = data.resume_format || "docx";
       if (els.close_gpt_tab) els.close_gpt_tab.checked = !!data.close_gpt_tab;
+      if (els.review_first) {
+        els.review_first.checked = !!data.review_before_generate;
+      }
+      if (els.cl_font) els.cl_font.value = data.cover_letter_font || "Calibri";
+      if (els.cl_size) els.cl_size.value = String(data.cover_letter_size || 11);
+      if (els.cl_margin) {
+        els.cl_margin.value = String(data.cover_letter_margin || 1);
+      }
       els.url.value = location.href;
 
+      const draft = await loadJobDraft(location.href).catch(() => null);
+      if (draft) restoreJobFields(draft);
+      pruneJobDrafts().catch(() => {});
+      pickUpInboxResults().catch(() => {});
+      refreshRefineConversation().catch(() => {});
+      if (looksLikeJobPage || isLikelyJobPage()) {
+        // Many boards render the posting client-side after document_idle.
+        scheduleExtraction([0, 1500, 4000]);
+      }
+
       await pushAuthToBackground({
         token: data.authToken || "",
         backend: els.backend.value,
@@ -0,0 +1,19 @@
+// Opened by background.js when the saved LLM endpoint isn't covered by
+// host_permissions. chrome.permissions.request must run from a click on an
+// extension page, which is all this page is for.
+const origin = new URLSearchParams(location.search).get("origin") || "";
+document.getElementById("origin").textContent = origin;
+
+document.getElementById("allow").addEventListener("click", async () => {
+  const status = document.getElementById("status");
+  try {
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (granted) {
+      window.close();
+      return;
+    }
+    status.textContent = "Access was not granted.";
+  } catch (e) {
+    status.textContent = String(e?.message || e);
+  }
+});
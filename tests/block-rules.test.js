@@ -0,0 +1,102 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadContent } = require("./helpers/load-content");
+
+const { evaluateBlockRules } = loadContent(
+  ["block rules"],
+  ["evaluateBlockRules"],
+);
+const rules = (jd, r, company = "Globex") =>
+  [...evaluateBlockRules(r, { company, jd })].map((h) => h.rule);
+
+test("salary floor only reads pay, not stipends", () => {
+  const floor = { min_salary: 150000 };
+  assert.deepStrictEqual(rules("$5,000 home office stipend.", floor), []);
+  assert.deepStrictEqual(
+    rules("Base salary $100k. Annual bonus $20,000.", floor),
+    ["min_salary"],
+  );
+  assert.deepStrictEqual(rules("Pay: $160k - $190k.", floor), []);
+  assert.deepStrictEqual(rules("$45/hr, fully remote.", floor), [
+    "min_salary",
+  ]);
+});
+
+test("years ceiling needs the word experience", () => {
+  const limit = { max_years: 6 };
+  const jd = "Founded over 20 years of innovation. 3+ years of experience.";
+  assert.deepStrictEqual(rules(jd, limit), []);
+  assert.deepStrictEqual(rules("8+ years of experience with Java.", limit), [
+    "max_years",
+  ]);
+  assert.deepStrictEqual(rules("Experience: 10 years minimum", limit), [
+    "max_years",
+  ]);
+});
+
+test("years ceiling only reads what the candidate is asked for", () => {
+  const limit = { max_years: 6 };
+  assert.deepStrictEqual(
+    rules("We have 10 years of experience in fintech.", limit),
+    [],
+  );
+  assert.deepStrictEqual(
+    rules("You have 10 years of experience in fintech.", limit),
+    ["max_years"],
+  );
+  assert.deepStrictEqual(rules("7-10 years of experience in fintech.", limit), [
+    "max_years",
+  ]);
+  assert.deepStrictEqual(
+    rules("Requirements:\n- 10 years of backend experience", limit),
+    ["max_years"],
+  );
+});
+
+test("negated remote wording that isn't onsite-only", () => {
+  const onsite = { no_onsite_only: true };
+  assert.deepStrictEqual(
+    rules("Not remote-first but flexible hybrid.", onsite),
+    [],
+  );
+  assert.deepStrictEqual(rules("This role is not remote.", onsite), [
+    "onsite_only",
+  ]);
+  assert.deepStrictEqual(rules("Sorry, no remote candidates.", onsite), [
+    "onsite_only",
+  ]);
+});
+
+test("sponsorship refusals phrased with 'be able to'", () => {
+  const sponsor = { needs_sponsorship: true };
+  assert.deepStrictEqual(
+    rules("We will not be able to sponsor visas for this role.", sponsor),
+    ["sponsorship"],
+  );
+  assert.deepStrictEqual(
+    rules("We are not able to sponsor at this time.", sponsor),
+    ["sponsorship"],
+  );
+});
+
+test("clearance, onsite, sponsorship and excluded companies", () => {
+  const all = {
+    excluded_companies: ["Acme Corp"],
+    no_clearance: true,
+    no_onsite_only: true,
+    needs_sponsorship: true,
+  };
+  assert.deepStrictEqual(
+    rules(
+      "Active TS/SCI clearance. 100% onsite. We are unable to sponsor visas.",
+      all,
+      "Acme, Inc.",
+    ),
+    ["excluded_company", "clearance", "onsite_only", "sponsorship"],
+  );
+  assert.deepStrictEqual(
+    rules("Remote. No clearance required. Visa sponsorship available.", all),
+    [],
+  );
+});
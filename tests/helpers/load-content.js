@@ -0,0 +1,38 @@
+// content.js is a browser content script (no module system, and its panel
+// code needs a DOM), so tests load only its pure top-level sections: the
+// text from a "// ---- <name> ----" marker up to the next marker. A missing
+// section or function throws instead of leaving a test with nothing to run.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const src = fs.readFileSync(
+  path.join(__dirname, "..", "..", "content.js"),
+  "utf8",
+);
+
+function contentSection(name) {
+  const marker = `// ---- ${name} ----\n`;
+  const start = src.indexOf(marker);
+  if (start < 0) throw new Error(`content.js has no "${name}" section`);
+  const next = src.indexOf("\n// ---- ", start + marker.length);
+  return src.slice(start, next < 0 ? src.length : next + 1);
+}
+
+// loadContent(["block rules"], ["evaluateBlockRules"]) -> { evaluateBlockRules }
+function loadContent(sections, names) {
+  const ctx = vm.createContext({});
+  vm.runInContext(sections.map(contentSection).join("\n"), ctx);
+  const out = {};
+  for (const name of names) {
+    const fn = vm.runInContext(`typeof ${name} === "function" && ${name}`, ctx);
+    if (!fn) throw new Error(`content.js does not define ${name}()`);
+    out[name] = fn;
+  }
+  return out;
+}
+
+// Plain copies, so deepStrictEqual doesn't trip over the vm's prototypes.
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+module.exports = { loadContent, plain };
@@ -0,0 +1,41 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadContent, plain } = require("./helpers/load-content");
+
+const { parseJsonWithRepair } = loadContent(
+  ["GPT JSON extraction + repair"],
+  ["parseJsonWithRepair"],
+);
+const parse = (text) => plain(parseJsonWithRepair(text));
+
+test("a complete reply in prose or fences parses without repair", () => {
+  const resume = { name: "Jane", contact: { email: "j@x.io" } };
+  const json = JSON.stringify(resume);
+  assert.deepStrictEqual(parse(`Here it is:\n${json}\nGood luck!`), {
+    data: resume,
+    repaired: false,
+  });
+  assert.deepStrictEqual(parse("```json\n" + json + "\n```"), {
+    data: resume,
+    repaired: false,
+  });
+});
+
+test("a truncated reply is repaired, not cut to its first nested object", () => {
+  const text =
+    'Here is the JSON:\n{"contact":{"name":"Jane"},"experience":[{"title":"Eng","bullets":["Built';
+  const { data, repaired } = parse(text);
+  assert.strictEqual(repaired, true);
+  assert.deepStrictEqual(data, {
+    contact: { name: "Jane" },
+    experience: [{ title: "Eng", bullets: ["Built"] }],
+  });
+});
+
+test("trailing commas are repaired", () => {
+  assert.deepStrictEqual(parse('{"skills":["Go","Rust",],}'), {
+    data: { skills: ["Go", "Rust"] },
+    repaired: true,
+  });
+});
@@ -0,0 +1,88 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadContent, plain } = require("./helpers/load-content");
+
+const content = loadContent(
+  ["resume diff", "keyword coverage"],
+  ["analyzeKeywordCoverage"],
+);
+const analyzeKeywordCoverage = (jd, data) =>
+  plain(content.analyzeKeywordCoverage(jd, data));
+
+const resume = {
+  summary: "Backend engineer.",
+  experience: [
+    { title: "Engineer", bullets: ["Built Django services on Postgres"] },
+  ],
+  skills: { Languages: ["Python"], Tools: ["Docker"] },
+};
+
+const terms = (coverage) => coverage.terms.map((t) => t.term).sort();
+
+test("everyday words are not skills", () => {
+  const jd = [
+    "Requirements:",
+    "- Python and Django",
+    "- Docker",
+    "- You go the extra mile and excel at communication",
+    "- Get some rest, spring into action and react quickly",
+    "- Express your ideas in a swift, agile way",
+  ].join("\n");
+  const coverage = analyzeKeywordCoverage(jd, resume);
+  assert.deepStrictEqual(terms(coverage), ["Django", "Docker", "Python"]);
+  assert.strictEqual(coverage.score, 100);
+});
+
+test("ambiguous skills still count when written as skills", () => {
+  const jd = [
+    "Requirements:",
+    "- Go, Rust or Swift",
+    "- REST APIs with Express.js on Node.js",
+    "- Spring Boot, React and Excel",
+  ].join("\n");
+  assert.deepStrictEqual(terms(analyzeKeywordCoverage(jd, resume)), [
+    "Excel",
+    "Express",
+    "Go",
+    "Node.js",
+    "REST",
+    "React",
+    "Rust",
+    "Spring",
+    "Swift",
+  ]);
+});
+
+test("resume prose doesn't cover ambiguous skills", () => {
+  const jd = "Requirements:\n- Go and REST";
+  const prose = {
+    ...resume,
+    summary: "I go the extra mile and never rest.",
+  };
+  const coverage = analyzeKeywordCoverage(jd, prose);
+  assert.deepStrictEqual([...coverage.missing.required].sort(), [
+    "Go",
+    "REST",
+  ]);
+  const listed = { ...resume, skills: { Languages: ["Go"], APIs: ["REST"] } };
+  assert.strictEqual(analyzeKeywordCoverage(jd, listed).score, 100);
+});
+
+test("splits required and nice-to-have sections", () => {
+  const jd = [
+    "Requirements:",
+    "- Python",
+    "- Kafka experience is a plus",
+    "Nice to have:",
+    "- Terraform",
+    "Benefits",
+    "- 401k, PTO",
+  ].join("\n");
+  const coverage = analyzeKeywordCoverage(jd, resume);
+  assert.deepStrictEqual(coverage.missing, {
+    required: [],
+    nice: ["Kafka", "Terraform"],
+  });
+  assert.strictEqual(coverage.score, 50);
+});
@@ -0,0 +1,49 @@
+// Run with: node --test tests/
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadContent, plain } = require("./helpers/load-content");
+
+const { diffResumes, applyResumeDiff, carryResumeDiffChoices } = loadContent(
+  ["resume diff"],
+  ["diffResumes", "applyResumeDiff", "carryResumeDiffChoices"],
+);
+
+const role = (company) => ({ title: "Eng", company, bullets: ["Did it"] });
+
+test("a kept removed role stays in its original position", () => {
+  const base = { experience: [role("A"), role("B"), role("C")] };
+  const tailored = { experience: [role("A"), role("C")] };
+  const diff = diffResumes(base, tailored);
+  const b = diff.jobs.find((j) => j.job.company === "B");
+  b.accepted = false; // keep it
+  const out = plain(applyResumeDiff(tailored, diff));
+  assert.deepStrictEqual(
+    out.experience.map((j) => j.company),
+    ["A", "B", "C"],
+  );
+});
+
+test("a summary added where the base had none is reviewable", () => {
+  const diff = diffResumes({}, { summary: "New summary." });
+  assert.strictEqual(diff.summary.status, "changed");
+  diff.summary.accepted = false;
+  const out = plain(applyResumeDiff({ summary: "New summary." }, diff));
+  assert.strictEqual(out.summary, "");
+});
+
+test("rejections carry over to a re-diff of the edited JSON", () => {
+  const base = { experience: [{ ...role("A"), bullets: ["One"] }] };
+  const tailored = { experience: [{ ...role("A"), bullets: ["One", "Two"] }] };
+  const first = diffResumes(base, tailored);
+  first.jobs[0].bullets[1].accepted = false; // reject "Two"
+
+  const edited = {
+    experience: [{ ...role("A"), bullets: ["One", "Two", "Three"] }],
+  };
+  const diff = carryResumeDiffChoices(
+    first,
+    diffResumes(base, edited),
+  );
+  const out = plain(applyResumeDiff(edited, diff));
+  assert.deepStrictEqual(out.experience[0].bullets, ["One", "Three"]);
+});